@@ -0,0 +1,293 @@
+import * as utils from './utils.js';
+
+// The number of samples per pixel (KERNEL_SIZE in the shaders).
+const kernelSize = 16;
+// The width and height of the noise texture that rotates the samples.
+const noiseSize = 4;
+
+/**
+ * Render pass that calculates screen-space ambient occlusion (SSAO). The depth and the normals of the
+ * scene are rendered in a prepass. For each pixel, positions in a hemisphere around the normal are
+ * compared with the depth of the scene to estimate how much ambient light is occluded. The noisy
+ * result is smoothed with a blur that preserves edges; the unblurred result is kept for debugging.
+ */
+export class AmbientOcclusionRenderPass {
+    #gpuDevice;
+    #renderTargets;
+    #meshData;
+    #prepassPipeline;
+    #ambientOcclusionPipeline;
+    #horizontalBlurPipeline;
+    #verticalBlurPipeline;
+    #uniformsBindGroup;
+    #modelMatrixBindGroups;
+    #cameraBindGroup;
+    #paramsBuffer;
+    #noiseTexture;
+    #depthTexture = null;
+    #normalDepthTexture = null;
+    #blurTexture = null;
+    #ambientOcclusionBindGroup;
+    #horizontalBlurBindGroup;
+    #verticalBlurBindGroup;
+    // The result of the pass; the textures are replaced when the size of the render targets changes.
+    #ambientOcclusion = { texture: null, rawTexture: null };
+
+    #radius = 0.5;
+    #bias = 0.025;
+    #power = 1.5;
+
+    /**
+     * Sets how the ambient occlusion is calculated.
+     * @param {number} radius the distance in world space in which surfaces occlude each other
+     * @param {number} bias the depth difference that is ignored to avoid that surfaces occlude themselves
+     * @param {number} power the exponent of the ambient occlusion; higher values result in darker occlusion
+     */
+    setParameters(radius, bias, power) {
+        this.#radius = radius;
+        this.#bias = bias;
+        this.#power = power;
+    }
+
+    /**
+     * Returns the ambient occlusion that is calculated by the pass.
+     * @returns {object} an object whose texture property is the r8unorm texture with the ambient occlusion
+     *                   of each pixel in the red channel (1.0 means not occluded) and whose rawTexture
+     *                   property is the same before it was blurred
+     */
+    getAmbientOcclusion() {
+        return this.#ambientOcclusion;
+    }
+
+    async init(gpuDevice, renderTargets, camera, meshData) {
+        this.#gpuDevice = gpuDevice;
+        this.#renderTargets = renderTargets;
+        this.#meshData = meshData;
+
+        const shaders = await utils.loadShaders('fullscreen.wgsl') + await utils.loadShaders('ssao-shaders.wgsl');
+        const shaderModule = gpuDevice.createShaderModule({ code: shaders });
+        this.#prepassPipeline = gpuDevice.createRenderPipeline({
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vertex_prepass',
+                buffers: meshData.vertexBufferLayout
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: 'fragment_prepass',
+                targets: [{ format: 'rgba16float' }],
+            },
+            primitive: {
+                topology: 'triangle-list',
+                cullMode: 'back',
+            },
+            layout: 'auto',
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth32float',
+            },
+        });
+        this.#ambientOcclusionPipeline = this.#createFullscreenPipeline(shaderModule, 'fragment_ssao');
+        this.#horizontalBlurPipeline = this.#createFullscreenPipeline(shaderModule, 'fragment_blur_horizontal');
+        this.#verticalBlurPipeline = this.#createFullscreenPipeline(shaderModule, 'fragment_blur_vertical');
+
+        this.#uniformsBindGroup = utils.createBindGroup(gpuDevice, this.#prepassPipeline, 0, [
+            { buffer: camera.buffer },
+        ]);
+        this.#modelMatrixBindGroups = meshData.modelMatrices.map(
+            m => m.createBindGroup(this.#prepassPipeline, 1)
+        );
+        this.#cameraBindGroup = utils.createBindGroup(gpuDevice, this.#ambientOcclusionPipeline, 0, [
+            { buffer: camera.buffer },
+        ]);
+
+        // Layout: kernel: array<vec4f, kernelSize>, radius: f32, bias: f32, power: f32
+        this.#paramsBuffer = gpuDevice.createBuffer({
+            size: utils.align((kernelSize * 4 + 3) * utils.f32ByteLength, 16),
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        utils.copyToBuffer(gpuDevice, this.#paramsBuffer, this.#createKernel());
+        this.#noiseTexture = this.#createNoiseTexture();
+
+        this.#createTextures();
+    }
+
+    #createFullscreenPipeline(shaderModule, fragmentEntryPoint) {
+        return this.#gpuDevice.createRenderPipeline({
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vertex_main',
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: fragmentEntryPoint,
+                targets: [{ format: 'r8unorm' }],
+            },
+            primitive: {
+                topology: 'triangle-list',
+            },
+            layout: 'auto',
+        });
+    }
+
+    /**
+     * Creates random sample positions in a hemisphere around the z-axis. More samples are placed
+     * close to the center, so that close surfaces occlude more.
+     */
+    #createKernel() {
+        const kernel = new Float32Array(kernelSize * 4);
+        for (let i = 0; i < kernelSize; ++i) {
+            const x = Math.random() * 2.0 - 1.0;
+            const y = Math.random() * 2.0 - 1.0;
+            const z = Math.random();
+            const t = i / kernelSize;
+            const scale = Math.random() * (0.1 + 0.9 * t * t) / Math.hypot(x, y, z);
+            kernel.set([x * scale, y * scale, z * scale, 0.0], i * 4);
+        }
+        return kernel;
+    }
+
+    /**
+     * Creates a texture with random directions in the xy-plane that rotate the kernel per pixel.
+     */
+    #createNoiseTexture() {
+        const noise = new Float32Array(noiseSize * noiseSize * 4);
+        for (let i = 0; i < noiseSize * noiseSize; ++i) {
+            noise.set([Math.random() * 2.0 - 1.0, Math.random() * 2.0 - 1.0, 0.0, 0.0], i * 4);
+        }
+        const texture = this.#gpuDevice.createTexture({
+            size: [noiseSize, noiseSize],
+            format: 'rgba32float',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+        });
+        this.#gpuDevice.queue.writeTexture(
+            { texture: texture },
+            noise,
+            { bytesPerRow: noiseSize * 4 * utils.f32ByteLength },
+            [noiseSize, noiseSize]
+        );
+        return texture;
+    }
+
+    /**
+     * Creates the textures with the size of the render targets and the BindGroups that use them.
+     */
+    #createTextures() {
+        const gpuDevice = this.#gpuDevice;
+        const size = [this.#renderTargets.hdrTexture.width, this.#renderTargets.hdrTexture.height];
+        this.#depthTexture?.destroy();
+        this.#normalDepthTexture?.destroy();
+        this.#blurTexture?.destroy();
+        this.#ambientOcclusion.texture?.destroy();
+        this.#ambientOcclusion.rawTexture?.destroy();
+
+        this.#depthTexture = gpuDevice.createTexture({
+            size: size,
+            format: 'depth32float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        });
+        this.#normalDepthTexture = gpuDevice.createTexture({
+            size: size,
+            format: 'rgba16float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        });
+        this.#blurTexture = gpuDevice.createTexture({
+            size: size,
+            format: 'r8unorm',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        });
+        this.#ambientOcclusion.texture = gpuDevice.createTexture({
+            size: size,
+            format: 'r8unorm',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        });
+        this.#ambientOcclusion.rawTexture = gpuDevice.createTexture({
+            size: size,
+            format: 'r8unorm',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        });
+
+        this.#ambientOcclusionBindGroup = utils.createBindGroup(gpuDevice, this.#ambientOcclusionPipeline, 2, [
+            { buffer: this.#paramsBuffer },
+            this.#depthTexture.createView(),
+            this.#normalDepthTexture.createView(),
+            this.#noiseTexture.createView(),
+        ]);
+        // The raw ambient occlusion is blurred horizontally to the blur texture and vertically to the result.
+        this.#horizontalBlurBindGroup = utils.createBindGroup(gpuDevice, this.#horizontalBlurPipeline, 3, [
+            this.#normalDepthTexture.createView(),
+            this.#ambientOcclusion.rawTexture.createView(),
+        ]);
+        this.#verticalBlurBindGroup = utils.createBindGroup(gpuDevice, this.#verticalBlurPipeline, 3, [
+            this.#normalDepthTexture.createView(),
+            this.#blurTexture.createView(),
+        ]);
+    }
+
+    #renderFullscreen(commandEncoder, pipeline, bindGroups, texture) {
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: texture.createView(),
+                loadOp: 'clear',
+                storeOp: 'store',
+            }],
+        });
+        passEncoder.setPipeline(pipeline);
+        for (let bindGroup of bindGroups) {
+            passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
+        }
+        passEncoder.draw(3);
+        passEncoder.end();
+    }
+
+    /**
+     * Calculates the ambient occlusion of the next frame. Must be called before the scene is rendered.
+     * 
+     * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
+     */
+    renderFrame(commandEncoder) {
+        const hdrTexture = this.#renderTargets.hdrTexture;
+        if (this.#depthTexture.width != hdrTexture.width || this.#depthTexture.height != hdrTexture.height) {
+            this.#createTextures();
+        }
+        utils.copyToBuffer(this.#gpuDevice, this.#paramsBuffer, new Float32Array([this.#radius, this.#bias, this.#power]),
+            kernelSize * 4 * utils.f32ByteLength);
+
+        // Render the normals and the depth of the scene.
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.#normalDepthTexture.createView(),
+                // Pixels without a surface are far away.
+                clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 10000.0 },
+                loadOp: 'clear',
+                storeOp: 'store',
+            }],
+            depthStencilAttachment: {
+                view: this.#depthTexture.createView(),
+                depthClearValue: 1.0,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'store',
+            }
+        });
+        passEncoder.setPipeline(this.#prepassPipeline);
+        passEncoder.setVertexBuffer(0, this.#meshData.vertexBuffer);
+        passEncoder.setIndexBuffer(this.#meshData.indexBuffer, this.#meshData.indexFormat);
+        passEncoder.setBindGroup(this.#uniformsBindGroup.number, this.#uniformsBindGroup.group);
+        const meshList = this.#meshData.meshList;
+        for (let i = 0; i < meshList.length; ++i) {
+            const bindGroup = this.#modelMatrixBindGroups[i];
+            passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
+            const mesh = meshList[i];
+            passEncoder.drawIndexed(mesh.indexCount, 1, mesh.firstIndex, mesh.firstVertex);
+        }
+        passEncoder.end();
+
+        this.#renderFullscreen(commandEncoder, this.#ambientOcclusionPipeline,
+            [this.#cameraBindGroup, this.#ambientOcclusionBindGroup], this.#ambientOcclusion.rawTexture);
+        this.#renderFullscreen(commandEncoder, this.#horizontalBlurPipeline,
+            [this.#horizontalBlurBindGroup], this.#blurTexture);
+        this.#renderFullscreen(commandEncoder, this.#verticalBlurPipeline,
+            [this.#verticalBlurBindGroup], this.#ambientOcclusion.texture);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,106 @@
+import * as utils from './utils.js';
+
+/**
+ * Compute pass that calculates the average luminance of the HDR scene for automatic exposure.
+ * A histogram of the luminance of all pixels is created and the average luminance of the histogram
+ * is stored in the exposure buffer. The average luminance adapts slowly like the eye.
+ */
+export class AutoExposurePass {
+    #gpuDevice;
+    #renderTargets;
+    #histogramPipeline;
+    #averagePipeline;
+    #paramsBuffer;
+    #exposureBuffer;
+    #histogramParamsBindGroup;
+    #averageParamsBindGroup;
+    #exposureBindGroup;
+
+    #minLogLuminance = -10.0;
+    #maxLogLuminance = 6.0;
+    #adaptationRate = 1.5; // the speed of the adaptation; higher values adapt faster
+
+    async init(gpuDevice, renderTargets) {
+        this.#gpuDevice = gpuDevice;
+        this.#renderTargets = renderTargets;
+
+        const shaderFile = await utils.loadShaders('exposure-shaders.wgsl');
+        const shaderModule = gpuDevice.createShaderModule({ code: shaderFile });
+        this.#histogramPipeline = gpuDevice.createComputePipeline({
+            compute: { module: shaderModule, entryPoint: 'histogram_main' },
+            layout: 'auto',
+        });
+        this.#averagePipeline = gpuDevice.createComputePipeline({
+            compute: { module: shaderModule, entryPoint: 'average_main' },
+            layout: 'auto',
+        });
+
+        // Layout: minLogLuminance: f32, logLuminanceRange: f32, pixelCount: f32, adaptation: f32
+        this.#paramsBuffer = gpuDevice.createBuffer({
+            size: 4 * utils.f32ByteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        const histogramBuffer = gpuDevice.createBuffer({
+            size: 256 * utils.u32ByteLength,
+            usage: GPUBufferUsage.STORAGE,
+        });
+        // The average luminance starts at middle gray, so that the initial exposure is 1.
+        this.#exposureBuffer = gpuDevice.createBuffer({
+            size: utils.f32ByteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+        utils.copyToBuffer(gpuDevice, this.#exposureBuffer, new Float32Array([0.18]));
+
+        this.#histogramParamsBindGroup = utils.createBindGroup(gpuDevice, this.#histogramPipeline, 0, [
+            { buffer: this.#paramsBuffer },
+            { buffer: histogramBuffer },
+        ]);
+        this.#averageParamsBindGroup = utils.createBindGroup(gpuDevice, this.#averagePipeline, 0, [
+            { buffer: this.#paramsBuffer },
+            { buffer: histogramBuffer },
+        ]);
+        this.#exposureBindGroup = utils.createBindGroup(gpuDevice, this.#averagePipeline, 2, [
+            { buffer: this.#exposureBuffer },
+        ]);
+    }
+
+    /**
+     * Returns the buffer that contains the average luminance as f32.
+     * @returns {GPUBuffer} the exposure buffer
+     */
+    getExposureBuffer() {
+        return this.#exposureBuffer;
+    }
+
+    /**
+     * Calculates the average luminance of the next frame. Must be called after the scene was rendered.
+     * 
+     * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
+     * @param {number} deltaTime the time in seconds since the last frame
+     */
+    renderFrame(commandEncoder, deltaTime) {
+        const hdrTexture = this.#renderTargets.hdrTexture;
+        const logLuminanceRange = this.#maxLogLuminance - this.#minLogLuminance;
+        const adaptation = 1.0 - Math.exp(-deltaTime * this.#adaptationRate);
+        utils.copyToBuffer(this.#gpuDevice, this.#paramsBuffer, new Float32Array([
+            this.#minLogLuminance, logLuminanceRange, hdrTexture.width * hdrTexture.height, adaptation
+        ]));
+
+        // The HDR texture is recreated when the render targets change, so the BindGroup is created for every frame.
+        const textureBindGroup = utils.createBindGroup(this.#gpuDevice, this.#histogramPipeline, 1, [
+            hdrTexture.createView(),
+        ]);
+
+        const passEncoder = commandEncoder.beginComputePass();
+        passEncoder.setPipeline(this.#histogramPipeline);
+        passEncoder.setBindGroup(this.#histogramParamsBindGroup.number, this.#histogramParamsBindGroup.group);
+        passEncoder.setBindGroup(textureBindGroup.number, textureBindGroup.group);
+        passEncoder.dispatchWorkgroups(Math.ceil(hdrTexture.width / 16), Math.ceil(hdrTexture.height / 16));
+
+        passEncoder.setPipeline(this.#averagePipeline);
+        passEncoder.setBindGroup(this.#averageParamsBindGroup.number, this.#averageParamsBindGroup.group);
+        passEncoder.setBindGroup(this.#exposureBindGroup.number, this.#exposureBindGroup.group);
+        passEncoder.dispatchWorkgroups(1);
+        passEncoder.end();
+    }
+}
\ No newline at end of file
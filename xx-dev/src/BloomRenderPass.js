@@ -0,0 +1,221 @@
+import * as utils from './utils.js';
+
+/**
+ * Render pass that lets bright parts of the HDR scene glow. The bright parts are downsampled to the mip
+ * levels of the bloom texture, which are upsampled and added to each other again. The first mip level
+ * is then added to the HDR texture. Because the blur is computed on HDR colors, brighter lights and
+ * emissive surfaces glow more.
+ */
+export class BloomRenderPass {
+    #gpuDevice;
+    #renderTargets;
+    #sampler;
+    #paramsBuffer;
+    #downsampleFirstPipeline;
+    #downsamplePipeline;
+    #upsamplePipeline;
+    #compositePipeline;
+    // The HDR texture for which the bloom texture and the BindGroups were created
+    #hdrTexture = null;
+    #bloomTexture = null;
+    #mipViews;
+    #downsampleBindGroups;
+    #upsampleBindGroups;
+    #compositeBindGroup;
+
+    #maxMipLevelCount = 6;
+    #enabled = true;
+    #threshold = 1.0;
+    #intensity = 0.5;
+    #radius = 1.0;
+
+    getEnabled() {
+        return this.#enabled;
+    }
+
+    setEnabled(value) {
+        this.#enabled = value;
+    }
+
+    getThreshold() {
+        return this.#threshold;
+    }
+
+    /**
+     * Sets the brightness above which colors glow.
+     * @param {number} value the threshold as linear HDR color; 0 lets all colors glow
+     */
+    setThreshold(value) {
+        this.#threshold = value;
+    }
+
+    getIntensity() {
+        return this.#intensity;
+    }
+
+    /**
+     * Sets how strong the glow is added to the scene.
+     * @param {number} value the factor of the bloom; 0 disables the glow
+     */
+    setIntensity(value) {
+        this.#intensity = value;
+    }
+
+    getRadius() {
+        return this.#radius;
+    }
+
+    /**
+     * Sets how far the glow spreads.
+     * @param {number} value the radius of the upsampling filter in pixels of each mip level (1 is the default)
+     */
+    setRadius(value) {
+        this.#radius = value;
+    }
+
+    async init(gpuDevice, renderTargets) {
+        this.#gpuDevice = gpuDevice;
+        this.#renderTargets = renderTargets;
+
+        const shaders = await utils.loadShaders('fullscreen.wgsl') + await utils.loadShaders('bloom-shaders.wgsl');
+        const shaderModule = gpuDevice.createShaderModule({ code: shaders });
+        const format = renderTargets.hdrFormat;
+        this.#downsampleFirstPipeline = this.#createRenderPipeline(shaderModule, 'fragment_downsample_first', format);
+        this.#downsamplePipeline = this.#createRenderPipeline(shaderModule, 'fragment_downsample', format);
+        // The upsampled mip level is added to the downsampled mip level.
+        this.#upsamplePipeline = this.#createRenderPipeline(shaderModule, 'fragment_upsample', format, {
+            color: { srcFactor: 'one', dstFactor: 'one' },
+            alpha: { srcFactor: 'zero', dstFactor: 'one' },
+        });
+        // The bloom is added to the scene with the intensity as blend constant.
+        this.#compositePipeline = this.#createRenderPipeline(shaderModule, 'fragment_upsample', format, {
+            color: { srcFactor: 'constant', dstFactor: 'one' },
+            alpha: { srcFactor: 'zero', dstFactor: 'one' },
+        });
+
+        this.#sampler = gpuDevice.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear',
+            addressModeU: 'clamp-to-edge',
+            addressModeV: 'clamp-to-edge',
+        });
+        // Layout: threshold: f32, knee: f32, radius: f32
+        this.#paramsBuffer = gpuDevice.createBuffer({
+            size: utils.align(3 * utils.f32ByteLength, 16),
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+    }
+
+    #createRenderPipeline(shaderModule, fragmentEntryPoint, format, blend = undefined) {
+        return this.#gpuDevice.createRenderPipeline({
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vertex_main',
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: fragmentEntryPoint,
+                targets: [{ format: format, blend: blend }],
+            },
+            primitive: {
+                topology: 'triangle-list',
+            },
+            layout: 'auto',
+        });
+    }
+
+    /**
+     * Creates the bloom texture with half the size of the HDR texture and the BindGroups that
+     * read the HDR texture and the mip levels of the bloom texture.
+     */
+    #createBloomTexture() {
+        const gpuDevice = this.#gpuDevice;
+        const hdrTexture = this.#renderTargets.hdrTexture;
+        const width = Math.max(1, Math.floor(hdrTexture.width / 2));
+        const height = Math.max(1, Math.floor(hdrTexture.height / 2));
+        this.#hdrTexture = hdrTexture;
+        this.#bloomTexture?.destroy();
+        this.#bloomTexture = gpuDevice.createTexture({
+            size: [width, height],
+            mipLevelCount: Math.min(this.#maxMipLevelCount, utils.calcMipLevelCount(width, height)),
+            format: this.#renderTargets.hdrFormat,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        });
+        this.#mipViews = [];
+        for (let level = 0; level < this.#bloomTexture.mipLevelCount; ++level) {
+            this.#mipViews.push(this.#bloomTexture.createView({ baseMipLevel: level, mipLevelCount: 1 }));
+        }
+
+        // Mip level i is downsampled from the HDR texture (i = 0) or from mip level i - 1.
+        this.#downsampleBindGroups = this.#mipViews.map((_, level) => level == 0
+            ? utils.createBindGroup(gpuDevice, this.#downsampleFirstPipeline, 0, [
+                this.#sampler,
+                hdrTexture.createView(),
+                { buffer: this.#paramsBuffer },
+            ])
+            : utils.createBindGroup(gpuDevice, this.#downsamplePipeline, 0, [
+                this.#sampler,
+                this.#mipViews[level - 1],
+            ])
+        );
+        // Mip level i - 1 is upsampled from mip level i.
+        this.#upsampleBindGroups = this.#mipViews.map((view, level) => level == 0
+            ? null
+            : utils.createBindGroup(gpuDevice, this.#upsamplePipeline, 0, [
+                this.#sampler,
+                view,
+                { buffer: this.#paramsBuffer },
+            ])
+        );
+        this.#compositeBindGroup = utils.createBindGroup(gpuDevice, this.#compositePipeline, 0, [
+            this.#sampler,
+            this.#mipViews[0],
+            { buffer: this.#paramsBuffer },
+        ]);
+    }
+
+    #renderFullscreen(commandEncoder, pipeline, bindGroup, view, loadOp, blendConstant = undefined) {
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: view,
+                loadOp: loadOp,
+                storeOp: 'store',
+            }],
+        });
+        passEncoder.setPipeline(pipeline);
+        passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
+        if (blendConstant !== undefined) {
+            passEncoder.setBlendConstant(blendConstant);
+        }
+        passEncoder.draw(3);
+        passEncoder.end();
+    }
+
+    /**
+     * Adds the bloom to the HDR texture. Must be called after the scene was rendered.
+     * 
+     * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
+     */
+    renderFrame(commandEncoder) {
+        if (this.#hdrTexture !== this.#renderTargets.hdrTexture) {
+            this.#createBloomTexture();
+        }
+        const knee = 0.5 * this.#threshold;
+        utils.copyToBuffer(this.#gpuDevice, this.#paramsBuffer, new Float32Array([this.#threshold, knee, this.#radius]));
+
+        const mipLevelCount = this.#mipViews.length;
+        this.#renderFullscreen(commandEncoder, this.#downsampleFirstPipeline, this.#downsampleBindGroups[0],
+            this.#mipViews[0], 'clear');
+        for (let level = 1; level < mipLevelCount; ++level) {
+            this.#renderFullscreen(commandEncoder, this.#downsamplePipeline, this.#downsampleBindGroups[level],
+                this.#mipViews[level], 'clear');
+        }
+        for (let level = mipLevelCount - 1; level > 0; --level) {
+            this.#renderFullscreen(commandEncoder, this.#upsamplePipeline, this.#upsampleBindGroups[level],
+                this.#mipViews[level - 1], 'load');
+        }
+        const i = this.#intensity;
+        this.#renderFullscreen(commandEncoder, this.#compositePipeline, this.#compositeBindGroup,
+            this.#hdrTexture.createView(), 'load', { r: i, g: i, b: i, a: i });
+    }
+}
\ No newline at end of file
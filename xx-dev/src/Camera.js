@@ -8,21 +8,85 @@ const pitchMax = (Math.PI / 2) * 0.95;
 
 export class Camera {
     #initialPosition; // initial camera position
+    #initialYaw; // initial rotation left-right in radiant
+    #initialPitch; // initial rotation up-down in radiant
     #position; // camera position
     #yaw; // rotation left-right in radiant
     #pitch; // rotation up-down in radiant
     #direction; // the direction into which camera is looking; calculated from #yaw and #pitch
     #up; // the up vector of the camera
+    #fieldOfView = (2 * Math.PI) / 5; // vertical field of view in radiant
+    #zNear = 0.1; // distance to the near clipping plane
+    #zFar = 100.0; // distance to the far clipping plane
+    #movementSpeed = 5.0; // distance per second
+    #attachedLights = []; // lights that move and rotate with the camera
 
     /**
      * Creates a new camera.
      * @param {vec3} initialPosition The starting position of the camera.
+     * @param {number} initialYaw The starting rotation left (negative number) or right (positive number) in radian.
+     * @param {number} initialPitch The starting rotation up (positive number) or down (negative number) in radian.
      */
-    constructor(initialPosition) {
+    constructor(initialPosition, initialYaw = 0.0, initialPitch = 0.0) {
         this.#initialPosition = vec3.copy(initialPosition);
+        this.#initialYaw = initialYaw;
+        this.#initialPitch = Math.min(pitchMax, Math.max(-pitchMax, initialPitch));
         this.reset();
     }
 
+    /**
+     * Creates a camera at the given position that looks into the given direction.
+     * @param {vec3} position the position of the camera
+     * @param {vec3} direction the direction into which the camera is looking
+     * @returns {Camera} the camera
+     */
+    static fromDirection(position, direction) {
+        // The direction is calculated by rotating the initial direction (0, 0, 1)
+        // around the x-axis (pitch) and then around the y-axis (yaw).
+        const d = vec3.normalize(direction);
+        const yaw = Math.atan2(d[0], d[2]);
+        const pitch = Math.asin(-Math.min(1.0, Math.max(-1.0, d[1])));
+        return new Camera(position, yaw, pitch);
+    }
+
+    /**
+     * Sets the perspective projection of the camera.
+     * @param {number} fieldOfView the vertical field of view in radian
+     * @param {number} zNear the distance to the near clipping plane
+     * @param {number} zFar the distance to the far clipping plane
+     */
+    setPerspective(fieldOfView, zNear, zFar) {
+        this.#fieldOfView = fieldOfView;
+        this.#zNear = zNear;
+        this.#zFar = zFar;
+    }
+
+    getZNear() {
+        return this.#zNear;
+    }
+
+    getZFar() {
+        return this.#zFar;
+    }
+
+    /**
+     * Attaches a light to the camera so that it follows the view (e.g. a flashlight).
+     * The light is moved to the camera position and shines into the direction of the camera.
+     * @param {SpotLight} light the light with the methods setPosition and setDirection
+     */
+    attachLight(light) {
+        this.#attachedLights.push(light);
+        this.#updateAttachedLights();
+    }
+
+    /**
+     * Detaches a light from the camera. The light stays where it is.
+     * @param {SpotLight} light the light that was attached with attachLight
+     */
+    detachLight(light) {
+        this.#attachedLights = this.#attachedLights.filter(l => l !== light);
+    }
+
     /**
      * Returns the camera position.
      * @returns {vec3} the camera position
@@ -36,10 +100,11 @@ export class Camera {
      */
     reset() {
         this.#position = vec3.copy(this.#initialPosition);
-        this.#yaw = 0.0;
-        this.#pitch = 0.0;
+        this.#yaw = this.#initialYaw;
+        this.#pitch = this.#initialPitch;
         this.#direction = vec3.copy(initialDirection);
         this.#up = vec3.fromValues(0, -1, 0);
+        this.#updateDirection();
     }
 
     /**
@@ -54,25 +119,40 @@ export class Camera {
 
         this.#yaw += yawDelta
         this.#pitch = Math.min(pitchMax, Math.max(-pitchMax, this.#pitch + pitchDelta));
+        this.#updateDirection();
+    }
 
+    #updateDirection() {
         const rot = mat4.identity();
         mat4.rotateY(rot, this.#yaw, rot);
         mat4.rotateX(rot, this.#pitch, rot);
         vec3.transformMat4(initialDirection, rot, this.#direction);
+        this.#updateAttachedLights();
+    }
+
+    #updateAttachedLights() {
+        for (let light of this.#attachedLights) {
+            light.setPosition(this.#position);
+            light.setDirection(this.#direction);
+        }
     }
 
     /**
-     * Moves the camera by a delta from the current position.
-     * @param {number} forwardBackwardDelta the amount to move forward (positive number) or backward (negative number)
-     * @param {number} leftRightDelta the amount to move left (negative number) or right (positive number)
+     * Moves the camera from the current position with the movement speed of the camera.
+     * @param {number} forwardBackward the direction to move forward (1) or backward (-1)
+     * @param {number} leftRight the direction to move left (-1) or right (1)
+     * @param {number} deltaTime the time in seconds for which the camera moves
      */
-    move(forwardBackwardDelta, leftRightDelta) {
+    move(forwardBackward, leftRight, deltaTime) {
+        const forwardBackwardDelta = forwardBackward * this.#movementSpeed * deltaTime;
+        const leftRightDelta = leftRight * this.#movementSpeed * deltaTime;
         const translateForwardBackward = vec3.scale(this.#direction, forwardBackwardDelta)
         vec3.add(this.#position, translateForwardBackward, this.#position)
 
         const directionLeft = vec3.normalize(vec3.cross(this.#direction, this.#up));
         const translateLeftRight = vec3.scale(directionLeft, leftRightDelta)
         vec3.add(this.#position, translateLeftRight, this.#position)
+        this.#updateAttachedLights();
     }
 
     /**
@@ -82,20 +162,65 @@ export class Camera {
      * @returns the view and projection matrix
      */
     getViewProjectionMatrix(canvas) {
+        return this.#calcViewProjectionMatrix(canvas, this.#zNear, this.#zFar);
+    }
+
+    /**
+     * Returns the corners of a part of the view frustum of the camera.
+     * 
+     * @param {HTMLCanvasElement} canvas the canvas that is used to render the scene
+     * @param {number} zNear the distance of the near plane of the part
+     * @param {number} zFar the distance of the far plane of the part
+     * @returns {Array} the eight corners (vec3) in world space
+     */
+    getFrustumCorners(canvas, zNear, zFar) {
+        const inverseViewProjectionMatrix = mat4.inverse(this.#calcViewProjectionMatrix(canvas, zNear, zFar));
+        const corners = [];
+        for (let z of [0, 1]) {
+            for (let y of [-1, 1]) {
+                for (let x of [-1, 1]) {
+                    corners.push(vec3.transformMat4(vec3.create(x, y, z), inverseViewProjectionMatrix));
+                }
+            }
+        }
+        return corners;
+    }
+
+    /**
+     * Returns the view matrix that transforms world space to view space, where the camera looks along -z.
+     * @returns the view matrix
+     */
+    getViewMatrix() {
+        const camTarget = vec3.add(this.#position, this.#direction)
+        return mat4.lookAt(this.#position, camTarget, this.#up);
+    }
+
+    /**
+     * Returns the perspective projection matrix of the camera.
+     * 
+     * @param {HTMLCanvasElement} canvas the canvas that is used to render the scene
+     * @returns the projection matrix
+     */
+    getProjectionMatrix(canvas) {
+        return this.#calcProjectionMatrix(canvas, this.#zNear, this.#zFar);
+    }
+
+    #calcProjectionMatrix(canvas, zNear, zFar) {
         const aspect = canvas.width / canvas.height;
-        const fieldOfView = (2 * Math.PI) / 5;
-        const projectionMatrix = mat4.perspective(
-            fieldOfView,
+        return mat4.perspective(
+            this.#fieldOfView,
             aspect,
-            0.1,
-            100.0
+            zNear,
+            zFar
         );
+    }
 
-        const camTarget = vec3.add(this.#position, this.#direction)
-        const viewMatrix = mat4.lookAt(this.#position, camTarget, this.#up);
+    #calcViewProjectionMatrix(canvas, zNear, zFar) {
+        const projectionMatrix = this.#calcProjectionMatrix(canvas, zNear, zFar);
+        const viewMatrix = this.getViewMatrix();
 
         const viewProjectionMatrix = mat4.create();
         mat4.multiply(projectionMatrix, viewMatrix, viewProjectionMatrix);
         return viewProjectionMatrix;
     }
-} 
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,142 @@
+import * as utils from './utils.js';
+
+/**
+ * Render pass that shows the number of lights in the light cluster of each fragment as heatmap (for
+ * debugging the LightClusterPass). The meshes are rendered again over the tone mapped scene, so that
+ * the colors of the heatmap are not changed by the exposure and the tone mapping.
+ */
+export class ClusterHeatmapRenderPass {
+    #gpuDevice;
+    #shaderModule;
+    #renderTargets;
+    #camera;
+    #lightClusters;
+    #renderPipeline;
+    #sampleCount;
+    #uniformsBindGroup;
+    #clustersBindGroup;
+    #meshData;
+    #modelMatrixBindGroups;
+    #enabled = false;
+
+    /**
+     * @param {GPUDevice} gpuDevice the GPU device
+     * @param {object} renderTargets the render targets
+     * @param {object} camera the camera with the uniform buffer
+     * @param {object} lightClusters the clusters with the lights (see LightClusterPass)
+     * @param {object} meshData the meshes of the scene
+     */
+    async init(gpuDevice, renderTargets, camera, lightClusters, meshData) {
+        this.#gpuDevice = gpuDevice;
+        this.#renderTargets = renderTargets;
+        this.#camera = camera;
+        this.#lightClusters = lightClusters;
+        this.#meshData = meshData;
+
+        const shaders = await utils.loadShaders('clusters.wgsl') + await utils.loadShaders('cluster-heatmap-shaders.wgsl');
+        this.#shaderModule = gpuDevice.createShaderModule({ code: shaders });
+
+        this.#createRenderPipeline();
+    }
+
+    getEnabled() {
+        return this.#enabled;
+    }
+
+    setEnabled(value) {
+        this.#enabled = value;
+    }
+
+    /**
+     * Creates the render pipeline for the sample count of the render targets and the BindGroups
+     * that use the pipeline.
+     */
+    #createRenderPipeline() {
+        const gpuDevice = this.#gpuDevice;
+        this.#sampleCount = this.#renderTargets.sampleCount;
+
+        this.#renderPipeline = gpuDevice.createRenderPipeline({
+            vertex: {
+                module: this.#shaderModule,
+                entryPoint: 'vertex_main',
+                buffers: this.#meshData.vertexBufferLayout
+            },
+            fragment: {
+                module: this.#shaderModule,
+                entryPoint: 'fragment_main',
+                targets: [{
+                    format: navigator.gpu.getPreferredCanvasFormat(),
+                    // Blend the heatmap over the scene and keep the alpha of the canvas.
+                    blend: {
+                        color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha' },
+                        alpha: { srcFactor: 'zero', dstFactor: 'one' },
+                    },
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list',
+                cullMode: 'back',
+            },
+            multisample: {
+                count: this.#sampleCount,
+            },
+            layout: 'auto',
+            // Only the surfaces that are visible in the scene pass the depth test.
+            depthStencil: {
+                depthWriteEnabled: false,
+                depthCompare: 'less-equal',
+                format: 'depth24plus',
+            },
+        });
+
+        this.#uniformsBindGroup = utils.createBindGroup(gpuDevice, this.#renderPipeline, 0, [
+            { buffer: this.#camera.buffer }
+        ]);
+        this.#modelMatrixBindGroups = this.#meshData.modelMatrices.map(
+            m => m.createBindGroup(this.#renderPipeline, 1)
+        );
+        this.#clustersBindGroup = utils.createBindGroup(gpuDevice, this.#renderPipeline, 2, [
+            { buffer: this.#lightClusters.paramsBuffer },
+            { buffer: this.#lightClusters.lightsBuffer },
+        ]);
+    }
+
+    /**
+     * Renders the heatmap over the next frame. Must be called after the tone mapping.
+     * 
+     * @param {GPUCanvasContext} drawingContext the canvas on which the frame is drawn
+     * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
+     */
+    renderFrame(drawingContext, commandEncoder) {
+        if (this.#sampleCount != this.#renderTargets.sampleCount) {
+            this.#createRenderPipeline();
+        }
+
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                ...this.#renderTargets.getColorAttachmentViews(drawingContext),
+                loadOp: 'load',
+                storeOp: 'store',
+            }],
+            depthStencilAttachment: {
+                view: this.#renderTargets.depthTexture.createView(),
+                depthLoadOp: 'load',
+                depthStoreOp: 'store',
+            }
+        });
+
+        passEncoder.setPipeline(this.#renderPipeline);
+        passEncoder.setVertexBuffer(0, this.#meshData.vertexBuffer);
+        passEncoder.setIndexBuffer(this.#meshData.indexBuffer, this.#meshData.indexFormat);
+        passEncoder.setBindGroup(this.#uniformsBindGroup.number, this.#uniformsBindGroup.group);
+        passEncoder.setBindGroup(this.#clustersBindGroup.number, this.#clustersBindGroup.group);
+        const meshList = this.#meshData.meshList;
+        for (let i = 0; i < meshList.length; ++i) {
+            const bindGroup = this.#modelMatrixBindGroups[i];
+            passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
+            const mesh = meshList[i];
+            passEncoder.drawIndexed(mesh.indexCount, 1, mesh.firstIndex, mesh.firstVertex);
+        }
+        passEncoder.end();
+    }
+}
\ No newline at end of file
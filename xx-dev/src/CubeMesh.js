@@ -3,6 +3,8 @@ import {
     vec3,
     mat4
 } from '../imports/wgpu-matrix.module.js';
+import { Mesh, createIndexedVertexData } from './Mesh.js';
+import { calcTangents } from './tangentSpace.js';
 
 const cubeVertices = [
     vec3.fromValues(-1, -1, -1),  // 0
@@ -46,97 +48,22 @@ const texCoords = [
     vec2.fromValues(1, 1),
 ];
 
-export class CubeMesh {
+/**
+ * A cube that is centered around the origin.
+ */
+export class CubeMesh extends Mesh {
 
-    #position = vec3.create(0.0, 0.0, 0.0);
-    #rotationAxis = vec3.create(1.0, 0.0, 0.0);
-    #rotationRad = 0.0;
-    #vertexData
-
-    constructor(isSolid = true, specularShininess = 32.0, scale = 1.0) {
-        this.#calcVertexData(isSolid, specularShininess, scale)
-    }
-
-    /**
-     * Moves the cube to a specific position.
-     * @param {vec3} position the position to which the cube is moved
-     */
-    moveTo(position) {
-        this.#position = position;
-    }
-
-    /**
-     * Rotates the cube around the given axis.
-     * @param {vec3} rotationAxis the axix around which the cube is rotated
-     * @param {number} rotationRad the angle by which to rotate in radiant
-     */
-    setRotation(rotationAxis, rotationRad) {
-        this.#rotationAxis = rotationAxis;
-        this.#rotationRad = rotationRad;
-    }
-
-    getVertices() {
-        return this.#vertexData;
-    }
-
-    getVertexCount() {
-        return this.#vertexData.length / 15;
+    constructor(isSolid = true, scale = 1.0) {
+        const data = CubeMesh.#calcVertexData(isSolid, scale);
+        super(data.vertexData, data.indices, 'Cube');
     }
 
-    getTriangleCount() {
-        return this.getVertexCount() / 3;
-    }
-
-    getModelMatrix() {
-        const modelMatrix = mat4.identity();
-        mat4.rotate(
-            modelMatrix,
-            this.#rotationAxis,
-            this.#rotationRad,
-            modelMatrix
-        );
-        mat4.translate(modelMatrix, this.#position, modelMatrix);
-        return modelMatrix;
-    }
-
-    getVertexLayout() {
-        return {
-            attributes: [{
-                shaderLocation: 0, // position
-                offset: 0,
-                format: 'float32x3'
-            }, {
-                shaderLocation: 1, // normal
-                offset: 12,
-                format: 'float32x3'
-            }, {
-                shaderLocation: 2, // texture tangent
-                offset: 24,
-                format: 'float32x3'
-            }, {
-                shaderLocation: 3, // texture bitangent
-                offset: 36,
-                format: 'float32x3'
-            }, {
-                shaderLocation: 4, // texture coordinates
-                offset: 48,
-                format: 'float32x2'
-            }, {
-                shaderLocation: 5, // specularShininess
-                offset: 56,
-                format: 'float32'
-            }],
-            arrayStride: 60,
-            stepMode: 'vertex'
-        };
-    }
-
-    #calcVertexData(isSolid, specularShininess, scale) {
+    static #calcVertexData(isSolid, scale) {
         const scaleMatrix = mat4.scale(
             mat4.identity(), vec3.create(1 * scale, 1 * scale, (isSolid ? 1 : -1) * scale)
         );
 
-        let vd = new Array();
+        const vertices = [];
         for (var i = 0; i < cubeFaces.length; i += 3) {
             var v1 = cubeVertices[cubeFaces[i + 0]];
             var v2 = cubeVertices[cubeFaces[i + 1]];
@@ -154,63 +81,16 @@ export class CubeMesh {
             const t2 = vec2.scale(texCoords[i % 6 + 1], scale);
             const t3 = vec2.scale(texCoords[i % 6 + 2], scale);
 
-            // Calculate Tangent and Bitangent that are used for normal mapping.
-            // This works if the normal vector is the same for all vertices and 
-            // perpendicular to the face.
-            // If each vertex uses a different normal (e.g. normales of adjacent 
-            // faces are smoothed) we have to calculate tantent and bitangent
-            // vectors for each vertex. In addition to that if the normals
-            // are not perpendicular to the face we have to re-orthogonalize
-            // the tangent, bitangent and normal vectors. 
-            const tangentCoordinates = this.#calcTangentAndBitangent(
-                edge1, edge2, vec2.sub(t1, t2), vec2.sub(t1, t3)
-            );
-
-            vd = vd.concat(Array.from(v1));
-            vd = vd.concat(Array.from(faceNormal));
-            vd = vd.concat(Array.from(tangentCoordinates.t));
-            vd = vd.concat(Array.from(tangentCoordinates.b));
-            vd = vd.concat(Array.from(t1));
-            vd.push(specularShininess);
-
-            vd = vd.concat(Array.from(v2));
-            vd = vd.concat(Array.from(faceNormal));
-            vd = vd.concat(Array.from(tangentCoordinates.t));
-            vd = vd.concat(Array.from(tangentCoordinates.b));
-            vd = vd.concat(Array.from(t2));
-            vd.push(specularShininess);
-
-            vd = vd.concat(Array.from(v3));
-            vd = vd.concat(Array.from(faceNormal));
-            vd = vd.concat(Array.from(tangentCoordinates.t));
-            vd = vd.concat(Array.from(tangentCoordinates.b));
-            vd = vd.concat(Array.from(t3));
-            vd.push(specularShininess);
+            for (let [v, t] of [[v1, t1], [v2, t2], [v3, t3]]) {
+                vertices.push({
+                    position: v,
+                    normal: faceNormal,
+                    texCoord: t
+                });
+            }
         }
-        this.#vertexData = new Float32Array(vd)
-    }
-
-    /**
-     * Calculate Tangent and Bitangent that are used for normal mapping.
-     * 
-     * @param {vec3} edge1 vector between two vertices of a triangle
-     * @param {vec3} edge2 vector between two different vertices of a triangle
-     * @param {vec2} texEdge1 difference in the texture coordinates of the two vertices of edge1
-     * @param {vec2} texEdge2 difference in the texture coordinates of the two vertices of edge2
-     * @returns 
-     */
-    #calcTangentAndBitangent(edge1, edge2, texEdge1, texEdge2) {
-        let f = 1.0 / (texEdge1[0] * texEdge2[1] - texEdge2[0] * texEdge1[1]);
-        let tangent = vec3.create(
-            f * (texEdge2[1] * edge1[0] - texEdge1[1] * edge2[0]),
-            f * (texEdge2[1] * edge1[1] - texEdge1[1] * edge2[1]),
-            f * (texEdge2[1] * edge1[2] - texEdge1[1] * edge2[2]),
-        );
-        let bitangent = vec3.create(
-            f * (-texEdge2[0] * edge1[0] + texEdge1[0] * edge2[0]),
-            f * (-texEdge2[0] * edge1[1] + texEdge1[0] * edge2[1]),
-            f * (-texEdge2[0] * edge1[2] + texEdge1[0] * edge2[2]),
-        );
-        return { t: vec3.normalize(tangent), b: vec3.normalize(bitangent) }
+        // Calculate the tangents that are used for normal mapping.
+        calcTangents(vertices);
+        return createIndexedVertexData(vertices);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,280 @@
+import * as utils from './utils.js';
+import { LightType, AttenuationModel } from './Light.js';
+import { ShadingModel } from './Material.js';
+
+// The formats of the color textures of the G-buffer (see GBufferOut in gbuffer-shaders.wgsl)
+const gBufferFormats = Object.freeze({
+    albedo: 'rgba8unorm-srgb',
+    normals: 'rgba16float',
+    material: 'rgba16float',
+    emissive: 'rgba16float',
+});
+
+/**
+ * Render pass that renders the scene with deferred shading. The meshes are rendered to the G-buffer,
+ * which contains the color, normal and material of the surface at each pixel. The lighting pass then
+ * calculates the lighting once per pixel instead of once per fragment of every mesh. The result is the
+ * same as the result of the standard render pass.
+ */
+export class DeferredRenderPass {
+    #gpuDevice;
+    #renderTargets;
+    #camera;
+    #renderOptions;
+    #lights;
+    #shadowMaps;
+    #lightClusters;
+    #ambientOcclusion;
+    #environmentLighting;
+    #meshData;
+    #gBufferPipeline;
+    #gBufferUniformsBindGroup;
+    #modelMatrixBindGroups;
+    #materialBindGroups;
+    #gBufferTextures = null;
+    #depthTexture = null;
+    #lightingShaderModule;
+    #lightingPipeline;
+    #sampleCount;
+    #uniformsBindGroup;
+    #gBufferBindGroup;
+    #lightsBindGroup;
+    // The textures for which the BindGroups of the lighting pass were created
+    #ambientOcclusionTexture = null;
+    #boundDepthTexture = null;
+
+    async init(gpuDevice, renderTargets, camera, renderOptions, lights, shadowMaps, lightClusters, ambientOcclusion, environmentLighting, meshData) {
+        this.#gpuDevice = gpuDevice;
+        this.#renderTargets = renderTargets;
+        this.#camera = camera;
+        this.#renderOptions = renderOptions;
+        this.#lights = lights;
+        this.#shadowMaps = shadowMaps;
+        this.#lightClusters = lightClusters;
+        this.#ambientOcclusion = ambientOcclusion;
+        this.#environmentLighting = environmentLighting;
+        this.#meshData = meshData;
+
+        const gBufferShaders = await utils.loadShaders('mesh.wgsl') + await utils.loadShaders('material.wgsl') +
+            await utils.loadShaders('gbuffer-shaders.wgsl');
+        const gBufferShaderModule = gpuDevice.createShaderModule({ code: gBufferShaders });
+        this.#gBufferPipeline = gpuDevice.createRenderPipeline({
+            vertex: {
+                module: gBufferShaderModule,
+                entryPoint: 'vertex_main',
+                buffers: meshData.vertexBufferLayout
+            },
+            fragment: {
+                module: gBufferShaderModule,
+                entryPoint: 'fragment_main',
+                targets: Object.values(gBufferFormats).map(format => ({ format: format })),
+                constants: {
+                    SHADING_MODEL_METALLIC_ROUGHNESS: ShadingModel.MetallicRoughness,
+                }
+            },
+            primitive: {
+                topology: 'triangle-list',
+                cullMode: 'back',
+            },
+            layout: 'auto',
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth32float',
+            },
+        });
+        this.#gBufferUniformsBindGroup = utils.createBindGroup(gpuDevice, this.#gBufferPipeline, 0, [
+            { buffer: camera.buffer },
+            { buffer: renderOptions.getBuffer() },
+        ]);
+        this.#modelMatrixBindGroups = meshData.modelMatrices.map(
+            m => m.createBindGroup(this.#gBufferPipeline, 1)
+        );
+        this.#materialBindGroups = meshData.materials.map(
+            m => m.createBindGroup(this.#gBufferPipeline, 3)
+        );
+
+        // The lighting is shared with the standard render pass.
+        const lightingShaders = await utils.loadShaders('clusters.wgsl') + await utils.loadShaders('lighting.wgsl') +
+            await utils.loadShaders('fullscreen.wgsl') + await utils.loadShaders('deferred-shaders.wgsl');
+        this.#lightingShaderModule = gpuDevice.createShaderModule({ code: lightingShaders });
+
+        this.#createGBufferTextures();
+        this.#createLightingPipeline();
+    }
+
+    /**
+     * Creates the textures of the G-buffer with the size of the render targets.
+     */
+    #createGBufferTextures() {
+        const size = [this.#renderTargets.hdrTexture.width, this.#renderTargets.hdrTexture.height];
+        if (this.#gBufferTextures !== null) {
+            Object.values(this.#gBufferTextures).forEach(t => t.destroy());
+        }
+        this.#depthTexture?.destroy();
+
+        this.#gBufferTextures = Object.fromEntries(Object.entries(gBufferFormats).map(([name, format]) => [
+            name,
+            this.#gpuDevice.createTexture({
+                size: size,
+                format: format,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+            }),
+        ]));
+        this.#depthTexture = this.#gpuDevice.createTexture({
+            size: size,
+            format: 'depth32float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        });
+    }
+
+    /**
+     * Creates the pipeline of the lighting pass for the sample count of the render targets and the
+     * BindGroups that use the pipeline. The lighting pass writes the depth of the G-buffer to the
+     * depth texture of the render targets, so it uses the same number of samples.
+     */
+    #createLightingPipeline() {
+        const gpuDevice = this.#gpuDevice;
+        const shadowMaps = this.#shadowMaps;
+        this.#sampleCount = this.#renderTargets.sampleCount;
+
+        this.#lightingPipeline = gpuDevice.createRenderPipeline({
+            vertex: {
+                module: this.#lightingShaderModule,
+                entryPoint: 'vertex_main',
+            },
+            fragment: {
+                module: this.#lightingShaderModule,
+                entryPoint: 'fragment_main',
+                targets: [{ format: this.#renderTargets.hdrFormat }],
+                constants: {
+                    LIGHT_TYPE_POINT: LightType.Point,
+                    LIGHT_TYPE_DIRECTIONAL: LightType.Directional,
+                    LIGHT_TYPE_SPOT: LightType.Spot,
+                    ATTENUATION_MODEL_POLYNOMIAL: AttenuationModel.Polynomial,
+                    ATTENUATION_MODEL_INVERSE_SQUARE: AttenuationModel.InverseSquare,
+                    SHADING_MODEL_METALLIC_ROUGHNESS: ShadingModel.MetallicRoughness,
+                }
+            },
+            primitive: {
+                topology: 'triangle-list',
+            },
+            multisample: {
+                count: this.#sampleCount,
+            },
+            layout: 'auto',
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'always',
+                format: 'depth24plus',
+            },
+        });
+
+        this.#createUniformsBindGroup();
+        this.#createGBufferBindGroup();
+        this.#lightsBindGroup = utils.createBindGroup(gpuDevice, this.#lightingPipeline, 2, [
+            { buffer: this.#lights.buffer },
+            { buffer: shadowMaps.buffer },
+            shadowMaps.textureView,
+            shadowMaps.sampler,
+            shadowMaps.pointTextureView,
+            { buffer: this.#lightClusters.paramsBuffer },
+            { buffer: this.#lightClusters.lightsBuffer },
+            this.#environmentLighting.sampler,
+            this.#environmentLighting.irradianceView,
+            this.#environmentLighting.prefilteredView,
+            this.#environmentLighting.brdfLutView,
+        ]);
+    }
+
+    #createUniformsBindGroup() {
+        this.#ambientOcclusionTexture = this.#ambientOcclusion.texture;
+        this.#uniformsBindGroup = utils.createBindGroup(this.#gpuDevice, this.#lightingPipeline, 0, [
+            { buffer: this.#camera.buffer },
+            { buffer: this.#renderOptions.getBuffer() },
+            this.#ambientOcclusionTexture.createView(),
+            this.#ambientOcclusion.rawTexture.createView(),
+        ]);
+    }
+
+    #createGBufferBindGroup() {
+        this.#boundDepthTexture = this.#depthTexture;
+        this.#gBufferBindGroup = utils.createBindGroup(this.#gpuDevice, this.#lightingPipeline, 1, [
+            ...Object.values(this.#gBufferTextures).map(t => t.createView()),
+            this.#depthTexture.createView(),
+        ]);
+    }
+
+    /**
+     * Renders the next frame.
+     * 
+     * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
+     */
+    renderFrame(commandEncoder) {
+        const hdrTexture = this.#renderTargets.hdrTexture;
+        if (this.#depthTexture.width != hdrTexture.width || this.#depthTexture.height != hdrTexture.height) {
+            this.#createGBufferTextures();
+        }
+        if (this.#sampleCount != this.#renderTargets.sampleCount) {
+            this.#createLightingPipeline();
+        }
+        if (this.#ambientOcclusionTexture !== this.#ambientOcclusion.texture) {
+            this.#createUniformsBindGroup();
+        }
+        if (this.#boundDepthTexture !== this.#depthTexture) {
+            this.#createGBufferBindGroup();
+        }
+
+        // Render the meshes to the G-buffer.
+        const gBufferPassEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: Object.values(this.#gBufferTextures).map(t => ({
+                view: t.createView(),
+                clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 0.0 },
+                loadOp: 'clear',
+                storeOp: 'store',
+            })),
+            depthStencilAttachment: {
+                view: this.#depthTexture.createView(),
+                depthClearValue: 1.0,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'store',
+            }
+        });
+        gBufferPassEncoder.setPipeline(this.#gBufferPipeline);
+        gBufferPassEncoder.setVertexBuffer(0, this.#meshData.vertexBuffer);
+        gBufferPassEncoder.setIndexBuffer(this.#meshData.indexBuffer, this.#meshData.indexFormat);
+        gBufferPassEncoder.setBindGroup(this.#gBufferUniformsBindGroup.number, this.#gBufferUniformsBindGroup.group);
+        const meshList = this.#meshData.meshList;
+        for (let i = 0; i < meshList.length; ++i) {
+            const bindGroup = this.#modelMatrixBindGroups[i];
+            gBufferPassEncoder.setBindGroup(bindGroup.number, bindGroup.group);
+
+            const mesh = meshList[i];
+            const materialBindGroup = this.#materialBindGroups[mesh.materialIndex];
+            gBufferPassEncoder.setBindGroup(materialBindGroup.number, materialBindGroup.group);
+            gBufferPassEncoder.drawIndexed(mesh.indexCount, 1, mesh.firstIndex, mesh.firstVertex);
+        }
+        gBufferPassEncoder.end();
+
+        // Light every pixel of the G-buffer.
+        const lightingPassEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                ...this.#renderTargets.getHdrColorAttachmentViews(),
+                loadOp: 'clear',
+                storeOp: 'store',
+            }],
+            depthStencilAttachment: {
+                view: this.#renderTargets.depthTexture.createView(),
+                depthClearValue: 1.0,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'store',
+            }
+        });
+        lightingPassEncoder.setPipeline(this.#lightingPipeline);
+        lightingPassEncoder.setBindGroup(this.#uniformsBindGroup.number, this.#uniformsBindGroup.group);
+        lightingPassEncoder.setBindGroup(this.#gBufferBindGroup.number, this.#gBufferBindGroup.group);
+        lightingPassEncoder.setBindGroup(this.#lightsBindGroup.number, this.#lightsBindGroup.group);
+        lightingPassEncoder.draw(3);
+        lightingPassEncoder.end();
+    }
+}
\ No newline at end of file
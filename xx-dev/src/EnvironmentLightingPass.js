@@ -0,0 +1,188 @@
+import * as utils from './utils.js';
+
+/**
+ * Compute pass that prepares the cube map of the sky for image-based lighting (IBL). It creates an
+ * irradiance cube map for the diffuse light, a prefiltered cube map whose mip levels contain the
+ * specular reflection of increasing roughness and a lookup table (LUT) of the BRDF for the
+ * split-sum approximation. The lighting is only calculated again when the sky changes (see setSky()).
+ */
+export class EnvironmentLightingPass {
+    #gpuDevice;
+    #environmentLighting;
+    #sampler;
+    #environmentTexture;
+    #irradianceTexture;
+    #prefilteredTexture;
+    #environmentPipeline;
+    #downsamplePipeline;
+    #irradiancePipeline;
+    #prefilteredPipeline;
+    // The uniform buffers with the intensity of the sky and the roughness of each prefiltered mip level
+    #intensityBuffer;
+    #roughnessBuffers;
+
+    // The size of the faces of the cube maps
+    #environmentSize = 128;
+    #irradianceSize = 32;
+    #prefilteredSize = 128;
+    // The smallest mip level of the prefiltered cube map has 8x8 texels per face.
+    #prefilteredMipLevelCount = 5;
+    #brdfLutSize = 256;
+
+    /**
+     * @param {GPUDevice} gpuDevice the GPU device
+     * @param {GPUTexture} skyTexture the cube map of the sky (see SkyboxRenderPass)
+     * @param {number} intensity the factor that is multiplied with the colors of the sky
+     */
+    async init(gpuDevice, skyTexture, intensity) {
+        this.#gpuDevice = gpuDevice;
+
+        const shaders = await utils.loadShaders('cubemap.wgsl') + await utils.loadShaders('sampling.wgsl') +
+            await utils.loadShaders('environment-shaders.wgsl');
+        const shaderModule = gpuDevice.createShaderModule({ code: shaders });
+        const brdfLutShaders = await utils.loadShaders('sampling.wgsl') + await utils.loadShaders('brdf-lut-shaders.wgsl');
+        const brdfLutShaderModule = gpuDevice.createShaderModule({ code: brdfLutShaders });
+
+        this.#sampler = gpuDevice.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear',
+            mipmapFilter: 'linear',
+            addressModeU: 'clamp-to-edge',
+            addressModeV: 'clamp-to-edge',
+        });
+        this.#environmentTexture = this.#createCubeTexture(
+            this.#environmentSize, utils.calcMipLevelCount(this.#environmentSize, this.#environmentSize)
+        );
+        this.#irradianceTexture = this.#createCubeTexture(this.#irradianceSize, 1);
+        this.#prefilteredTexture = this.#createCubeTexture(this.#prefilteredSize, this.#prefilteredMipLevelCount);
+        const brdfLutTexture = gpuDevice.createTexture({
+            size: [this.#brdfLutSize, this.#brdfLutSize],
+            format: 'rgba16float',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.STORAGE_BINDING,
+        });
+
+        const createPipeline = (module, entryPoint) => gpuDevice.createComputePipeline({
+            compute: { module: module, entryPoint: entryPoint },
+            layout: 'auto',
+        });
+        this.#environmentPipeline = createPipeline(shaderModule, 'compute_environment');
+        this.#downsamplePipeline = createPipeline(shaderModule, 'compute_downsample');
+        this.#irradiancePipeline = createPipeline(shaderModule, 'compute_irradiance');
+        this.#prefilteredPipeline = createPipeline(shaderModule, 'compute_prefiltered');
+        const brdfLutPipeline = createPipeline(brdfLutShaderModule, 'compute_brdf_lut');
+
+        this.#intensityBuffer = this.#createParamsBuffer(intensity);
+        // The roughness increases linearly from 0.0 at the first to 1.0 at the last mip level.
+        this.#roughnessBuffers = Array.from({ length: this.#prefilteredMipLevelCount },
+            (_, level) => this.#createParamsBuffer(level / (this.#prefilteredMipLevelCount - 1))
+        );
+
+        // The BRDF LUT does not depend on the sky.
+        const commandEncoder = gpuDevice.createCommandEncoder();
+        const passEncoder = commandEncoder.beginComputePass();
+        const brdfLutBindGroup = utils.createBindGroup(gpuDevice, brdfLutPipeline, 0, [brdfLutTexture.createView()]);
+        passEncoder.setPipeline(brdfLutPipeline);
+        passEncoder.setBindGroup(brdfLutBindGroup.number, brdfLutBindGroup.group);
+        passEncoder.dispatchWorkgroups(Math.ceil(this.#brdfLutSize / 8), Math.ceil(this.#brdfLutSize / 8));
+        passEncoder.end();
+        gpuDevice.queue.submit([commandEncoder.finish()]);
+
+        this.#environmentLighting = {
+            sampler: this.#sampler,
+            irradianceView: this.#irradianceTexture.createView({ dimension: 'cube' }),
+            prefilteredView: this.#prefilteredTexture.createView({ dimension: 'cube' }),
+            brdfLutView: brdfLutTexture.createView(),
+        };
+        this.setSky(skyTexture, intensity);
+    }
+
+    /**
+     * Calculates the lighting of a sky. The results are written to the same textures, so the views
+     * of getEnvironmentLighting() stay valid.
+     * @param {GPUTexture} skyTexture the cube map of the sky (see SkyboxRenderPass)
+     * @param {number} intensity the factor that is multiplied with the colors of the sky
+     */
+    setSky(skyTexture, intensity) {
+        const environmentTexture = this.#environmentTexture;
+        utils.copyToBuffer(this.#gpuDevice, this.#intensityBuffer, new Float32Array([intensity]));
+        const commandEncoder = this.#gpuDevice.createCommandEncoder();
+        const passEncoder = commandEncoder.beginComputePass();
+
+        // Copy the sky to the environment map and create its mip levels.
+        this.#dispatchCubeMap(passEncoder, this.#environmentPipeline, 0, environmentTexture, 0, [
+            this.#sampler,
+            skyTexture.createView({ dimension: 'cube' }),
+            this.#storageView(environmentTexture, 0),
+            { buffer: this.#intensityBuffer },
+        ]);
+        for (let level = 1; level < environmentTexture.mipLevelCount; ++level) {
+            this.#dispatchCubeMap(passEncoder, this.#downsamplePipeline, 1, environmentTexture, level, [
+                environmentTexture.createView({ dimension: '2d-array', baseMipLevel: level - 1, mipLevelCount: 1 }),
+                this.#storageView(environmentTexture, level),
+            ]);
+        }
+
+        const environmentView = environmentTexture.createView({ dimension: 'cube' });
+        this.#dispatchCubeMap(passEncoder, this.#irradiancePipeline, 2, this.#irradianceTexture, 0, [
+            this.#sampler,
+            environmentView,
+            this.#storageView(this.#irradianceTexture, 0),
+        ]);
+        const prefilteredTexture = this.#prefilteredTexture;
+        for (let level = 0; level < prefilteredTexture.mipLevelCount; ++level) {
+            this.#dispatchCubeMap(passEncoder, this.#prefilteredPipeline, 3, prefilteredTexture, level, [
+                this.#sampler,
+                environmentView,
+                this.#storageView(prefilteredTexture, level),
+                { buffer: this.#roughnessBuffers[level] },
+            ]);
+        }
+
+        passEncoder.end();
+        this.#gpuDevice.queue.submit([commandEncoder.finish()]);
+    }
+
+    /**
+     * Returns the textures that are sampled to light the scene with the environment.
+     * @returns {object} the sampler, the irradiance and prefiltered cube maps and the BRDF LUT
+     */
+    getEnvironmentLighting() {
+        return this.#environmentLighting;
+    }
+
+    #createCubeTexture(size, mipLevelCount) {
+        return this.#gpuDevice.createTexture({
+            size: [size, size, 6],
+            mipLevelCount: mipLevelCount,
+            format: 'rgba16float',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.STORAGE_BINDING,
+        });
+    }
+
+    /**
+     * Creates a uniform buffer with a single number (the intensity or the roughness).
+     */
+    #createParamsBuffer(value) {
+        const buffer = this.#gpuDevice.createBuffer({
+            size: 16,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        utils.copyToBuffer(this.#gpuDevice, buffer, new Float32Array([value]));
+        return buffer;
+    }
+
+    #storageView(texture, level) {
+        return texture.createView({ dimension: '2d-array', baseMipLevel: level, mipLevelCount: 1 });
+    }
+
+    /**
+     * Runs a compute shader for every texel of all faces of a mip level of a cube map.
+     */
+    #dispatchCubeMap(passEncoder, pipeline, groupNumber, texture, level, entries) {
+        const bindGroup = utils.createBindGroup(this.#gpuDevice, pipeline, groupNumber, entries);
+        const size = Math.max(1, texture.width >> level);
+        passEncoder.setPipeline(pipeline);
+        passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
+        passEncoder.dispatchWorkgroups(Math.ceil(size / 8), Math.ceil(size / 8), 6);
+    }
+}
\ No newline at end of file
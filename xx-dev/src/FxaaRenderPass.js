@@ -0,0 +1,65 @@
+import * as utils from './utils.js';
+
+/**
+ * Post-processing render pass that anti-aliases the scene with Fast Approximate Anti-Aliasing (FXAA).
+ * The pass reads the tone mapped scene from the LDR texture of the render targets and renders to the canvas.
+ * FXAA is less accurate than multisampling but its cost does not depend on the scene.
+ */
+export class FxaaRenderPass {
+    #gpuDevice;
+    #renderTargets;
+    #renderPipeline;
+    #sampler;
+
+    async init(gpuDevice, renderTargets) {
+        this.#gpuDevice = gpuDevice;
+        this.#renderTargets = renderTargets;
+
+        const shaders = await utils.loadShaders('fullscreen.wgsl') + await utils.loadShaders('fxaa-shaders.wgsl');
+        const shaderModule = gpuDevice.createShaderModule({ code: shaders });
+
+        this.#renderPipeline = gpuDevice.createRenderPipeline({
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vertex_main',
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: 'fragment_main',
+                targets: [{ format: navigator.gpu.getPreferredCanvasFormat() }]
+            },
+            primitive: {
+                topology: 'triangle-list',
+            },
+            layout: 'auto',
+        });
+
+        this.#sampler = gpuDevice.createSampler({ minFilter: 'linear', magFilter: 'linear' });
+    }
+
+    /**
+     * Renders the next frame.
+     * 
+     * @param {GPUCanvasContext} drawingContext the canvas on which the frame is drawn
+     * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
+     */
+    renderFrame(drawingContext, commandEncoder) {
+        // The LDR texture is recreated when the render targets change, so the BindGroup is created for every frame.
+        const bindGroup = utils.createBindGroup(this.#gpuDevice, this.#renderPipeline, 0, [
+            this.#sampler,
+            this.#renderTargets.ldrTexture.createView(),
+        ]);
+
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                loadOp: 'clear',
+                storeOp: 'store',
+                view: drawingContext.getCurrentTexture().createView()
+            }],
+        });
+        passEncoder.setPipeline(this.#renderPipeline);
+        passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
+        passEncoder.draw(3);
+        passEncoder.end();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,392 @@
+import {
+    vec2,
+    vec3,
+    vec4,
+    mat4,
+} from '../imports/wgpu-matrix.module.js';
+import * as utils from './utils.js';
+import { Camera } from './Camera.js';
+import { Mesh, createIndexedVertexData } from './Mesh.js';
+import { calcTangents } from './tangentSpace.js';
+import { Material, ShadingModel, TextureSlot } from './Material.js';
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const GLB_CHUNK_TYPE_JSON = 0x4E4F534A;
+const GLB_CHUNK_TYPE_BIN = 0x004E4942;
+const PRIMITIVE_MODE_TRIANGLES = 4;
+
+const componentTypes = Object.freeze({
+    5120: { arrayType: Int8Array, normalizeDivisor: 127, signed: true },
+    5121: { arrayType: Uint8Array, normalizeDivisor: 255, signed: false },
+    5122: { arrayType: Int16Array, normalizeDivisor: 32767, signed: true },
+    5123: { arrayType: Uint16Array, normalizeDivisor: 65535, signed: false },
+    5125: { arrayType: Uint32Array, normalizeDivisor: 1, signed: false },
+    5126: { arrayType: Float32Array, normalizeDivisor: 1, signed: true },
+});
+
+const componentCounts = Object.freeze({
+    SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16
+});
+
+/**
+ * Loads scenes from glTF 2.0 files. Both, JSON files (.gltf) with external or embedded
+ * buffers and binary files (.glb) are supported.
+ * See https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html
+ */
+export class GltfLoader {
+
+    /**
+     * Loads the default scene of a glTF file.
+     *
+     * glTF uses a coordinate system with the y-axis pointing up. The scene is rotated so that
+     * it is upright in our coordinate system where the y-axis points down.
+     *
+     * @param {string} fileName the filename of the .gltf or .glb file
+     * @param {mat4} rootTransform a transformation that is applied to all nodes of the scene
+     * @returns an object with the root nodes of the node hierarchy (nodes) and all meshes (meshes),
+     *          cameras (cameras) and materials (materials) of the scene and the reasons why unsupported
+     *          primitives and cameras were skipped (skipped)
+     */
+    async load(fileName, rootTransform = mat4.identity()) {
+        const directory = fileName.substring(0, fileName.lastIndexOf('/') + 1);
+        const content = await utils.loadBinaryFile(fileName);
+
+        let json;
+        let glbBuffer = null;
+        if (content.byteLength >= 4 && new DataView(content).getUint32(0, true) == GLB_MAGIC) {
+            ({ json, glbBuffer } = this.#parseGlb(content));
+        } else {
+            json = JSON.parse(new TextDecoder().decode(content));
+        }
+
+        if (!json.asset?.version?.startsWith('2.')) {
+            throw Error("Unsupported glTF version in '" + fileName + "': " + json.asset?.version);
+        }
+        if (json.extensionsRequired?.length > 0) {
+            throw Error("glTF file '" + fileName + "' requires unsupported extensions: " +
+                json.extensionsRequired.join(', '));
+        }
+
+        const buffers = await Promise.all((json.buffers ?? []).map(
+            b => this.#loadBuffer(b, directory, glbBuffer)
+        ));
+        const gltf = { json: json, buffers: buffers };
+        const images = await Promise.all((json.images ?? []).map(
+            i => this.#loadImage(gltf, i, directory)
+        ));
+        const materials = (json.materials ?? []).map(m => this.#createMaterial(gltf, m, images));
+
+        // Rotate by 180 degrees around the x-axis to convert from the glTF coordinate system
+        // to ours. In contrast to mirroring the y-axis this does not change the winding order.
+        const sceneTransform = mat4.rotateX(rootTransform, Math.PI);
+
+        const result = { nodes: [], meshes: [], cameras: [], materials: materials, skipped: [] };
+        const scene = json.scenes?.[json.scene ?? 0];
+        for (let nodeIndex of scene?.nodes ?? []) {
+            result.nodes.push(this.#createNode(gltf, nodeIndex, sceneTransform, materials, result));
+        }
+        return result;
+    }
+
+    /**
+     * Splits a binary glTF file into the JSON and the binary chunk.
+     * See https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html#binary-gltf-layout
+     */
+    #parseGlb(content) {
+        const dataView = new DataView(content);
+        const version = dataView.getUint32(4, true);
+        if (version != 2) {
+            throw Error("Unsupported binary glTF version: " + version);
+        }
+        const length = Math.min(dataView.getUint32(8, true), content.byteLength);
+
+        let json = null;
+        let glbBuffer = null;
+        let offset = 12;
+        while (offset + 8 <= length) {
+            const chunkLength = dataView.getUint32(offset, true);
+            const chunkType = dataView.getUint32(offset + 4, true);
+            const chunkData = new Uint8Array(content, offset + 8, chunkLength);
+            if (chunkType == GLB_CHUNK_TYPE_JSON) {
+                json = JSON.parse(new TextDecoder().decode(chunkData));
+            } else if (chunkType == GLB_CHUNK_TYPE_BIN && glbBuffer === null) {
+                glbBuffer = chunkData;
+            }
+            // Chunks are aligned to 4 bytes.
+            offset += 8 + utils.align(chunkLength, 4);
+        }
+        if (json === null) {
+            throw Error("Binary glTF file does not contain a JSON chunk.");
+        }
+        return { json: json, glbBuffer: glbBuffer };
+    }
+
+    /**
+     * Loads a buffer that is either stored in a separate file, embedded as data URI
+     * or stored in the binary chunk of a GLB file.
+     * @returns {Uint8Array} the content of the buffer
+     */
+    async #loadBuffer(buffer, directory, glbBuffer) {
+        if (buffer.uri === undefined) {
+            if (glbBuffer === null) {
+                throw Error("glTF buffer without uri outside of a binary glTF file.");
+            }
+            return glbBuffer;
+        }
+        if (buffer.uri.startsWith('data:')) {
+            const response = await fetch(buffer.uri);
+            return new Uint8Array(await response.arrayBuffer());
+        }
+        return new Uint8Array(await utils.loadBinaryFile(directory + decodeURIComponent(buffer.uri)));
+    }
+
+    /**
+     * Loads an image that is either stored in a separate file, embedded as data URI
+     * or stored in a buffer view.
+     * @returns {ImageBitmap} the bitmap of the image
+     */
+    async #loadImage(gltf, image, directory) {
+        if (image.bufferView !== undefined) {
+            const blob = new Blob([this.#getBufferViewData(gltf, image.bufferView)], { type: image.mimeType });
+            return await createImageBitmap(blob, { colorSpaceConversion: 'none' });
+        }
+        if (image.uri.startsWith('data:')) {
+            const response = await fetch(image.uri);
+            return await createImageBitmap(await response.blob(), { colorSpaceConversion: 'none' });
+        }
+        return await utils.loadImage(directory + decodeURIComponent(image.uri));
+    }
+
+    #getBufferViewData(gltf, bufferViewIndex) {
+        const bufferView = gltf.json.bufferViews[bufferViewIndex];
+        const buffer = gltf.buffers[bufferView.buffer];
+        return new Uint8Array(buffer.buffer, buffer.byteOffset + (bufferView.byteOffset ?? 0), bufferView.byteLength);
+    }
+
+    /**
+     * Reads the data of an accessor.
+     * See https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html#accessor-data-types
+     *
+     * @returns {Array} an array with one array of numbers for each element of the accessor;
+     *                  normalized integers are converted to floating point numbers
+     */
+    #readAccessor(gltf, accessorIndex) {
+        const accessor = gltf.json.accessors[accessorIndex];
+        const componentType = componentTypes[accessor.componentType];
+        const numComponents = componentCounts[accessor.type];
+        const componentByteLength = componentType.arrayType.BYTES_PER_ELEMENT;
+        const divisor = accessor.normalized ? componentType.normalizeDivisor : 1;
+        // The smallest normalized signed integer (e.g. -128 for bytes) is clamped to -1.0.
+        const minValue = accessor.normalized && componentType.signed ? -1.0 : -Infinity;
+
+        const readElements = (bufferViewIndex, byteOffset, count, components) => {
+            const bufferView = gltf.json.bufferViews[bufferViewIndex];
+            const data = this.#getBufferViewData(gltf, bufferViewIndex);
+            const byteStride = bufferView.byteStride ?? components * componentByteLength;
+            const elements = [];
+            for (let i = 0; i < count; ++i) {
+                // Elements are not necessarily aligned within the buffer, so they are copied first.
+                const start = byteOffset + i * byteStride;
+                const bytes = data.slice(start, start + components * componentByteLength);
+                const values = Array.from(new componentType.arrayType(bytes.buffer));
+                elements.push(values.map(v => Math.max(v / divisor, minValue)));
+            }
+            return elements;
+        };
+
+        let elements;
+        if (accessor.bufferView !== undefined) {
+            elements = readElements(accessor.bufferView, accessor.byteOffset ?? 0, accessor.count, numComponents);
+        } else {
+            elements = Array.from({ length: accessor.count }, () => new Array(numComponents).fill(0));
+        }
+
+        // Sparse accessors overwrite some of the elements.
+        if (accessor.sparse !== undefined) {
+            const sparse = accessor.sparse;
+            const indexComponentType = componentTypes[sparse.indices.componentType];
+            const indexData = this.#getBufferViewData(gltf, sparse.indices.bufferView)
+                .slice(sparse.indices.byteOffset ?? 0);
+            const indices = new indexComponentType.arrayType(indexData.buffer, 0, sparse.count);
+            const values = readElements(
+                sparse.values.bufferView, sparse.values.byteOffset ?? 0, sparse.count, numComponents
+            );
+            for (let i = 0; i < sparse.count; ++i) {
+                elements[indices[i]] = values[i];
+            }
+        }
+        return elements;
+    }
+
+    /**
+     * Creates the material for a glTF material.
+     * The specular shininess for the Blinn-Phong model is derived from the roughness.
+     */
+    #createMaterial(gltf, material, images) {
+        const pbr = material.pbrMetallicRoughness ?? {};
+        const roughness = pbr.roughnessFactor ?? 1.0;
+        const result = new Material(material.name ?? '', ShadingModel.MetallicRoughness);
+        result.setColorFactor(vec4.fromValues(...(pbr.baseColorFactor ?? [1.0, 1.0, 1.0, 1.0])));
+        result.setEmissiveFactor(vec3.fromValues(...(material.emissiveFactor ?? [0.0, 0.0, 0.0])));
+        result.setMetallicRoughness(pbr.metallicFactor ?? 1.0, roughness);
+        result.setNormalScale(material.normalTexture?.scale ?? 1.0);
+        result.setOcclusionStrength(material.occlusionTexture?.strength ?? 1.0);
+        // Approximation of the Blinn-Phong exponent that matches the GGX roughness
+        // (see http://simonstechblog.blogspot.com/2011/12/microfacet-brdf.html).
+        result.setSpecular(1.0, Math.min(1024.0, Math.max(1.0, 2.0 / Math.max(Math.pow(roughness, 4), 1e-4) - 2.0)));
+
+        const textures = [
+            [TextureSlot.Color, pbr.baseColorTexture],
+            [TextureSlot.MetallicRoughness, pbr.metallicRoughnessTexture],
+            [TextureSlot.Normal, material.normalTexture],
+            [TextureSlot.Occlusion, material.occlusionTexture],
+            [TextureSlot.Emissive, material.emissiveTexture],
+        ].filter(t => t[1] !== undefined);
+        for (let [slot, textureInfo] of textures) {
+            const texture = gltf.json.textures[textureInfo.index];
+            result.setTexture(slot, images[texture.source] ?? null);
+        }
+        // A material has only one sampler, so the sampler of the first texture is used.
+        if (textures.length > 0) {
+            result.setSamplerDescriptor(this.#createSamplerDescriptor(gltf, textures[0][1]));
+        }
+        return result;
+    }
+
+    #createSamplerDescriptor(gltf, textureInfo) {
+        const texture = gltf.json.textures[textureInfo.index];
+        const sampler = gltf.json.samplers?.[texture.sampler] ?? {};
+        return {
+            magFilter: sampler.magFilter == 9728 ? 'nearest' : 'linear',
+            minFilter: [9728, 9984, 9986].includes(sampler.minFilter) ? 'nearest' : 'linear',
+            mipmapFilter: [9984, 9985].includes(sampler.minFilter) ? 'nearest' : 'linear',
+            addressModeU: this.#toAddressMode(sampler.wrapS),
+            addressModeV: this.#toAddressMode(sampler.wrapT),
+        };
+    }
+
+    #toAddressMode(wrapMode) {
+        if (wrapMode == 33071) { return 'clamp-to-edge'; }
+        if (wrapMode == 33648) { return 'mirror-repeat'; }
+        return 'repeat';
+    }
+
+    /**
+     * Creates a node and its children and adds their meshes and cameras to the result.
+     */
+    #createNode(gltf, nodeIndex, parentTransform, materials, result) {
+        const node = gltf.json.nodes[nodeIndex];
+
+        let localTransform;
+        if (node.matrix !== undefined) {
+            localTransform = mat4.create(...node.matrix);
+        } else {
+            localTransform = mat4.translation(node.translation ?? [0, 0, 0]);
+            mat4.multiply(localTransform, mat4.fromQuat(node.rotation ?? [0, 0, 0, 1]), localTransform);
+            mat4.scale(localTransform, node.scale ?? [1, 1, 1], localTransform);
+        }
+        const worldTransform = mat4.multiply(parentTransform, localTransform);
+
+        const resultNode = {
+            name: node.name ?? '',
+            worldTransform: worldTransform,
+            meshes: [],
+            camera: null,
+            children: [],
+        };
+
+        if (node.mesh !== undefined) {
+            const mesh = gltf.json.meshes[node.mesh];
+            mesh.primitives.forEach((primitive, i) => {
+                if ((primitive.mode ?? PRIMITIVE_MODE_TRIANGLES) != PRIMITIVE_MODE_TRIANGLES) {
+                    result.skipped.push("Primitive " + i + " of glTF mesh '" + mesh.name +
+                        "': only triangle lists are supported.");
+                    return;
+                }
+                const material = materials[primitive.material] ?? null;
+                const data = this.#calcVertexData(gltf, primitive);
+                const m = new Mesh(
+                    data.vertexData,
+                    data.indices,
+                    (mesh.name ?? 'Mesh ' + node.mesh) + (mesh.primitives.length > 1 ? '/' + i : ''),
+                    material
+                );
+                m.setLocalTransform(worldTransform);
+                resultNode.meshes.push(m);
+                result.meshes.push(m);
+            });
+        }
+
+        if (node.camera !== undefined) {
+            const camera = gltf.json.cameras[node.camera];
+            if (camera.type == 'perspective') {
+                resultNode.camera = this.#createCamera(camera, worldTransform);
+                result.cameras.push(resultNode.camera);
+            } else {
+                result.skipped.push("glTF camera '" + camera.name + "': only perspective cameras are supported.");
+            }
+        }
+
+        for (let childIndex of node.children ?? []) {
+            resultNode.children.push(this.#createNode(gltf, childIndex, worldTransform, materials, result));
+        }
+        return resultNode;
+    }
+
+    /**
+     * Creates a camera from a perspective glTF camera. glTF cameras look along their local -z axis.
+     * The aspect ratio is always taken from the canvas.
+     */
+    #createCamera(camera, worldTransform) {
+        const position = vec3.transformMat4(vec3.create(0, 0, 0), worldTransform);
+        const direction = vec3.transformMat4Upper3x3(vec3.create(0, 0, -1), worldTransform);
+        const c = Camera.fromDirection(position, direction);
+        // An infinite projection (no zfar) is approximated by a far clipping plane.
+        c.setPerspective(camera.perspective.yfov, camera.perspective.znear, camera.perspective.zfar ?? 1000.0);
+        return c;
+    }
+
+    /**
+     * Creates the vertex data and indices of a primitive. Missing normals are calculated for
+     * each face and missing tangents with MikkTSpace as required by the glTF specification.
+     */
+    #calcVertexData(gltf, primitive) {
+        const attributes = primitive.attributes;
+        const positions = this.#readAccessor(gltf, attributes.POSITION);
+        const normals = attributes.NORMAL !== undefined ? this.#readAccessor(gltf, attributes.NORMAL) : null;
+        const tangents = attributes.TANGENT !== undefined ? this.#readAccessor(gltf, attributes.TANGENT) : null;
+        const texCoords = attributes.TEXCOORD_0 !== undefined ? this.#readAccessor(gltf, attributes.TEXCOORD_0) : null;
+        const indices = primitive.indices !== undefined
+            ? this.#readAccessor(gltf, primitive.indices).map(i => i[0])
+            : [...positions.keys()];
+
+        const vertices = [];
+        for (let i = 0; i + 2 < indices.length; i += 3) {
+            const triangle = [indices[i], indices[i + 1], indices[i + 2]];
+            const p = triangle.map(v => vec3.fromValues(...positions[v]));
+            const t = triangle.map(v => texCoords !== null ? vec2.fromValues(...texCoords[v]) : vec2.create(0, 0));
+
+            const faceNormal = vec3.normalize(vec3.cross(vec3.sub(p[1], p[0]), vec3.sub(p[2], p[0])));
+
+            for (let j = 0; j < 3; ++j) {
+                const v = triangle[j];
+                const vertex = {
+                    position: p[j],
+                    normal: normals !== null ? vec3.normalize(vec3.fromValues(...normals[v])) : faceNormal,
+                    texCoord: t[j]
+                };
+                if (tangents !== null) {
+                    // glTF defines the bitangent as cross(normal, tangent.xyz) * tangent.w. It points
+                    // to the top of the texture whereas our bitangents point along the texture
+                    // coordinates, i.e. to the bottom of the texture. So the handedness is inverted.
+                    vertex.tangent = vec4.create(tangents[v][0], tangents[v][1], tangents[v][2], -tangents[v][3]);
+                }
+                vertices.push(vertex);
+            }
+        }
+        if (tangents === null) {
+            calcTangents(vertices);
+        }
+        return createIndexedVertexData(vertices);
+    }
+}
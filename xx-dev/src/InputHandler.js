@@ -7,9 +7,25 @@ export class InputState {
         this.forward = false;
         this.backward = false;
         this.resetCamera = false;
+        this.cameraSwitch = false;
+        this.skyboxSwitch = false;
         this.colorTextureSwitch = false;
         this.specularTextureSwitch = false;
         this.normalTextureSwitch = false;
+        this.shadowCascadesSwitch = false;
+        this.lightClustersSwitch = false;
+        this.stressLightsSwitch = false;
+        this.ambientOcclusionSwitch = false;
+        this.environmentLightingSwitch = false;
+        this.antiAliasingSwitch = false;
+        this.shadingPathSwitch = false;
+        this.toneMappingSwitch = false;
+        this.autoExposureSwitch = false;
+        this.exposureValueDelta = 0;
+        this.bloomSwitch = false;
+        this.bloomThresholdDelta = 0;
+        this.bloomIntensityDelta = 0;
+        this.bloomRadiusDelta = 0;
         this.selectionModeSwitch = false;
         this.select = false;
         this.selectX = -1;
@@ -20,6 +36,8 @@ export class InputState {
 export class InputHandler {
     #rotationSpeed = 0.01
     #state = new InputState()
+    // The keys for moving the camera that are currently pressed
+    #movementKeys = { left: false, right: false, forward: false, backward: false };
     #mouseXOnLeftButtonDown = Number.MIN_VALUE;
     #mouseYOnLeftButtonDown = Number.MIN_VALUE;
 
@@ -29,15 +47,18 @@ export class InputHandler {
         canvas.addEventListener('pointerup', (e) => this.#handleMouseUpEvent(e));
         window.addEventListener('keydown', (e) => this.#handleKeyboardEvent(e, true));
         window.addEventListener('keyup', (e) => this.#handleKeyboardEvent(e, false));
+        // Key up events are not received when the window does not have the focus.
+        window.addEventListener('blur', () => Object.keys(this.#movementKeys).forEach(k => this.#movementKeys[k] = false));
     }
 
     /**
      * Returns the current input state and resets the input state of the InputHandler.
+     * Keys for moving are reported until they are released.
      * @returns the current input state
      */
     getInputState() {
         const currentState = this.#state;
-        this.#state = new InputState()
+        this.#state = Object.assign(new InputState(), this.#movementKeys);
         return currentState;
     }
 
@@ -73,18 +94,22 @@ export class InputHandler {
         let handled = false;
         switch (event.code) {
             case 'KeyW':
+                this.#movementKeys.forward = value;
                 this.#state.forward ||= value;
                 handled = true;
                 break;
             case 'KeyS':
+                this.#movementKeys.backward = value;
                 this.#state.backward ||= value;
                 handled = true;
                 break;
             case 'KeyA':
+                this.#movementKeys.left = value;
                 this.#state.left ||= value;
                 handled = true;
                 break;
             case 'KeyD':
+                this.#movementKeys.right = value;
                 this.#state.right ||= value;
                 handled = true;
                 break;
@@ -92,6 +117,14 @@ export class InputHandler {
                 this.#state.resetCamera ||= value;
                 handled = true;
                 break;
+            case 'KeyP':
+                this.#state.cameraSwitch ||= value;
+                handled = true;
+                break;
+            case 'KeyK':
+                this.#state.skyboxSwitch ||= value;
+                handled = true;
+                break;
             case 'KeyC':
                 this.#state.colorTextureSwitch ||= value;
                 handled = true;
@@ -104,6 +137,78 @@ export class InputHandler {
                 this.#state.normalTextureSwitch ||= value;
                 handled = true;
                 break;
+            case 'KeyG':
+                this.#state.shadowCascadesSwitch ||= value;
+                handled = true;
+                break;
+            case 'KeyH':
+                this.#state.lightClustersSwitch ||= value;
+                handled = true;
+                break;
+            case 'KeyJ':
+                this.#state.stressLightsSwitch ||= value;
+                handled = true;
+                break;
+            case 'KeyO':
+                this.#state.ambientOcclusionSwitch ||= value;
+                handled = true;
+                break;
+            case 'KeyI':
+                this.#state.environmentLightingSwitch ||= value;
+                handled = true;
+                break;
+            case 'KeyN':
+                this.#state.shadingPathSwitch ||= value;
+                handled = true;
+                break;
+            case 'KeyM':
+                this.#state.antiAliasingSwitch ||= value;
+                handled = true;
+                break;
+            case 'KeyT':
+                this.#state.toneMappingSwitch ||= value;
+                handled = true;
+                break;
+            case 'KeyX':
+                this.#state.autoExposureSwitch ||= value;
+                handled = true;
+                break;
+            case 'KeyE':
+                this.#state.exposureValueDelta += value ? 0.5 : 0;
+                handled = true;
+                break;
+            case 'KeyQ':
+                this.#state.exposureValueDelta -= value ? 0.5 : 0;
+                handled = true;
+                break;
+            case 'KeyL':
+                this.#state.bloomSwitch ||= value;
+                handled = true;
+                break;
+            case 'Digit1':
+                this.#state.bloomThresholdDelta -= value ? 0.25 : 0;
+                handled = true;
+                break;
+            case 'Digit2':
+                this.#state.bloomThresholdDelta += value ? 0.25 : 0;
+                handled = true;
+                break;
+            case 'Digit3':
+                this.#state.bloomIntensityDelta -= value ? 0.1 : 0;
+                handled = true;
+                break;
+            case 'Digit4':
+                this.#state.bloomIntensityDelta += value ? 0.1 : 0;
+                handled = true;
+                break;
+            case 'Digit5':
+                this.#state.bloomRadiusDelta -= value ? 0.25 : 0;
+                handled = true;
+                break;
+            case 'Digit6':
+                this.#state.bloomRadiusDelta += value ? 0.25 : 0;
+                handled = true;
+                break;
             case 'KeyF':
                 this.#state.selectionModeSwitch ||= value;
                 handled = true;
@@ -1,17 +1,169 @@
 import {
     vec3,
+    mat4,
 } from '../imports/wgpu-matrix.module.js';
 
+/**
+ * The types of lights. The value is stored in the light data so that the shader can
+ * handle each type of light differently.
+ */
+export const LightType = Object.freeze({
+    Point: 0,
+    Directional: 1,
+    Spot: 2,
+});
+
+/**
+ * The models that describe how the strength of point and spot lights decreases with the distance d.
+ * In all models the light has no effect beyond its range r.
+ */
+export const AttenuationModel = Object.freeze({
+    // (r - d) / r
+    Linear: 0,
+    // 1 / (constant + linear * d + quadratic * d^2)
+    Polynomial: 1,
+    // 1 / d^2 multiplied by a window function that smoothly decreases to 0 at the range:
+    // (1 - (d / r)^4)^2 (see "Moving Frostbite to Physically Based Rendering", Lagarde and de Rousiers)
+    InverseSquare: 2,
+});
+
+/**
+ * The base class of all lights.
+ */
 export class Light {
-    #position;
+    #type;
     #color;
-    #range;
     #ambientStrength;
     #diffuseStrength;
     #specularStrength;
+    #attenuationModel = AttenuationModel.Linear;
+    #attenuationCoefficients = [1.0, 0.0, 0.0];
+    #castShadow = false;
+    #shadowDepthBias = 0.0005;
+    #shadowNormalBias = 0.02;
 
     /**
      * Creates a new light
+     * @param {number} type the type of the light (see LightType)
+     * @param {vec3} color the color of the light
+     * @param {number} strength the strength / brightness of the light
+     * @param {number} ambientFraction the fraction of the light that is ambient and lights all surfaces
+     */
+    constructor(type, color, strength, ambientFraction) {
+        if (ambientFraction < 0.0 || ambientFraction > 1.0) {
+            throw Error("ambientFraction must be between 0.0 and 1.0.");
+        }
+
+        this.#type = type;
+        this.#color = color;
+        this.#ambientStrength = strength * ambientFraction;
+        this.#diffuseStrength = strength * (1 - this.#ambientStrength);
+        this.#specularStrength = this.#diffuseStrength;
+    }
+
+    getType() {
+        return this.#type;
+    }
+
+    getAttenuationModel() {
+        return this.#attenuationModel;
+    }
+
+    /**
+     * Sets how the strength of the light decreases with the distance. This has no effect on directional lights.
+     * The default coefficients are the initial ones, with which the Polynomial model does not attenuate the light.
+     * @param {number} attenuationModel the attenuation model (see AttenuationModel)
+     * @param {number} constant the constant coefficient of the Polynomial model
+     * @param {number} linear the linear coefficient of the Polynomial model
+     * @param {number} quadratic the quadratic coefficient of the Polynomial model
+     */
+    setAttenuation(attenuationModel, constant = 1.0, linear = 0.0, quadratic = 0.0) {
+        if (attenuationModel == AttenuationModel.Polynomial && constant < 1.0) {
+            // The light would be brighter than its strength close to the light.
+            throw Error("constant must be at least 1.0.");
+        }
+        this.#attenuationModel = attenuationModel;
+        this.#attenuationCoefficients = [constant, linear, quadratic];
+    }
+
+    getCastShadow() {
+        return this.#castShadow;
+    }
+
+    /**
+     * Sets if the light casts shadows.
+     * @param {boolean} castShadow true if the light casts shadows
+     */
+    setCastShadow(castShadow) {
+        this.#castShadow = castShadow;
+    }
+
+    /**
+     * Sets the bias that is used to avoid shadow acne (surfaces that shadow themselves).
+     * @param {number} depthBias the value that is subtracted from the depth of a fragment in the shadow map
+     * @param {number} normalBias the distance by which a fragment is moved along its normal before
+     *                            it is looked up in the shadow map
+     */
+    setShadowBias(depthBias, normalBias) {
+        this.#shadowDepthBias = depthBias;
+        this.#shadowNormalBias = normalBias;
+    }
+
+    /**
+     * Returns the number of consecutive shadow maps that the light uses.
+     * @returns {number} the number of shadow maps
+     */
+    getShadowMapCount() {
+        return 1;
+    }
+
+    /**
+     * Returns the view-projection matrix that is used to render the shadow map of the light.
+     * @param {object} sceneBounds a sphere (center, radius) that contains all meshes that cast shadows
+     * @returns {mat4} the view-projection matrix or null if the light type does not support shadow maps
+     */
+    getShadowViewProjectionMatrix(sceneBounds) {
+        return null;
+    }
+
+    /**
+     * Returns the data of the light in the format of the Light struct in the shaders.
+     * Subclasses add the values that are specific for their type of light.
+     * @param {number} shadowMapIndex the index of the shadow map of the light or -1 if it has no shadow map
+     * @returns {Float32Array} the light data
+     */
+    getLightData(shadowMapIndex = -1) {
+        // Layout (see https://www.w3.org/TR/WGSL/#alignment-and-size):
+        // position: vec3f, type: u32, color: vec3f, range: f32,
+        // direction: vec3f, ambientStrength: f32, diffuseStrength: f32, specularStrength: f32,
+        // innerConeCos: f32, outerConeCos: f32,
+        // attenuationCoefficients: vec3f, attenuationModel: u32,
+        // shadowMapIndex: i32, shadowDepthBias: f32, shadowNormalBias: f32, shadowMapCount: u32
+        const b = new Float32Array(24);
+        new Uint32Array(b.buffer)[3] = this.#type;
+        b.set(this.#color, 4);
+        b[11] = this.#ambientStrength;
+        b[12] = this.#diffuseStrength;
+        b[13] = this.#specularStrength;
+        b.set(this.#attenuationCoefficients, 16);
+        new Uint32Array(b.buffer)[19] = this.#attenuationModel;
+        new Int32Array(b.buffer)[20] = shadowMapIndex;
+        b[21] = this.#shadowDepthBias;
+        b[22] = this.#shadowNormalBias;
+        new Uint32Array(b.buffer)[23] = this.getShadowMapCount();
+        return b;
+    }
+}
+
+/**
+ * A light that shines in all directions from a single point and whose strength decreases with the distance.
+ */
+export class PointLight extends Light {
+    #position;
+    #range;
+
+    /**
+     * Creates a new point light
      * @param {vec3} position the position of the light
      * @param {vec3} color the color of the light
      * @param {number} range the maximum range of the light; after that range the light has no effect anymore
@@ -19,33 +171,254 @@ export class Light {
      * @param {number} ambientFraction the fraction of the light that is ambient and lights all surfaces within the light range
      */
     constructor(
-        position = vec3(0.0, 0.0, 0.0),
-        color = vec3(1.0, 1.0, 1.0),
+        position = vec3.create(0.0, 0.0, 0.0),
+        color = vec3.create(1.0, 1.0, 1.0),
         range = 1.0,
         strength = 1.0,
         ambientFraction = 0.3333) {
-        if (ambientFraction < 0.0 || ambientFraction > 1.0) {
-            throw Error("ambientFraction must be between 0.0 and 1.0.");
+        super(LightType.Point, color, strength, ambientFraction);
+        this.#position = position;
+        this.#range = range;
+    }
+
+    getPosition() {
+        return this.#position;
+    }
+
+    getRange() {
+        return this.#range;
+    }
+
+    /**
+     * Returns the view-projection matrices that are used to render the six faces of the cube shadow map
+     * of the light in the order of the layers of a cube map (+x, -x, +y, -y, +z, -z).
+     * @returns {Array} an array with six mat4
+     */
+    getShadowViewProjectionMatrices() {
+        // The faces of cube maps are defined with the texture coordinates starting at the bottom
+        // (like in OpenGL). Our texture coordinates start at the top, so the y-axis is flipped.
+        const projection = mat4.multiply(
+            mat4.scaling(vec3.create(1.0, -1.0, 1.0)),
+            mat4.perspective(Math.PI / 2, 1.0, 0.05, this.#range)
+        );
+        return cubeMapFaces.map(face => {
+            const view = mat4.lookAt(this.#position, vec3.add(this.#position, face.direction), face.up);
+            return mat4.multiply(projection, view);
+        });
+    }
+
+    getLightData(shadowMapIndex = -1) {
+        const b = super.getLightData(shadowMapIndex);
+        b.set(this.#position, 0);
+        b[7] = this.#range;
+        return b;
+    }
+}
+
+/**
+ * The view direction and up vector of the faces of a cube map.
+ */
+const cubeMapFaces = [
+    { direction: vec3.create(1, 0, 0), up: vec3.create(0, -1, 0) },
+    { direction: vec3.create(-1, 0, 0), up: vec3.create(0, -1, 0) },
+    { direction: vec3.create(0, 1, 0), up: vec3.create(0, 0, 1) },
+    { direction: vec3.create(0, -1, 0), up: vec3.create(0, 0, -1) },
+    { direction: vec3.create(0, 0, 1), up: vec3.create(0, -1, 0) },
+    { direction: vec3.create(0, 0, -1), up: vec3.create(0, -1, 0) },
+];
+
+/**
+ * A light that is infinitely far away (e.g. the sun) and shines in one direction on all surfaces.
+ *
+ * The shadows are rendered with cascaded shadow maps: the view frustum of the camera is split
+ * into parts (cascades) along the view direction and each part gets its own shadow map. Cascades
+ * close to the camera cover a small area, so close shadows get more detail than distant ones.
+ */
+export class DirectionalLight extends Light {
+    #direction;
+    #shadowCascadeCount = 4;
+    #shadowSplitLambda = 0.5;
+    #shadowDistance = 50.0;
+
+    /**
+     * Creates a new directional light
+     * @param {vec3} direction the direction in which the light shines
+     * @param {vec3} color the color of the light
+     * @param {number} strength the strength / brightness of the light
+     * @param {number} ambientFraction the fraction of the light that is ambient and lights all surfaces
+     */
+    constructor(
+        direction = vec3.create(0.0, 1.0, 0.0),
+        color = vec3.create(1.0, 1.0, 1.0),
+        strength = 1.0,
+        ambientFraction = 0.3333) {
+        super(LightType.Directional, color, strength, ambientFraction);
+        this.#direction = vec3.normalize(direction);
+    }
+
+    /**
+     * Sets how the view frustum of the camera is split into shadow cascades.
+     * @param {number} count the number of cascades
+     * @param {number} splitLambda blends the split distances between a uniform (0.0) and
+     *                             a logarithmic (1.0) distribution
+     * @param {number} shadowDistance the distance from the camera up to which shadows are rendered
+     */
+    setShadowCascades(count, splitLambda = 0.5, shadowDistance = 50.0) {
+        if (count < 1 || splitLambda < 0.0 || splitLambda > 1.0) {
+            throw Error("count must be at least 1 and splitLambda must be between 0.0 and 1.0.");
         }
+        this.#shadowCascadeCount = count;
+        this.#shadowSplitLambda = splitLambda;
+        this.#shadowDistance = shadowDistance;
+    }
 
-        this.#position = position;
-        this.#color = color;
+    getShadowMapCount() {
+        return this.#shadowCascadeCount;
+    }
+
+    /**
+     * Returns the view-projection matrices that are used to render the shadow maps of the cascades.
+     * @param {Camera} camera the camera whose view frustum is split into cascades
+     * @param {HTMLCanvasElement} canvas the canvas that is used to render the scene
+     * @param {object} sceneBounds a sphere (center, radius) that contains all meshes that cast shadows
+     * @param {number} shadowMapSize the width and height of the shadow maps in pixels
+     * @returns {Array} a mat4 for each cascade, starting with the cascade closest to the camera
+     */
+    getCascadeViewProjectionMatrices(camera, canvas, sceneBounds, shadowMapSize) {
+        const zNear = camera.getZNear();
+        const zFar = Math.min(camera.getZFar(), this.#shadowDistance);
+        const matrices = [];
+        let splitNear = zNear;
+        for (let i = 1; i <= this.#shadowCascadeCount; ++i) {
+            // Practical split scheme (see "Parallel-Split Shadow Maps", Zhang et al.)
+            const p = i / this.#shadowCascadeCount;
+            const logarithmicSplit = zNear * Math.pow(zFar / zNear, p);
+            const uniformSplit = zNear + (zFar - zNear) * p;
+            const splitFar = this.#shadowSplitLambda * logarithmicSplit + (1.0 - this.#shadowSplitLambda) * uniformSplit;
+
+            // The bounding sphere of the cascade does not change its size when the camera rotates.
+            const corners = camera.getFrustumCorners(canvas, splitNear, splitFar);
+            const center = vec3.scale(corners.reduce((a, b) => vec3.add(a, b)), 1.0 / corners.length);
+            const radius = Math.max(...corners.map(c => vec3.distance(c, center)));
+            matrices.push(this.#calcCascadeMatrix(center, Math.ceil(radius * 16.0) / 16.0, sceneBounds, shadowMapSize));
+            splitNear = splitFar;
+        }
+        return matrices;
+    }
+
+    #calcCascadeMatrix(center, radius, sceneBounds, shadowMapSize) {
+        // Use an orthographic projection that contains the sphere of the cascade. The near plane
+        // is moved to the edge of the scene so that meshes between the light and the cascade cast shadows.
+        const distanceToScene = vec3.dot(vec3.sub(center, sceneBounds.center), this.#direction) + sceneBounds.radius;
+        const eyeDistance = Math.max(radius, distanceToScene);
+        const eye = vec3.sub(center, vec3.scale(this.#direction, eyeDistance));
+        const view = mat4.lookAt(eye, center, upVectorFor(this.#direction));
+        const projection = mat4.ortho(-radius, radius, -radius, radius, 0.0, eyeDistance + radius);
+        const viewProjection = mat4.multiply(projection, view);
+
+        // Move the shadow map in steps of whole texels so that the edges of the shadows
+        // do not shimmer when the camera moves.
+        const origin = vec3.transformMat4(vec3.create(0.0, 0.0, 0.0), viewProjection);
+        const texelsPerUnit = shadowMapSize / 2.0;
+        const offsetX = (Math.round(origin[0] * texelsPerUnit) - origin[0] * texelsPerUnit) / texelsPerUnit;
+        const offsetY = (Math.round(origin[1] * texelsPerUnit) - origin[1] * texelsPerUnit) / texelsPerUnit;
+        return mat4.multiply(mat4.translation(vec3.create(offsetX, offsetY, 0.0)), viewProjection);
+    }
+
+    getLightData(shadowMapIndex = -1) {
+        const b = super.getLightData(shadowMapIndex);
+        b.set(this.#direction, 8);
+        return b;
+    }
+}
+
+/**
+ * A light that shines from a single point in a cone around a direction. The strength decreases
+ * with the distance and from the inner to the outer cone.
+ */
+export class SpotLight extends Light {
+    #position;
+    #direction;
+    #range;
+    #innerConeCos;
+    #outerConeCos;
+    #outerConeAngle;
+
+    /**
+     * Creates a new spot light
+     * @param {vec3} position the position of the light
+     * @param {vec3} direction the direction in which the light shines
+     * @param {vec3} color the color of the light
+     * @param {number} range the maximum range of the light; after that range the light has no effect anymore
+     * @param {number} innerConeAngle the angle in radian between the direction and the edge of the cone
+     *                                that is lit with full strength
+     * @param {number} outerConeAngle the angle in radian between the direction and the edge of the cone
+     *                                outside of which the light has no effect
+     * @param {number} strength the strength / brightness of the light
+     * @param {number} ambientFraction the fraction of the light that is ambient and lights all surfaces within the light cone
+     */
+    constructor(
+        position = vec3.create(0.0, 0.0, 0.0),
+        direction = vec3.create(0.0, 0.0, 1.0),
+        color = vec3.create(1.0, 1.0, 1.0),
+        range = 1.0,
+        innerConeAngle = Math.PI / 8,
+        outerConeAngle = Math.PI / 6,
+        strength = 1.0,
+        ambientFraction = 0.3333) {
+        if (innerConeAngle < 0.0 || innerConeAngle >= outerConeAngle || outerConeAngle > Math.PI / 2) {
+            throw Error("innerConeAngle must be smaller than outerConeAngle and outerConeAngle must be at most PI/2.");
+        }
+
+        super(LightType.Spot, color, strength, ambientFraction);
+        this.#position = vec3.copy(position);
+        this.#direction = vec3.normalize(direction);
         this.#range = range;
-        this.#ambientStrength = strength * ambientFraction;
-        this.#diffuseStrength = strength * (1 - this.#ambientStrength);
-        this.#specularStrength = this.#diffuseStrength;
+        this.#innerConeCos = Math.cos(innerConeAngle);
+        this.#outerConeCos = Math.cos(outerConeAngle);
+        this.#outerConeAngle = outerConeAngle;
     }
 
-    getLightData() {
-        let b = new Array();
-        b = b.concat(Array.from(this.#position));
-        b.push(0.0); // vec3f allignment; see https://www.w3.org/TR/WGSL/#alignment-and-size
-        b = b.concat(Array.from(this.#color));
-        b.push(this.#range);
-        b.push(this.#ambientStrength);
-        b.push(this.#diffuseStrength);
-        b.push(this.#specularStrength);
+    /**
+     * Moves the light to a specific position.
+     * @param {vec3} position the new position of the light
+     */
+    setPosition(position) {
+        vec3.copy(position, this.#position);
+    }
 
-        return new Float32Array(b);
+    /**
+     * Changes the direction in which the light shines.
+     * @param {vec3} direction the new direction of the light
+     */
+    setDirection(direction) {
+        vec3.normalize(direction, this.#direction);
+    }
+
+    getShadowViewProjectionMatrix(sceneBounds) {
+        // Use a perspective projection that contains the outer cone. The field of view must be
+        // smaller than 180 degrees, so very wide cones are not entirely covered.
+        const target = vec3.add(this.#position, this.#direction);
+        const view = mat4.lookAt(this.#position, target, upVectorFor(this.#direction));
+        const fieldOfView = Math.min(2.0 * this.#outerConeAngle, 0.95 * Math.PI);
+        const projection = mat4.perspective(fieldOfView, 1.0, 0.05, this.#range);
+        return mat4.multiply(projection, view);
     }
-}
\ No newline at end of file
+
+    getLightData(shadowMapIndex = -1) {
+        const b = super.getLightData(shadowMapIndex);
+        b.set(this.#position, 0);
+        b[7] = this.#range;
+        b.set(this.#direction, 8);
+        b[14] = this.#innerConeCos;
+        b[15] = this.#outerConeCos;
+        return b;
+    }
+}
+
+/**
+ * Returns an up vector for a view matrix that looks into the given direction.
+ */
+function upVectorFor(direction) {
+    return Math.abs(direction[1]) < 0.99 ? vec3.create(0.0, -1.0, 0.0) : vec3.create(0.0, 0.0, 1.0);
+}
@@ -0,0 +1,100 @@
+import { mat4 } from '../imports/wgpu-matrix.module.js';
+import * as utils from './utils.js';
+import { LightType } from './Light.js';
+
+/**
+ * Compute pass that assigns the lights to clusters for clustered forward shading (Forward+).
+ * The view frustum is divided into a 3D grid of clusters and every cluster gets the list of the
+ * lights whose range reaches into it. This way a fragment only calculates the lights of its cluster
+ * instead of all lights of the scene.
+ */
+export class LightClusterPass {
+    #gpuDevice;
+    #computePipeline;
+    #bindGroup;
+    #clusters;
+
+    #gridSize = [16, 9, 24];
+    #maxClusterLights = 63;
+
+    /**
+     * Initializes the compute pass.
+     * @param {GPUDevice} gpuDevice the GPU device
+     * @param {object} lights the lights with the storage buffer that contains the Light structs and the
+     *                        maximal number of lights in the buffer
+     */
+    async init(gpuDevice, lights) {
+        this.#gpuDevice = gpuDevice;
+        const shaders = await utils.loadShaders('clusters.wgsl') + await utils.loadShaders('cluster-shaders.wgsl');
+        const shaderModule = gpuDevice.createShaderModule({ code: shaders });
+        this.#computePipeline = gpuDevice.createComputePipeline({
+            compute: {
+                module: shaderModule,
+                entryPoint: 'cluster_main',
+                constants: {
+                    LIGHT_TYPE_DIRECTIONAL: LightType.Directional,
+                },
+            },
+            layout: 'auto',
+        });
+
+        // Layout: viewMatrix: mat4x4f, inverseProjectionMatrix: mat4x4f, gridSize: vec3u,
+        // maxClusterLights: u32, screenSize: vec2f, zNear: f32, zFar: f32, lightCount: u32 (aligned to 16 bytes)
+        const paramsBuffer = gpuDevice.createBuffer({
+            size: 2 * utils.mat4ByteLength + 12 * utils.u32ByteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        // For each cluster the number of lights followed by the indices of the lights, then the number
+        // of directional lights followed by their indices
+        const clusterCount = this.#gridSize[0] * this.#gridSize[1] * this.#gridSize[2];
+        const lightsBuffer = gpuDevice.createBuffer({
+            size: (clusterCount * (this.#maxClusterLights + 1) + 1 + lights.maxCount) * utils.u32ByteLength,
+            usage: GPUBufferUsage.STORAGE,
+        });
+        this.#clusters = {
+            paramsBuffer: paramsBuffer,
+            lightsBuffer: lightsBuffer,
+            clusterCount: clusterCount,
+        };
+
+        this.#bindGroup = utils.createBindGroup(gpuDevice, this.#computePipeline, 0, [
+            { buffer: paramsBuffer },
+            { buffer: lights.buffer },
+            { buffer: lightsBuffer },
+        ]);
+    }
+
+    /**
+     * Returns the clusters that are used by the shaders to find the lights of a fragment.
+     * @returns {object} the uniform buffer with the ClusterParams struct and the storage buffer
+     *                   with the lights of the clusters
+     */
+    getClusters() {
+        return this.#clusters;
+    }
+
+    /**
+     * Assigns the lights to the clusters of the next frame. Must be called after the lights were updated.
+     * 
+     * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
+     * @param {Camera} camera the camera whose view frustum is divided into clusters
+     * @param {number} lightCount the number of lights in the light buffer that are used
+     * @param {HTMLCanvasElement} canvas the canvas that is used to render the scene
+     */
+    renderFrame(commandEncoder, camera, lightCount, canvas) {
+        const params = new Float32Array(this.#clusters.paramsBuffer.size / utils.f32ByteLength);
+        params.set(camera.getViewMatrix(), 0);
+        params.set(mat4.inverse(camera.getProjectionMatrix(canvas)), 16);
+        const uintParams = new Uint32Array(params.buffer);
+        uintParams.set([...this.#gridSize, this.#maxClusterLights], 32);
+        params.set([canvas.width, canvas.height, camera.getZNear(), camera.getZFar()], 36);
+        uintParams[40] = lightCount;
+        utils.copyToBuffer(this.#gpuDevice, this.#clusters.paramsBuffer, params);
+
+        const passEncoder = commandEncoder.beginComputePass();
+        passEncoder.setPipeline(this.#computePipeline);
+        passEncoder.setBindGroup(this.#bindGroup.number, this.#bindGroup.group);
+        passEncoder.dispatchWorkgroups(Math.ceil(this.#clusters.clusterCount / 64));
+        passEncoder.end();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,173 @@
+import {
+    vec3,
+    vec4,
+} from '../imports/wgpu-matrix.module.js';
+
+/**
+ * The models that are used to calculate how a material reflects light. The value is passed
+ * to the shader so that materials with different models can be rendered side by side.
+ */
+export const ShadingModel = Object.freeze({
+    // Diffuse and specular lighting with a specular strength and shininess
+    BlinnPhong: 0,
+    // Physically based rendering with base color, metalness and roughness (like glTF 2.0)
+    MetallicRoughness: 1,
+});
+
+/**
+ * The textures of a material. The value is the order of the textures in the bind group of a material.
+ */
+export const TextureSlot = Object.freeze({
+    // The diffuse color (Blinn-Phong) or the base color (metallic-roughness)
+    Color: 0,
+    // The specular strength in the red channel (Blinn-Phong)
+    Specular: 1,
+    Normal: 2,
+    // The roughness in the green channel and the metalness in the blue channel (metallic-roughness)
+    MetallicRoughness: 3,
+    // The ambient occlusion in the red channel (metallic-roughness)
+    Occlusion: 4,
+    Emissive: 5,
+});
+
+/**
+ * Describes how the surface of a mesh looks: the shading model, the textures and the factors
+ * that are multiplied with the values of the textures. Several meshes can share a material.
+ */
+export class Material {
+    #name;
+    #shadingModel;
+    #textures = new Array(Object.keys(TextureSlot).length).fill(null);
+    // Trilinear filtering without anisotropic filtering
+    #samplerDescriptor = {
+        magFilter: 'linear',
+        minFilter: 'linear',
+        mipmapFilter: 'linear',
+        addressModeU: 'repeat',
+        addressModeV: 'repeat',
+        maxAnisotropy: 1,
+    };
+    #colorFactor = vec4.create(1.0, 1.0, 1.0, 1.0);
+    #emissiveFactor = vec3.create(0.0, 0.0, 0.0);
+    #specularStrength = 1.0;
+    #specularShininess = 32.0;
+    #metallicFactor = 1.0;
+    #roughnessFactor = 1.0;
+    #occlusionStrength = 1.0;
+    #normalScale = 1.0;
+
+    /**
+     * Creates a new material without textures.
+     * @param {string} name the name of the material
+     * @param {number} shadingModel the shading model of the material (see ShadingModel)
+     */
+    constructor(name = '', shadingModel = ShadingModel.BlinnPhong) {
+        this.#name = name;
+        this.#shadingModel = shadingModel;
+    }
+
+    getName() {
+        return this.#name;
+    }
+
+    getShadingModel() {
+        return this.#shadingModel;
+    }
+
+    /**
+     * Returns the image of a texture.
+     * @param {number} slot the texture (see TextureSlot)
+     * @returns {ImageBitmap} the image or null if the material has no such texture
+     */
+    getTexture(slot) {
+        return this.#textures[slot];
+    }
+
+    /**
+     * Sets the image of a texture. Materials that use the same image share the texture on the GPU.
+     * @param {number} slot the texture (see TextureSlot)
+     * @param {ImageBitmap} image the image or null to remove the texture
+     */
+    setTexture(slot, image) {
+        this.#textures[slot] = image;
+    }
+
+    getSamplerDescriptor() {
+        return this.#samplerDescriptor;
+    }
+
+    /**
+     * Changes how the textures are sampled.
+     * @param {object} samplerDescriptor the properties of a GPUSamplerDescriptor that are changed
+     *                                   (e.g. magFilter, addressModeU or maxAnisotropy)
+     */
+    setSamplerDescriptor(samplerDescriptor) {
+        this.#samplerDescriptor = { ...this.#samplerDescriptor, ...samplerDescriptor };
+    }
+
+    /**
+     * Sets the color that is multiplied with the color texture.
+     * @param {vec4} colorFactor the color with the opacity in the alpha channel
+     */
+    setColorFactor(colorFactor) {
+        this.#colorFactor = vec4.copy(colorFactor);
+    }
+
+    setEmissiveFactor(emissiveFactor) {
+        this.#emissiveFactor = vec3.copy(emissiveFactor);
+    }
+
+    getSpecularShininess() {
+        return this.#specularShininess;
+    }
+
+    /**
+     * Sets the specular reflection of the Blinn-Phong model.
+     * @param {number} specularStrength the factor that is multiplied with the specular texture
+     * @param {number} specularShininess the shininess; higher values result in smaller highlights
+     */
+    setSpecular(specularStrength, specularShininess) {
+        this.#specularStrength = specularStrength;
+        this.#specularShininess = specularShininess;
+    }
+
+    /**
+     * Sets the factors of the metallic-roughness model.
+     * @param {number} metallicFactor the metalness between 0.0 (dielectric) and 1.0 (metal)
+     * @param {number} roughnessFactor the roughness between 0.0 (smooth) and 1.0 (rough)
+     */
+    setMetallicRoughness(metallicFactor, roughnessFactor) {
+        this.#metallicFactor = metallicFactor;
+        this.#roughnessFactor = roughnessFactor;
+    }
+
+    setOcclusionStrength(occlusionStrength) {
+        this.#occlusionStrength = occlusionStrength;
+    }
+
+    setNormalScale(normalScale) {
+        this.#normalScale = normalScale;
+    }
+
+    /**
+     * Returns the factors of the material in the format of the Material struct in the shaders.
+     * @returns {Float32Array} the material data
+     */
+    getMaterialData() {
+        // Layout (see https://www.w3.org/TR/WGSL/#alignment-and-size):
+        // colorFactor: vec4f, emissiveFactor: vec3f, shadingModel: u32,
+        // metallicFactor: f32, roughnessFactor: f32, occlusionStrength: f32, normalScale: f32,
+        // specularStrength: f32, specularShininess: f32
+        const b = new Float32Array(16);
+        b.set(this.#colorFactor, 0);
+        b.set(this.#emissiveFactor, 4);
+        new Uint32Array(b.buffer)[7] = this.#shadingModel;
+        b[8] = this.#metallicFactor;
+        b[9] = this.#roughnessFactor;
+        b[10] = this.#occlusionStrength;
+        b[11] = this.#normalScale;
+        b[12] = this.#specularStrength;
+        b[13] = this.#specularShininess;
+        return b;
+    }
+}
\ No newline at end of file
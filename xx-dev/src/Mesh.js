@@ -0,0 +1,243 @@
+import {
+    vec3,
+    mat4
+} from '../imports/wgpu-matrix.module.js';
+
+/**
+ * A mesh that can be rendered by the Renderer.
+ *
+ * The vertex data is interleaved and has the format described by getVertexLayout().
+ */
+export class Mesh {
+
+    #name;
+    #material;
+    #position = vec3.create(0.0, 0.0, 0.0);
+    #rotationAxis = vec3.create(1.0, 0.0, 0.0);
+    #rotationRad = 0.0;
+    #localTransform = mat4.identity();
+    #vertexData;
+    #indices;
+    #boundingSphere = null;
+    #castShadow = true;
+    #receiveShadow = true;
+
+    /**
+     * Creates a new mesh.
+     * @param {Float32Array} vertexData the interleaved vertex data (see getVertexLayout())
+     * @param {Uint16Array|Uint32Array} indices the indices of the triangles or null if every
+     *                                          three vertices in vertexData form a triangle
+     * @param {string} name the name of the mesh
+     * @param {Material} material the material of the mesh or null if it has none
+     */
+    constructor(vertexData, indices = null, name = '', material = null) {
+        this.#vertexData = vertexData;
+        this.#indices = indices;
+        this.#name = name;
+        this.#material = material;
+    }
+
+    getName() {
+        return this.#name;
+    }
+
+    getMaterial() {
+        return this.#material;
+    }
+
+    /**
+     * Sets the material of the mesh.
+     * @param {Material} material the material of the mesh or null if it has none
+     */
+    setMaterial(material) {
+        this.#material = material;
+    }
+
+    getCastShadow() {
+        return this.#castShadow;
+    }
+
+    /**
+     * Sets if the mesh casts shadows on other meshes (and itself).
+     * @param {boolean} castShadow true if the mesh casts shadows
+     */
+    setCastShadow(castShadow) {
+        this.#castShadow = castShadow;
+    }
+
+    getReceiveShadow() {
+        return this.#receiveShadow;
+    }
+
+    /**
+     * Sets if shadows are drawn on the mesh.
+     * @param {boolean} receiveShadow true if the mesh receives shadows
+     */
+    setReceiveShadow(receiveShadow) {
+        this.#receiveShadow = receiveShadow;
+    }
+
+    /**
+     * Moves the mesh to a specific position.
+     * @param {vec3} position the position to which the mesh is moved
+     */
+    moveTo(position) {
+        this.#position = position;
+    }
+
+    /**
+     * Rotates the mesh around the given axis.
+     * @param {vec3} rotationAxis the axix around which the mesh is rotated
+     * @param {number} rotationRad the angle by which to rotate in radiant
+     */
+    setRotation(rotationAxis, rotationRad) {
+        this.#rotationAxis = rotationAxis;
+        this.#rotationRad = rotationRad;
+    }
+
+    /**
+     * Sets a transformation that is applied to the mesh before it is rotated and moved.
+     * This is used for meshes that are part of a node hierarchy.
+     * @param {mat4} localTransform the transformation matrix
+     */
+    setLocalTransform(localTransform) {
+        this.#localTransform = localTransform;
+    }
+
+    getVertices() {
+        return this.#vertexData;
+    }
+
+    getVertexCount() {
+        return this.#vertexData.length / vertexFloatCount;
+    }
+
+    /**
+     * Returns the indices of the triangles.
+     * @returns {Uint16Array|Uint32Array} the indices or null if the mesh is not indexed
+     */
+    getIndices() {
+        return this.#indices;
+    }
+
+    getTriangleCount() {
+        return (this.#indices !== null ? this.#indices.length : this.getVertexCount()) / 3;
+    }
+
+    /**
+     * Returns a sphere that contains all vertices of the mesh before it is transformed
+     * with the model matrix.
+     * @returns an object with the center (vec3) and the radius of the sphere
+     */
+    getBoundingSphere() {
+        if (this.#boundingSphere === null) {
+            const min = vec3.create(Infinity, Infinity, Infinity);
+            const max = vec3.create(-Infinity, -Infinity, -Infinity);
+            for (let i = 0; i < this.#vertexData.length; i += vertexFloatCount) {
+                const position = this.#vertexData.subarray(i, i + 3);
+                vec3.min(min, position, min);
+                vec3.max(max, position, max);
+            }
+            const center = vec3.lerp(min, max, 0.5);
+            let radius = 0.0;
+            for (let i = 0; i < this.#vertexData.length; i += vertexFloatCount) {
+                radius = Math.max(radius, vec3.distance(center, this.#vertexData.subarray(i, i + 3)));
+            }
+            this.#boundingSphere = { center: center, radius: radius };
+        }
+        return this.#boundingSphere;
+    }
+
+    getModelMatrix() {
+        const modelMatrix = mat4.identity();
+        mat4.rotate(
+            modelMatrix,
+            this.#rotationAxis,
+            this.#rotationRad,
+            modelMatrix
+        );
+        mat4.translate(modelMatrix, this.#position, modelMatrix);
+        mat4.multiply(modelMatrix, this.#localTransform, modelMatrix);
+        return modelMatrix;
+    }
+
+    getVertexLayout() {
+        return {
+            attributes: [{
+                shaderLocation: 0, // position
+                offset: 0,
+                format: 'float32x3'
+            }, {
+                shaderLocation: 1, // normal
+                offset: 12,
+                format: 'float32x3'
+            }, {
+                shaderLocation: 2, // texture tangent and handedness (see tangentSpace.js)
+                offset: 24,
+                format: 'float32x4'
+            }, {
+                shaderLocation: 3, // texture coordinates
+                offset: 40,
+                format: 'float32x2'
+            }],
+            arrayStride: vertexFloatCount * 4,
+            stepMode: 'vertex'
+        };
+    }
+}
+
+/**
+ * The number of floats of a single vertex.
+ */
+const vertexFloatCount = 12;
+
+/**
+ * Creates the interleaved vertex data for a mesh.
+ *
+ * @param {Array} vertices an array of objects with the properties position, normal, tangent (vec4)
+ *                         and texCoord
+ * @returns {Float32Array} the vertex data in the format described by Mesh.getVertexLayout()
+ */
+export function createVertexData(vertices) {
+    const vd = new Float32Array(vertices.length * vertexFloatCount);
+    let offset = 0;
+    for (let v of vertices) {
+        vd.set(v.position, offset);
+        vd.set(v.normal, offset + 3);
+        vd.set(v.tangent, offset + 6);
+        vd.set(v.texCoord, offset + 10);
+        offset += vertexFloatCount;
+    }
+    return vd;
+}
+
+/**
+ * Creates the interleaved vertex data and the indices for a mesh. Vertices that have exactly
+ * the same attributes are only stored once.
+ *
+ * @param {Array} vertices an array of objects with the properties position, normal, tangent (vec4)
+ *                         and texCoord; every three vertices form a triangle
+ * @returns an object with the vertex data (vertexData) in the format described by
+ *          Mesh.getVertexLayout() and the indices of the triangles (indices)
+ */
+export function createIndexedVertexData(vertices) {
+    const allVertexData = createVertexData(vertices);
+    const uniqueVertices = new Map();
+    const indices = [];
+    const vertexData = [];
+    for (let i = 0; i < vertices.length; ++i) {
+        const vertex = allVertexData.subarray(i * vertexFloatCount, (i + 1) * vertexFloatCount);
+        const key = vertex.join(',');
+        let index = uniqueVertices.get(key);
+        if (index === undefined) {
+            index = uniqueVertices.size;
+            uniqueVertices.set(key, index);
+            vertexData.push(...vertex);
+        }
+        indices.push(index);
+    }
+    return {
+        vertexData: new Float32Array(vertexData),
+        indices: uniqueVertices.size > 65536 ? new Uint32Array(indices) : new Uint16Array(indices)
+    };
+}
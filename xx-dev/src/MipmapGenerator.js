@@ -0,0 +1,74 @@
+import * as utils from './utils.js';
+
+/**
+ * Generates the mip levels of textures on the GPU. Each level is rendered by downsampling
+ * the previous level. For sRGB textures the colors are averaged in linear space because
+ * the texture views decode and encode the colors.
+ */
+export class MipmapGenerator {
+    #gpuDevice;
+    #shaderModule;
+    #sampler;
+    #renderPipelines = new Map();
+
+    async init(gpuDevice) {
+        this.#gpuDevice = gpuDevice;
+        const shaders = await utils.loadShaders('fullscreen.wgsl') + await utils.loadShaders('mipmap-shaders.wgsl');
+        this.#shaderModule = gpuDevice.createShaderModule({ code: shaders });
+        this.#sampler = gpuDevice.createSampler({ minFilter: 'linear', magFilter: 'linear' });
+    }
+
+    /**
+     * Renders all mip levels of a texture from its first level.
+     * @param {GPUTexture} texture a 2d texture with the usages TEXTURE_BINDING and RENDER_ATTACHMENT
+     */
+    generateMipmaps(texture) {
+        if (texture.mipLevelCount <= 1) {
+            return;
+        }
+        const renderPipeline = this.#getRenderPipeline(texture.format);
+        const commandEncoder = this.#gpuDevice.createCommandEncoder();
+        for (let level = 1; level < texture.mipLevelCount; ++level) {
+            const bindGroup = utils.createBindGroup(this.#gpuDevice, renderPipeline, 0, [
+                this.#sampler,
+                texture.createView({ baseMipLevel: level - 1, mipLevelCount: 1 }),
+            ]);
+            const passEncoder = commandEncoder.beginRenderPass({
+                colorAttachments: [{
+                    loadOp: 'clear',
+                    storeOp: 'store',
+                    view: texture.createView({ baseMipLevel: level, mipLevelCount: 1 }),
+                }],
+            });
+            passEncoder.setPipeline(renderPipeline);
+            passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
+            passEncoder.draw(3);
+            passEncoder.end();
+        }
+        this.#gpuDevice.queue.submit([commandEncoder.finish()]);
+    }
+
+    /**
+     * Returns the render pipeline for a texture format. The pipelines are created on demand.
+     */
+    #getRenderPipeline(format) {
+        if (!this.#renderPipelines.has(format)) {
+            this.#renderPipelines.set(format, this.#gpuDevice.createRenderPipeline({
+                vertex: {
+                    module: this.#shaderModule,
+                    entryPoint: 'vertex_main',
+                },
+                fragment: {
+                    module: this.#shaderModule,
+                    entryPoint: 'fragment_main',
+                    targets: [{ format: format }],
+                },
+                primitive: {
+                    topology: 'triangle-list',
+                },
+                layout: 'auto',
+            }));
+        }
+        return this.#renderPipelines.get(format);
+    }
+}
\ No newline at end of file
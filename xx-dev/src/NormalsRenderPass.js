@@ -10,19 +10,26 @@ const LineType = Object.freeze({
  * Render pass that renders normals, tangents and bitangent.
  */
 export class NormalsRenderPass {
+    #gpuDevice;
+    #shaderModule;
+    #renderTargets;
+    #camera;
     #renderPipeline;
-    #depthTexture;
+    #sampleCount;
     #uniformsBindGroup;
     #vertexTypeVertexBuffer;
+    #vertexBufferLayout;
     #meshData;
     #modelMatrixBindGroups;
 
-    async init(gpuDevice, depthTexture, camera, meshData) {
-        this.#depthTexture = depthTexture;
+    async init(gpuDevice, renderTargets, camera, meshData) {
+        this.#gpuDevice = gpuDevice;
+        this.#renderTargets = renderTargets;
+        this.#camera = camera;
         this.#meshData = meshData;
 
         const shaderFile = await utils.loadShaders('normal-shaders.wgsl');
-        const shaderModule = gpuDevice.createShaderModule({ code: shaderFile });
+        this.#shaderModule = gpuDevice.createShaderModule({ code: shaderFile });
 
         // Create a vertex buffer that contains the vertex types that should be drawn.
         const typeBufferStruct = this.#createVertexTypeBuffer(gpuDevice);
@@ -30,12 +37,24 @@ export class NormalsRenderPass {
         const vertexBufferLayout = structuredClone(meshData.vertexBufferLayout);
         vertexBufferLayout[0].stepMode = "instance";
         vertexBufferLayout.push(typeBufferStruct.layout);
+        this.#vertexBufferLayout = vertexBufferLayout;
+
+        this.#createRenderPipeline();
+    }
+
+    /**
+     * Creates the render pipeline for the sample count of the render targets and the BindGroups
+     * that use the pipeline.
+     */
+    #createRenderPipeline() {
+        const gpuDevice = this.#gpuDevice;
+        this.#sampleCount = this.#renderTargets.sampleCount;
 
         this.#renderPipeline = gpuDevice.createRenderPipeline({
             vertex: {
-                module: shaderModule,
+                module: this.#shaderModule,
                 entryPoint: 'vertex_main',
-                buffers: vertexBufferLayout,
+                buffers: this.#vertexBufferLayout,
                 constants: {
                     LINE_LENGTH: 0.25,
                     NORMAL_VERTEXT_TYPE: LineType.Normal,
@@ -44,13 +63,16 @@ export class NormalsRenderPass {
                 }
             },
             fragment: {
-                module: shaderModule,
+                module: this.#shaderModule,
                 entryPoint: 'fragment_main',
                 targets: [{ format: navigator.gpu.getPreferredCanvasFormat() }]
             },
             primitive: {
                 topology: 'line-list',
             },
+            multisample: {
+                count: this.#sampleCount,
+            },
             layout: 'auto',
             // Enable depth testing so that only those wireframes are rendered that are not occluded.
             depthStencil: {
@@ -61,11 +83,11 @@ export class NormalsRenderPass {
         });
 
         this.#uniformsBindGroup = utils.createBindGroup(gpuDevice, this.#renderPipeline, 0, [
-            { buffer: camera.buffer }
+            { buffer: this.#camera.buffer }
         ]);
 
         // Create BindGroups for the model matrics:
-        this.#modelMatrixBindGroups = meshData.modelMatrices.map(
+        this.#modelMatrixBindGroups = this.#meshData.modelMatrices.map(
             m => m.createBindGroup(this.#renderPipeline, 1)
         );
     }
@@ -102,20 +124,26 @@ export class NormalsRenderPass {
      * 
      * @param {GPUCanvasContext} drawingContext the canvas on which the frame is drawn
      * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
-     * @param {number} firstVertexToDraw the first vertex for which to draw the normal
-     * @param {number} numVerticesToDraw the number of vertices for which to draw the normal
+     * @param {number} firstIndexToDraw the position of the first index in the mesh index buffer
+     *                                   of the triangles for whose vertices the normals are drawn
+     * @param {number} numIndicesToDraw the number of indices of the triangles for whose vertices
+     *                                  the normals are drawn
      * @param {boolean} drawTangents true to also draw the tangent and bitangent that is used for normal maps
      */
-    renderFrame(drawingContext, commandEncoder, firstVertexToDraw, numVerticesToDraw, drawTangents = false) {
+    renderFrame(drawingContext, commandEncoder, firstIndexToDraw, numIndicesToDraw, drawTangents = false) {
+        if (this.#sampleCount != this.#renderTargets.sampleCount) {
+            this.#createRenderPipeline();
+        }
+
         const passEncoder = commandEncoder.beginRenderPass({
             colorAttachments: [{
+                ...this.#renderTargets.getColorAttachmentViews(drawingContext),
                 clearValue: [0, 0, 0, 1],
                 loadOp: 'load',
                 storeOp: 'store',
-                view: drawingContext.getCurrentTexture().createView()
             }],
             depthStencilAttachment: {
-                view: this.#depthTexture.createView(),
+                view: this.#renderTargets.depthTexture.createView(),
                 depthClearValue: 1.0,
                 depthLoadOp: 'load',
                 depthStoreOp: 'store',
@@ -127,20 +155,30 @@ export class NormalsRenderPass {
         passEncoder.setVertexBuffer(1, this.#vertexTypeVertexBuffer);
         passEncoder.setBindGroup(this.#uniformsBindGroup.number, this.#uniformsBindGroup.group);
 
-        // Draw the normals of the meshes.
+        // Draw the normals of the meshes. The normals are drawn for each vertex and
+        // the vertex is selected with the instance index.
+        const numLineVertices = drawTangents ? 6 : 2;
         const meshList = this.#meshData.meshList;
         for (let i = 0; i < meshList.length; ++i) {
             const bindGroup = this.#modelMatrixBindGroups[i];
             passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
 
             const mesh = meshList[i];
-            const firstVertex = Math.max(firstVertexToDraw, mesh.firstVertex);
-            const lastVertex = Math.min(firstVertexToDraw + numVerticesToDraw, mesh.firstVertex + mesh.vertexCount);
-            if (lastVertex <= firstVertex) {
+            const firstIndex = Math.max(firstIndexToDraw, mesh.firstIndex);
+            const lastIndex = Math.min(firstIndexToDraw + numIndicesToDraw, mesh.firstIndex + mesh.indexCount);
+            if (lastIndex <= firstIndex) {
                 continue;
             }
 
-            passEncoder.draw(drawTangents ? 6 : 2, lastVertex - firstVertex, 0, firstVertex);
+            if (lastIndex - firstIndex == mesh.indexCount) {
+                // The entire mesh is selected.
+                passEncoder.draw(numLineVertices, mesh.vertexCount, 0, mesh.firstVertex);
+            } else {
+                const vertices = new Set(this.#meshData.indices.subarray(firstIndex, lastIndex));
+                for (let v of vertices) {
+                    passEncoder.draw(numLineVertices, 1, 0, mesh.firstVertex + v);
+                }
+            }
         }
 
         passEncoder.end();
@@ -0,0 +1,316 @@
+import {
+    vec2,
+    vec3,
+    vec4,
+} from '../imports/wgpu-matrix.module.js';
+import * as utils from './utils.js';
+import { Mesh, createIndexedVertexData } from './Mesh.js';
+import { calcTangents } from './tangentSpace.js';
+import { Material, ShadingModel, TextureSlot } from './Material.js';
+
+/**
+ * Loads models from Wavefront OBJ files and the materials from the MTL files they reference.
+ * See https://paulbourke.net/dataformats/obj/ and https://paulbourke.net/dataformats/mtl/
+ */
+export class ObjLoader {
+    #defaultSpecularShininess;
+
+    /**
+     * Creates a new loader.
+     * @param {number} defaultSpecularShininess the shininess used for faces without a material
+     */
+    constructor(defaultSpecularShininess = 32.0) {
+        this.#defaultSpecularShininess = defaultSpecularShininess;
+    }
+
+    /**
+     * Loads the meshes of an OBJ file. A separate mesh is created for every object or group
+     * and material in the file.
+     *
+     * OBJ files use a coordinate system with the y-axis pointing up. The meshes are rotated
+     * so that they are upright in our coordinate system where the y-axis points down.
+     *
+     * @param {string} fileName the filename of the OBJ file
+     * @returns {Array} an array of Mesh objects
+     */
+    async load(fileName) {
+        const directory = fileName.substring(0, fileName.lastIndexOf('/') + 1);
+        const text = await utils.loadTextFile(fileName);
+
+        const positions = [];
+        const texCoords = [];
+        const normals = [];
+        const materials = new Map();
+        const groups = [];
+        let objectName = '';
+        let materialName = '';
+        let currentGroup = null;
+
+        for (let [command, args] of this.#parseLines(text)) {
+            switch (command) {
+                case 'v':
+                    positions.push(this.#toWorldCoordinates(vec3.fromValues(args[0], args[1], args[2])));
+                    break;
+                case 'vt':
+                    // OBJ texture coordinates start at the bottom of the image and WebGPU
+                    // texture coordinates start at the top.
+                    texCoords.push(vec2.fromValues(parseFloat(args[0]), 1.0 - parseFloat(args[1] ?? 0)));
+                    break;
+                case 'vn':
+                    normals.push(vec3.normalize(
+                        this.#toWorldCoordinates(vec3.fromValues(args[0], args[1], args[2]))
+                    ));
+                    break;
+                case 'f':
+                    if (currentGroup === null) {
+                        currentGroup = { name: objectName, materialName: materialName, faces: [] };
+                        groups.push(currentGroup);
+                    }
+                    currentGroup.faces.push(args.map(a => this.#parseFaceVertex(
+                        a, positions.length, texCoords.length, normals.length
+                    )));
+                    break;
+                case 'o':
+                case 'g':
+                    objectName = args.join(' ');
+                    currentGroup = null;
+                    break;
+                case 'usemtl':
+                    materialName = args.join(' ');
+                    currentGroup = null;
+                    break;
+                case 'mtllib':
+                    for (let mtlFile of args) {
+                        const mtlMaterials = await this.#loadMaterials(directory + mtlFile, directory);
+                        mtlMaterials.forEach((m, name) => materials.set(name, m));
+                    }
+                    break;
+            }
+        }
+
+        const defaultMaterial = new Material();
+        defaultMaterial.setSpecular(1.0, this.#defaultSpecularShininess);
+        return groups.map(g => {
+            const material = materials.get(g.materialName) ?? defaultMaterial;
+            const name = [g.name, g.materialName].filter(n => n.length > 0).join('/');
+            const data = this.#calcVertexData(g.faces, positions, texCoords, normals);
+            return new Mesh(data.vertexData, data.indices, name, material);
+        });
+    }
+
+    /**
+     * Splits the content of an OBJ or MTL file into commands and their arguments.
+     * Empty lines and comments are skipped.
+     *
+     * @param {string} text the content of the file
+     * @returns {Array} an array of [command, arguments] pairs
+     */
+    #parseLines(text) {
+        const result = [];
+        // A backslash at the end of a line continues the line.
+        const lines = text.replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+        for (let line of lines) {
+            const commentStart = line.indexOf('#');
+            if (commentStart >= 0) {
+                line = line.substring(0, commentStart);
+            }
+            const tokens = line.trim().split(/\s+/);
+            if (tokens[0].length == 0) {
+                continue;
+            }
+            result.push([tokens[0], tokens.slice(1)]);
+        }
+        return result;
+    }
+
+    /**
+     * Parses a vertex of a face that has the format v, v/vt, v//vn or v/vt/vn.
+     * Negative indices are relative to the end of the list of vertices read so far.
+     *
+     * @returns an object with the zero-based position, texture coordinate and normal index;
+     *          the texture coordinate and normal index are -1 if they do not exist
+     */
+    #parseFaceVertex(arg, numPositions, numTexCoords, numNormals) {
+        const toIndex = (s, count) => {
+            if (s === undefined || s.length == 0) {
+                return -1;
+            }
+            const i = parseInt(s);
+            return i < 0 ? count + i : i - 1;
+        };
+        const parts = arg.split('/');
+        return {
+            position: toIndex(parts[0], numPositions),
+            texCoord: toIndex(parts[1], numTexCoords),
+            normal: toIndex(parts[2], numNormals),
+        };
+    }
+
+    /**
+     * Converts a position or direction from the OBJ coordinate system where the y-axis points up
+     * to our coordinate system where the y-axis points down. This is a rotation by 180 degrees
+     * around the x-axis so that the winding order of the faces is not changed.
+     */
+    #toWorldCoordinates(v) {
+        return vec3.fromValues(v[0], -v[1], -v[2]);
+    }
+
+    #calcVertexData(faces, positions, texCoords, normals) {
+        const vertices = [];
+
+        for (let face of faces) {
+            const facePositions = face.map(v => positions[v.position]);
+            for (let triangle of triangulatePolygon(facePositions)) {
+                const corners = triangle.map(i => face[i]);
+                const p = corners.map(c => positions[c.position]);
+                const t = corners.map(c => c.texCoord >= 0 ? texCoords[c.texCoord] : vec2.create(0, 0));
+
+                const faceNormal = vec3.normalize(vec3.cross(vec3.sub(p[1], p[0]), vec3.sub(p[2], p[0])));
+
+                for (let i = 0; i < 3; ++i) {
+                    vertices.push({
+                        position: p[i],
+                        normal: corners[i].normal >= 0 ? normals[corners[i].normal] : faceNormal,
+                        texCoord: t[i]
+                    });
+                }
+            }
+        }
+        calcTangents(vertices);
+        return createIndexedVertexData(vertices);
+    }
+
+    /**
+     * Loads the materials of an MTL file.
+     *
+     * @param {string} fileName the filename of the MTL file
+     * @param {string} directory the directory relative to which texture files are resolved
+     * @returns {Map} a map from the material name to the material
+     */
+    async #loadMaterials(fileName, directory) {
+        const text = await utils.loadTextFile(fileName);
+        const descriptions = [];
+        let description = null;
+        // Texture map statements may have options before the filename (e.g. 'map_Bump -bm 1.0 normal.png').
+        const textureFile = args => directory + args[args.length - 1];
+        const color = args => vec3.fromValues(args[0], args[1] ?? args[0], args[2] ?? args[0]);
+
+        for (let [command, args] of this.#parseLines(text)) {
+            if (command == 'newmtl') {
+                description = {
+                    name: args.join(' '),
+                    diffuseColor: vec3.create(1.0, 1.0, 1.0),
+                    specularColor: vec3.create(1.0, 1.0, 1.0),
+                    emissiveColor: vec3.create(0.0, 0.0, 0.0),
+                    specularShininess: this.#defaultSpecularShininess,
+                    opacity: 1.0,
+                    textures: new Map(),
+                };
+                descriptions.push(description);
+                continue;
+            }
+            if (description === null) {
+                continue;
+            }
+            switch (command) {
+                case 'Kd': description.diffuseColor = color(args); break;
+                case 'Ks': description.specularColor = color(args); break;
+                case 'Ke': description.emissiveColor = color(args); break;
+                // A shininess smaller than 1 would light the entire surface with specular light.
+                case 'Ns': description.specularShininess = Math.max(1.0, parseFloat(args[0])); break;
+                case 'd': description.opacity = parseFloat(args[0]); break;
+                case 'Tr': description.opacity = 1.0 - parseFloat(args[0]); break;
+                case 'map_Kd': description.textures.set(TextureSlot.Color, textureFile(args)); break;
+                case 'map_Ks': description.textures.set(TextureSlot.Specular, textureFile(args)); break;
+                case 'map_Bump':
+                case 'map_bump':
+                case 'bump':
+                case 'norm':
+                    description.textures.set(TextureSlot.Normal, textureFile(args));
+                    break;
+            }
+        }
+
+        // Images that are used by several materials are only loaded once.
+        const imageFiles = new Set(descriptions.flatMap(d => [...d.textures.values()]));
+        const images = new Map(await Promise.all(
+            [...imageFiles].map(async f => [f, await utils.loadImage(f)])
+        ));
+
+        const materials = new Map();
+        for (let d of descriptions) {
+            const material = new Material(d.name, ShadingModel.BlinnPhong);
+            material.setColorFactor(vec4.create(...d.diffuseColor, d.opacity));
+            material.setEmissiveFactor(d.emissiveColor);
+            // The shader has no specular color, so only its brightest channel is used as strength.
+            material.setSpecular(Math.max(...d.specularColor), d.specularShininess);
+            d.textures.forEach((file, slot) => material.setTexture(slot, images.get(file)));
+            materials.set(d.name, material);
+        }
+        return materials;
+    }
+}
+
+/**
+ * Splits a planar polygon into triangles using ear clipping. This also works for concave polygons.
+ *
+ * @param {Array} points the vec3 corners of the polygon
+ * @returns {Array} an array of triangles; each triangle is an array with three indices into points
+ *                  and has the same winding order as the polygon
+ */
+function triangulatePolygon(points) {
+    const n = points.length;
+    if (n == 3) {
+        return [[0, 1, 2]];
+    }
+
+    // Calculate the normal of the polygon with Newell's method and project the polygon on the
+    // plane where the normal has the largest component.
+    const normal = vec3.create(0, 0, 0);
+    for (let i = 0; i < n; ++i) {
+        const c = points[i];
+        const d = points[(i + 1) % n];
+        normal[0] += (c[1] - d[1]) * (c[2] + d[2]);
+        normal[1] += (c[2] - d[2]) * (c[0] + d[0]);
+        normal[2] += (c[0] - d[0]) * (c[1] + d[1]);
+    }
+    const absNormal = normal.map(Math.abs);
+    const axis = absNormal.indexOf(Math.max(...absNormal));
+    const [u, v] = [[1, 2], [2, 0], [0, 1]][axis];
+    const orientation = normal[axis] >= 0 ? 1 : -1;
+    const p = points.map(point => [point[u], point[v]]);
+
+    const cross = (a, b, c) => ((p[b][0] - p[a][0]) * (p[c][1] - p[a][1]) -
+        (p[b][1] - p[a][1]) * (p[c][0] - p[a][0])) * orientation;
+    const isInside = (i, a, b, c) => cross(a, b, i) > 0 && cross(b, c, i) > 0 && cross(c, a, i) > 0;
+
+    const triangles = [];
+    const remaining = [...points.keys()];
+    while (remaining.length > 3) {
+        let earFound = false;
+        for (let i = 0; i < remaining.length; ++i) {
+            const a = remaining[(i + remaining.length - 1) % remaining.length];
+            const b = remaining[i];
+            const c = remaining[(i + 1) % remaining.length];
+            if (cross(a, b, c) <= 0) {
+                continue; // reflex corner
+            }
+            if (remaining.some(j => j != a && j != b && j != c && isInside(j, a, b, c))) {
+                continue;
+            }
+            triangles.push([a, b, c]);
+            remaining.splice(i, 1);
+            earFound = true;
+            break;
+        }
+        if (!earFound) {
+            // Degenerate polygon (e.g. self-intersecting); fall back to a triangle fan.
+            for (let i = 1; i < remaining.length - 1; ++i) {
+                triangles.push([remaining[0], remaining[i], remaining[i + 1]]);
+            }
+            return triangles;
+        }
+    }
+    triangles.push(remaining);
+    return triangles;
+}
@@ -16,8 +16,8 @@ export class ObjectSelector {
 
     #selectObjectAt;
     #selectionMode;
-    #firstSelectedVertex;
-    #numSelectedVertices;
+    #firstSelectedIndex;
+    #numSelectedIndices;
 
     constructor(gpuDevice, drawingContext) {
         this.#gpuDevice = gpuDevice;
@@ -26,13 +26,22 @@ export class ObjectSelector {
 
         this.#selectObjectAt = null;
         this.setSelectionMode(SelectionMode.Object);
-        this.#firstSelectedVertex = 0;
-        this.#numSelectedVertices = 0;
+        this.#firstSelectedIndex = 0;
+        this.#numSelectedIndices = 0;
     }
 
-    async init(depthTexture, camera, meshData) {
+    async init(camera, meshData) {
         this.#meshData = meshData;
-        this.#selectRenderPass.init(this.#gpuDevice, depthTexture, camera, meshData);
+        const canvas = this.#drawingContext.canvas;
+        await this.#selectRenderPass.init(this.#gpuDevice, canvas.width, canvas.height, camera, meshData);
+    }
+
+    /**
+     * Adapts the object selector to the current size of the canvas.
+     */
+    resize() {
+        const canvas = this.#drawingContext.canvas;
+        this.#selectRenderPass.resize(canvas.width, canvas.height);
     }
 
     /**
@@ -42,15 +51,17 @@ export class ObjectSelector {
      */
     updateWithInputState(inputState) {
         if (inputState.select == true) {
-            const x = Math.round(inputState.selectX);
-            const y = Math.round(inputState.selectY);
-            if (x >= 0 && x < this.#drawingContext.canvas.width && y >= 0 && y < this.#drawingContext.canvas.height) {
+            // The input is in CSS pixels, but the canvas may have a different resolution (e.g. on high DPI screens).
+            const canvas = this.#drawingContext.canvas;
+            const x = Math.floor(inputState.selectX * canvas.width / canvas.clientWidth);
+            const y = Math.floor(inputState.selectY * canvas.height / canvas.clientHeight);
+            if (x >= 0 && x < canvas.width && y >= 0 && y < canvas.height) {
                 this.#selectObjectAt = { x: x, y: y };
             }
         }
         if (inputState.selectionModeSwitch) {
             this.setSelectionMode((this.#selectionMode == SelectionMode.Face) ? SelectionMode.Object : SelectionMode.Face);
-            this.#selectVerticesFor(-1); // select nothing
+            this.#selectIndicesFor(-1); // select nothing
         }
     }
 
@@ -63,12 +74,18 @@ export class ObjectSelector {
         return this.#selectionMode;
     }
 
-    getFirstSelectedVertex() {
-        return this.#firstSelectedVertex;
+    /**
+     * Returns the position of the first selected index in the index buffer.
+     * The selected triangles are defined by the indices from getFirstSelectedIndex()
+     * to getFirstSelectedIndex() + getNumSelectedIndices().
+     * @returns {number} the position of the first selected index
+     */
+    getFirstSelectedIndex() {
+        return this.#firstSelectedIndex;
     }
 
-    getNumSelectedVertices() {
-        return this.#numSelectedVertices;
+    getNumSelectedIndices() {
+        return this.#numSelectedIndices;
     }
 
     async onRenderFrame() {
@@ -91,40 +108,40 @@ export class ObjectSelector {
         const triangleId = await this.#selectRenderPass.getSelectedTriangleId(x, y);
         // console.log("Selected triangle: " + triangleId);
 
-        this.#selectVerticesFor(triangleId * 3);
+        this.#selectIndicesFor(triangleId * 3);
     }
 
-    #selectVerticesFor(selectedVertex) {
-        if (selectedVertex < 0) {
+    #selectIndicesFor(selectedIndex) {
+        if (selectedIndex < 0) {
             // Nothing selected
-            this.#firstSelectedVertex = 0;
-            this.#numSelectedVertices = 0;
+            this.#firstSelectedIndex = 0;
+            this.#numSelectedIndices = 0;
             return;
         }
 
-        let newFirstSelectedVertex = 0;
-        let newNumSelectedVertices = 0;
+        let newFirstSelectedIndex = 0;
+        let newNumSelectedIndices = 0;
         if (this.#selectionMode == SelectionMode.Face) {
-            newFirstSelectedVertex = selectedVertex;
-            newNumSelectedVertices = 3;
+            newFirstSelectedIndex = selectedIndex;
+            newNumSelectedIndices = 3;
         } else {
             for (let m of this.#meshData.meshList) {
-                if (selectedVertex >= m.firstVertex && selectedVertex < m.firstVertex + m.vertexCount) {
-                    newFirstSelectedVertex = m.firstVertex;
-                    newNumSelectedVertices = m.vertexCount;
+                if (selectedIndex >= m.firstIndex && selectedIndex < m.firstIndex + m.indexCount) {
+                    newFirstSelectedIndex = m.firstIndex;
+                    newNumSelectedIndices = m.indexCount;
                     break;
                 }
             }
         }
 
-        if (newFirstSelectedVertex == this.#firstSelectedVertex &&
-            newNumSelectedVertices == this.#numSelectedVertices) {
+        if (newFirstSelectedIndex == this.#firstSelectedIndex &&
+            newNumSelectedIndices == this.#numSelectedIndices) {
             // Was already selected -> unselect
-            this.#firstSelectedVertex = 0;
-            this.#numSelectedVertices = 0;
+            this.#firstSelectedIndex = 0;
+            this.#numSelectedIndices = 0;
         } else {
-            this.#firstSelectedVertex = newFirstSelectedVertex;
-            this.#numSelectedVertices = newNumSelectedVertices;
+            this.#firstSelectedIndex = newFirstSelectedIndex;
+            this.#numSelectedIndices = newNumSelectedIndices;
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,378 @@
+import {
+    vec2,
+    vec3,
+} from '../imports/wgpu-matrix.module.js';
+import { Mesh, createVertexData } from './Mesh.js';
+import { calcVertexTangent } from './tangentSpace.js';
+
+/**
+ * A UV sphere that is centered around the origin.
+ */
+export class SphereMesh extends Mesh {
+
+    /**
+     * Creates a new sphere.
+     * @param {boolean} isSolid true if the sphere is seen from the outside, false if it is seen from the inside
+     * @param {number} scale the radius of the sphere
+     * @param {number} segments the number of segments around the sphere
+     * @param {number} rings the number of rings from the top to the bottom of the sphere
+     */
+    constructor(isSolid = true, scale = 1.0, segments = 32, rings = 16) {
+        const grid = createGrid(segments, rings, (u, v) => sphereVertex(u, v * Math.PI, 0.0, v * Math.PI));
+        const data = createMeshData([grid], isSolid, scale);
+        super(data.vertexData, data.indices, 'Sphere');
+    }
+}
+
+/**
+ * A sphere that is created by subdividing an icosahedron. In contrast to the UV sphere
+ * the triangles have almost the same size.
+ */
+export class IcosphereMesh extends Mesh {
+
+    /**
+     * Creates a new icosphere.
+     * @param {boolean} isSolid true if the sphere is seen from the outside, false if it is seen from the inside
+     * @param {number} scale the radius of the sphere
+     * @param {number} subdivisions how often the triangles of the icosahedron are split into four triangles
+     */
+    constructor(isSolid = true, scale = 1.0, subdivisions = 2) {
+        const data = createMeshData(
+            [IcosphereMesh.#calcGeometry(subdivisions)], isSolid, scale
+        );
+        super(data.vertexData, data.indices, 'Icosphere');
+    }
+
+    static #calcGeometry(subdivisions) {
+        const t = (1.0 + Math.sqrt(5.0)) / 2.0;
+        let positions = [
+            [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+            [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+            [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1],
+        ].map(p => vec3.normalize(p));
+        let triangles = [
+            [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+            [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+            [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+            [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1],
+        ];
+
+        // Split each triangle into four triangles and move the new vertices onto the sphere.
+        for (let s = 0; s < subdivisions; ++s) {
+            const midpoints = new Map();
+            const midpoint = (a, b) => {
+                const key = Math.min(a, b) + '_' + Math.max(a, b);
+                if (!midpoints.has(key)) {
+                    midpoints.set(key, positions.length);
+                    positions.push(vec3.normalize(vec3.add(positions[a], positions[b])));
+                }
+                return midpoints.get(key);
+            };
+            triangles = triangles.flatMap(([a, b, c]) => {
+                const ab = midpoint(a, b);
+                const bc = midpoint(b, c);
+                const ca = midpoint(c, a);
+                return [[a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]];
+            });
+        }
+
+        // Texture coordinates are calculated like for the UV sphere. Triangles that cross
+        // the seam of the texture get additional vertices with texture coordinates beyond 1.
+        const geometry = { vertices: [], triangles: [] };
+        const vertexIndices = new Map();
+        const vertex = (i, u) => {
+            const key = i + '_' + u;
+            if (!vertexIndices.has(key)) {
+                const theta = Math.acos(positions[i][1]);
+                vertexIndices.set(key, geometry.vertices.length);
+                geometry.vertices.push(sphereVertex(u, theta, 0.0, theta));
+            }
+            return vertexIndices.get(key);
+        };
+        for (let triangle of triangles) {
+            const u = triangle.map(i => {
+                const angle = Math.atan2(positions[i][0], positions[i][2]);
+                return (angle < 0 ? angle + 2 * Math.PI : angle) / (2 * Math.PI);
+            });
+            const maxU = Math.max(...u);
+            geometry.triangles.push(triangle.map((i, j) => vertex(i, maxU - u[j] > 0.5 ? u[j] + 1.0 : u[j])));
+        }
+        return geometry;
+    }
+}
+
+/**
+ * A square plane in the xz-plane that is centered around the origin and faces up.
+ */
+export class PlaneMesh extends Mesh {
+
+    /**
+     * Creates a new plane.
+     * @param {boolean} isSolid true if the plane faces up, false if it faces down
+     * @param {number} scale half the length of the sides of the plane
+     * @param {number} subdivisions the number of segments along each side of the plane
+     */
+    constructor(isSolid = true, scale = 1.0, subdivisions = 1) {
+        const grid = createGrid(subdivisions, subdivisions, (u, v) => ({
+            position: [u * 2.0 - 1.0, 0.0, v * 2.0 - 1.0],
+            normal: [0, 1, 0],
+            tangent: [1, 0, 0],
+            bitangent: [0, 0, 1],
+            texCoord: [u, v],
+        }));
+        const data = createMeshData([grid], isSolid, scale);
+        super(data.vertexData, data.indices, 'Plane');
+    }
+}
+
+/**
+ * A cylinder along the y-axis that is centered around the origin.
+ */
+export class CylinderMesh extends Mesh {
+
+    /**
+     * Creates a new cylinder.
+     * @param {boolean} isSolid true if the cylinder is seen from the outside, false if it is seen from the inside
+     * @param {number} scale the radius and half the height of the cylinder
+     * @param {number} segments the number of segments around the cylinder
+     */
+    constructor(isSolid = true, scale = 1.0, segments = 32) {
+        const side = createGrid(segments, 1, (u, v) => {
+            const phi = u * 2 * Math.PI;
+            return {
+                position: [Math.sin(phi), 1.0 - 2.0 * v, Math.cos(phi)],
+                normal: [Math.sin(phi), 0, Math.cos(phi)],
+                tangent: [Math.cos(phi), 0, -Math.sin(phi)],
+                bitangent: [0, -1, 0],
+                texCoord: [u * Math.PI, v],
+            };
+        });
+        const top = createDisk(segments, 1.0, 1.0);
+        const bottom = createDisk(segments, -1.0, -1.0);
+        const data = createMeshData([side, top, bottom], isSolid, scale);
+        super(data.vertexData, data.indices, 'Cylinder');
+    }
+}
+
+/**
+ * A cone along the y-axis with the tip at the top that is centered around the origin.
+ */
+export class ConeMesh extends Mesh {
+
+    /**
+     * Creates a new cone.
+     * @param {boolean} isSolid true if the cone is seen from the outside, false if it is seen from the inside
+     * @param {number} scale the radius of the base and half the height of the cone
+     * @param {number} segments the number of segments around the cone
+     */
+    constructor(isSolid = true, scale = 1.0, segments = 32) {
+        // The normal of the side is perpendicular to the slope from the base (radius 1) to the tip (height 2).
+        const side = createGrid(segments, 1, (u, v) => {
+            const phi = u * 2 * Math.PI;
+            return {
+                position: [v * Math.sin(phi), 1.0 - 2.0 * v, v * Math.cos(phi)],
+                normal: vec3.normalize([2.0 * Math.sin(phi), 1.0, 2.0 * Math.cos(phi)]),
+                tangent: [Math.cos(phi), 0, -Math.sin(phi)],
+                bitangent: [Math.sin(phi), -2.0, Math.cos(phi)],
+                texCoord: [u * Math.PI, v * Math.sqrt(5.0) / 2.0],
+            };
+        });
+        const bottom = createDisk(segments, -1.0, -1.0);
+        const data = createMeshData([side, bottom], isSolid, scale);
+        super(data.vertexData, data.indices, 'Cone');
+    }
+}
+
+/**
+ * A torus around the y-axis that is centered around the origin.
+ */
+export class TorusMesh extends Mesh {
+
+    /**
+     * Creates a new torus.
+     * @param {boolean} isSolid true if the torus is seen from the outside, false if it is seen from the inside
+     * @param {number} scale the distance from the center of the torus to the center of the tube
+     * @param {number} tubeRadius the radius of the tube relative to scale
+     * @param {number} radialSegments the number of segments around the torus
+     * @param {number} tubularSegments the number of segments around the tube
+     */
+    constructor(isSolid = true, scale = 1.0, tubeRadius = 0.3,
+        radialSegments = 48, tubularSegments = 24) {
+        const grid = createGrid(radialSegments, tubularSegments, (u, v) => {
+            const phi = u * 2 * Math.PI;
+            const theta = v * 2 * Math.PI;
+            const ringRadius = 1.0 + tubeRadius * Math.cos(theta);
+            return {
+                position: [ringRadius * Math.sin(phi), tubeRadius * Math.sin(theta), ringRadius * Math.cos(phi)],
+                normal: [Math.cos(theta) * Math.sin(phi), Math.sin(theta), Math.cos(theta) * Math.cos(phi)],
+                tangent: [Math.cos(phi), 0, -Math.sin(phi)],
+                bitangent: [-Math.sin(theta) * Math.sin(phi), Math.cos(theta), -Math.sin(theta) * Math.cos(phi)],
+                texCoord: [u * Math.PI, v * Math.PI * tubeRadius],
+            };
+        });
+        const data = createMeshData([grid], isSolid, scale);
+        super(data.vertexData, data.indices, 'Torus');
+    }
+}
+
+/**
+ * A capsule (a cylinder with a half sphere at each end) along the y-axis that is centered around the origin.
+ */
+export class CapsuleMesh extends Mesh {
+
+    /**
+     * Creates a new capsule.
+     * @param {boolean} isSolid true if the capsule is seen from the outside, false if it is seen from the inside
+     * @param {number} scale the radius of the capsule and half the height of the cylinder part
+     * @param {number} segments the number of segments around the capsule
+     * @param {number} rings the number of rings of each half sphere
+     */
+    constructor(isSolid = true, scale = 1.0, segments = 32, rings = 8) {
+        // The profile of the capsule from the top to the bottom. The cylinder part is between
+        // the last ring of the upper half sphere and the first ring of the lower half sphere.
+        const profile = [];
+        for (let i = 0; i <= rings; ++i) {
+            const theta = i / rings * Math.PI / 2;
+            profile.push({ theta: theta, offset: 1.0, arcLength: theta });
+        }
+        for (let i = 0; i <= rings; ++i) {
+            const theta = Math.PI / 2 + i / rings * Math.PI / 2;
+            profile.push({ theta: theta, offset: -1.0, arcLength: theta + 2.0 });
+        }
+
+        const grid = createGrid(segments, profile.length - 1, (u, v, column, row) => {
+            const p = profile[row];
+            return sphereVertex(u, p.theta, p.offset, p.arcLength);
+        });
+        const data = createMeshData([grid], isSolid, scale);
+        super(data.vertexData, data.indices, 'Capsule');
+    }
+}
+
+/**
+ * Calculates a vertex on a unit sphere. The texture coordinate u goes around the sphere and
+ * the texture coordinate v from the top to the bottom.
+ *
+ * @param {number} u the position around the sphere in [0, 1]
+ * @param {number} theta the angle between the top of the sphere and the vertex
+ * @param {number} offsetY an offset that is added to the y coordinate of the position
+ * @param {number} arcLength the length of the surface from the top to the vertex
+ */
+function sphereVertex(u, theta, offsetY, arcLength) {
+    const phi = u * 2 * Math.PI;
+    const normal = [Math.sin(theta) * Math.sin(phi), Math.cos(theta), Math.sin(theta) * Math.cos(phi)];
+    return {
+        position: [normal[0], normal[1] + offsetY, normal[2]],
+        normal: normal,
+        tangent: [Math.cos(phi), 0, -Math.sin(phi)],
+        bitangent: [Math.cos(theta) * Math.sin(phi), -Math.sin(theta), Math.cos(theta) * Math.cos(phi)],
+        texCoord: [u * Math.PI, arcLength / 2.0],
+    };
+}
+
+/**
+ * Creates a grid of vertices for a parametric surface.
+ *
+ * @param {number} columns the number of segments in the direction of u
+ * @param {number} rows the number of segments in the direction of v
+ * @param {function} vertexFunction a function (u, v, column, row) that returns the vertex for u and v in [0, 1]
+ * @returns the geometry with the vertices and triangles
+ */
+function createGrid(columns, rows, vertexFunction) {
+    const geometry = { vertices: [], triangles: [] };
+    for (let j = 0; j <= rows; ++j) {
+        for (let i = 0; i <= columns; ++i) {
+            geometry.vertices.push(vertexFunction(i / columns, j / rows, i, j));
+        }
+    }
+    for (let j = 0; j < rows; ++j) {
+        for (let i = 0; i < columns; ++i) {
+            const a = j * (columns + 1) + i;
+            const b = a + 1;
+            const c = a + columns + 2;
+            const d = a + columns + 1;
+            geometry.triangles.push([a, b, c], [a, c, d]);
+        }
+    }
+    return geometry;
+}
+
+/**
+ * Creates a disk with radius 1 in the xz-plane.
+ *
+ * @param {number} segments the number of segments around the disk
+ * @param {number} y the y coordinate of the disk
+ * @param {number} normalY the y coordinate of the normal; either 1 or -1
+ * @returns the geometry with the vertices and triangles
+ */
+function createDisk(segments, y, normalY) {
+    const vertex = (x, z) => ({
+        position: [x, y, z],
+        normal: [0, normalY, 0],
+        tangent: [1, 0, 0],
+        bitangent: [0, 0, 1],
+        texCoord: [(x + 1.0) / 2.0, (z + 1.0) / 2.0],
+    });
+    const geometry = { vertices: [vertex(0, 0)], triangles: [] };
+    for (let i = 0; i <= segments; ++i) {
+        const phi = i / segments * 2 * Math.PI;
+        geometry.vertices.push(vertex(Math.sin(phi), Math.cos(phi)));
+        if (i > 0) {
+            geometry.triangles.push([0, i, i + 1]);
+        }
+    }
+    return geometry;
+}
+
+/**
+ * Creates the vertex data and indices of a primitive mesh.
+ *
+ * The geometry is defined with the y-axis pointing up and rotated by 180 degrees around the
+ * x-axis so that it is upright in our coordinate system where the y-axis points down.
+ * The winding order of each triangle is chosen so that the front face points in the
+ * direction of the normals. Triangles without area (e.g. at the poles of a sphere) are removed.
+ *
+ * @param {Array} geometries the geometries that make up the mesh
+ * @param {boolean} isSolid true if the mesh is seen from the outside; false if it is seen from the
+ *                          inside, which inverts the normals and the winding order
+ * @param {number} scale the scale of the mesh; like for the CubeMesh the texture is repeated
+ *                       every 2 units, so the texture coordinates are scaled as well
+ * @returns an object with the vertex data (vertexData) and the indices (indices)
+ */
+function createMeshData(geometries, isSolid, scale) {
+    const toWorld = v => vec3.fromValues(v[0], -v[1], -v[2]);
+    const vertices = [];
+    const indices = [];
+
+    for (let geometry of geometries) {
+        const firstVertex = vertices.length;
+        for (let v of geometry.vertices) {
+            const normal = vec3.scale(vec3.normalize(toWorld(v.normal)), isSolid ? 1.0 : -1.0);
+            vertices.push({
+                position: vec3.scale(toWorld(v.position), scale),
+                normal: normal,
+                tangent: calcVertexTangent(normal, toWorld(v.tangent), toWorld(v.bitangent)),
+                texCoord: vec2.scale(v.texCoord, scale),
+            });
+        }
+
+        for (let triangle of geometry.triangles) {
+            const [a, b, c] = triangle.map(i => vertices[firstVertex + i]);
+            const faceNormal = vec3.cross(vec3.sub(b.position, a.position), vec3.sub(c.position, a.position));
+            if (vec3.length(faceNormal) < 1e-10 * scale * scale) {
+                continue;
+            }
+            const vertexNormal = vec3.add(vec3.add(a.normal, b.normal), c.normal);
+            if (vec3.dot(faceNormal, vertexNormal) >= 0) {
+                indices.push(firstVertex + triangle[0], firstVertex + triangle[1], firstVertex + triangle[2]);
+            } else {
+                indices.push(firstVertex + triangle[0], firstVertex + triangle[2], firstVertex + triangle[1]);
+            }
+        }
+    }
+
+    return {
+        vertexData: createVertexData(vertices),
+        indices: vertices.length > 65536 ? new Uint32Array(indices) : new Uint16Array(indices)
+    };
+}
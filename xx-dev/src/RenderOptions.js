@@ -0,0 +1,116 @@
+import * as utils from './utils.js';
+
+export const TextureRenderMode = Object.freeze({
+    Normal: { name: 'Normal', value: 0 },
+    Disabled: { name: 'Disabled', value: 1 },
+    Exclusive: { name: 'Exclusive', value: 2 },
+});
+
+/**
+ * The options that change how the scene is shaded (mostly for visual debugging). The options are
+ * stored in a uniform buffer that is shared by the render passes that shade the scene.
+ */
+export class RenderOptions {
+    #gpuDevice;
+    #buffer;
+    #colorTextureMode = TextureRenderMode.Normal;
+    #specularTextureMode = TextureRenderMode.Normal;
+    #normalTextureMode = TextureRenderMode.Normal;
+    #showShadowCascades = false;
+    #ambientOcclusionMode = TextureRenderMode.Normal;
+    #environmentLightingMode = TextureRenderMode.Normal;
+
+    constructor(gpuDevice) {
+        this.#gpuDevice = gpuDevice;
+        // Layout: colorTextureMode: i32, specularTextureMode: i32, normalTextureMode: i32,
+        // showShadowCascades: i32, ambientOcclusionMode: i32, environmentLightingMode: i32
+        this.#buffer = gpuDevice.createBuffer({
+            size: utils.align(6 * utils.i32ByteLength, 16),
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        this.#updateBuffer();
+    }
+
+    getBuffer() {
+        return this.#buffer;
+    }
+
+    getColorTextureMode() {
+        return this.#colorTextureMode;
+    }
+
+    setColorTextureMode(value) {
+        this.#colorTextureMode = value;
+        this.#updateBuffer();
+    }
+
+    getSpecularTextureMode() {
+        return this.#specularTextureMode;
+    }
+
+    setSpecularTextureMode(value) {
+        this.#specularTextureMode = value;
+        this.#updateBuffer();
+    }
+
+    getNormalTextureMode() {
+        return this.#normalTextureMode;
+    }
+
+    setNormalTextureMode(value) {
+        this.#normalTextureMode = value;
+        this.#updateBuffer();
+    }
+
+    getShowShadowCascades() {
+        return this.#showShadowCascades;
+    }
+
+    /**
+     * Sets if fragments are tinted by the shadow cascade of the first directional light (for debugging).
+     * @param {boolean} value true if the cascades are shown
+     */
+    setShowShadowCascades(value) {
+        this.#showShadowCascades = value;
+        this.#updateBuffer();
+    }
+
+    getAmbientOcclusionMode() {
+        return this.#ambientOcclusionMode;
+    }
+
+    /**
+     * Sets if the screen-space ambient occlusion darkens the ambient light (Normal), is ignored (Disabled)
+     * or is shown instead of the scene (Exclusive).
+     * @param {object} value the mode (see TextureRenderMode)
+     */
+    setAmbientOcclusionMode(value) {
+        this.#ambientOcclusionMode = value;
+        this.#updateBuffer();
+    }
+
+    getEnvironmentLightingMode() {
+        return this.#environmentLightingMode;
+    }
+
+    /**
+     * Sets if the image-based lighting of the environment map is added to the lights (Normal), is ignored
+     * (Disabled) or is used without the lights (Exclusive).
+     * @param {object} value the mode (see TextureRenderMode)
+     */
+    setEnvironmentLightingMode(value) {
+        this.#environmentLightingMode = value;
+        this.#updateBuffer();
+    }
+
+    #updateBuffer() {
+        utils.copyToBuffer(this.#gpuDevice, this.#buffer, new Int32Array([
+            this.#colorTextureMode.value,
+            this.#specularTextureMode.value,
+            this.#normalTextureMode.value,
+            this.#showShadowCascades ? 1 : 0,
+            this.#ambientOcclusionMode.value,
+            this.#environmentLightingMode.value,
+        ]));
+    }
+}
\ No newline at end of file
@@ -4,11 +4,44 @@ import {
 } from '../imports/wgpu-matrix.module.js';
 import * as utils from './utils.js';
 import { Scene } from './Scene.js';
-import { StandardRenderPass, TextureRenderMode } from './StandardRenderPass.js';
+import { StandardRenderPass } from './StandardRenderPass.js';
+import { DeferredRenderPass } from './DeferredRenderPass.js';
+import { RenderOptions, TextureRenderMode } from './RenderOptions.js';
+import { ShadowRenderPass } from './ShadowRenderPass.js';
+import { LightClusterPass } from './LightClusterPass.js';
+import { ClusterHeatmapRenderPass } from './ClusterHeatmapRenderPass.js';
 import { NormalsRenderPass } from './NormalsRenderPass.js';
 import { WireframeRenderPass } from './WireframeRenderPass.js';
+import { FxaaRenderPass } from './FxaaRenderPass.js';
+import { ToneMappingRenderPass, ToneMappingOperator } from './ToneMappingRenderPass.js';
+import { AutoExposurePass } from './AutoExposurePass.js';
+import { SkyboxRenderPass } from './SkyboxRenderPass.js';
+import { EnvironmentLightingPass } from './EnvironmentLightingPass.js';
+import { BloomRenderPass } from './BloomRenderPass.js';
+import { AmbientOcclusionRenderPass } from './AmbientOcclusionRenderPass.js';
 import { ObjectSelector, SelectionMode } from './ObjectSelector.js';
+import { Material, TextureSlot } from './Material.js';
+import { MipmapGenerator } from './MipmapGenerator.js';
 
+/**
+ * The anti-aliasing methods: multisample anti-aliasing (MSAA) with the given number of samples per pixel
+ * or fast approximate anti-aliasing (FXAA) as post-processing.
+ */
+export const AntiAliasingMode = Object.freeze({
+    Off: { name: 'Off', sampleCount: 1, fxaa: false },
+    Msaa: { name: 'MSAA 4x', sampleCount: 4, fxaa: false },
+    Fxaa: { name: 'FXAA', sampleCount: 1, fxaa: true },
+});
+
+/**
+ * The ways the lighting of the scene is calculated: for every fragment of every mesh while the
+ * meshes are rendered (forward shading) or once for every pixel after the meshes were rendered
+ * to a G-buffer (deferred shading).
+ */
+export const ShadingPath = Object.freeze({
+    Forward: { name: 'Forward' },
+    Deferred: { name: 'Deferred' },
+});
 
 export class Renderer {
     #scene;
@@ -18,11 +51,31 @@ export class Renderer {
     #gpuCamera;
     #gpuLights;
     #gpuMeshData;
+    #renderTargets;
+    #renderOptions;
+    #antiAliasingMode;
+    #shadingPath;
 
+    #shadowRenderPass;
+    #lightClusterPass;
+    #clusterHeatmapRenderPass;
     #standardRenderPass;
+    #deferredRenderPass;
     #normalsRenderPass;
     #wireframeRenderPass;
+    #fxaaRenderPass;
+    #toneMappingRenderPass;
+    #autoExposurePass;
+    #skyboxRenderPass;
+    #environmentLightingPass;
+    #bloomRenderPass;
+    #ambientOcclusionRenderPass;
     #objectSelector;
+    #mipmapGenerator;
+    #lastFrameTime = performance.now();
+    // The frame times that are averaged for the frame time readout
+    #frameTimeSum = 0.0;
+    #frameCount = 0;
 
     /**
      * Creates a new Renderer to render the given scene.
@@ -34,14 +87,72 @@ export class Renderer {
         this.#scene = scene
         this.#gpuDevice = gpuDevice
         this.#drawingContext = drawingContext;
+        this.#renderOptions = new RenderOptions(gpuDevice);
+        this.#shadowRenderPass = new ShadowRenderPass();
+        this.#lightClusterPass = new LightClusterPass();
+        this.#clusterHeatmapRenderPass = new ClusterHeatmapRenderPass();
         this.#standardRenderPass = new StandardRenderPass();
+        this.#deferredRenderPass = new DeferredRenderPass();
         this.#normalsRenderPass = new NormalsRenderPass();
         this.#wireframeRenderPass = new WireframeRenderPass();
+        this.#fxaaRenderPass = new FxaaRenderPass();
+        this.#toneMappingRenderPass = new ToneMappingRenderPass();
+        this.#autoExposurePass = new AutoExposurePass();
+        this.#skyboxRenderPass = new SkyboxRenderPass();
+        this.#environmentLightingPass = new EnvironmentLightingPass();
+        this.#bloomRenderPass = new BloomRenderPass();
+        this.#ambientOcclusionRenderPass = new AmbientOcclusionRenderPass();
         this.#objectSelector = new ObjectSelector(gpuDevice, drawingContext);
+        this.#mipmapGenerator = new MipmapGenerator();
+
+        // The textures that the render passes render to. The standard render pass renders the scene
+        // to the HDR texture, which is tone mapped to the canvas. The wireframe and normals render passes
+        // render to the canvas afterwards. If multisample anti-aliasing (MSAA) is used, the passes render
+        // to multisampled color textures that are resolved to the HDR texture and the canvas. If FXAA
+        // is used, the scene is tone mapped to the LDR texture, which is anti-aliased to the canvas.
+        this.#renderTargets = {
+            sampleCount: 1,
+            hdrFormat: 'rgba16float',
+            hdrColorTexture: null,
+            hdrTexture: null,
+            colorTexture: null,
+            depthTexture: null,
+            ldrTexture: null,
+            getHdrColorAttachmentViews: function () {
+                if (this.sampleCount == 1) {
+                    return { view: this.hdrTexture.createView() };
+                }
+                return { view: this.hdrColorTexture.createView(), resolveTarget: this.hdrTexture.createView() };
+            },
+            getToneMappingColorAttachmentViews: function (drawingContext) {
+                if (this.ldrTexture === null) {
+                    return this.getColorAttachmentViews(drawingContext);
+                }
+                return { view: this.ldrTexture.createView() };
+            },
+            getColorAttachmentViews: function (drawingContext) {
+                const canvasView = drawingContext.getCurrentTexture().createView();
+                if (this.sampleCount == 1) {
+                    return { view: canvasView };
+                }
+                return { view: this.colorTexture.createView(), resolveTarget: canvasView };
+            },
+        };
 
+        this.setAntiAliasingMode(AntiAliasingMode.Msaa);
+        this.setShadingPath(ShadingPath.Forward);
         this.setColorTextureRenderMode(TextureRenderMode.Normal);
         this.setSpecularTextureRenderMode(TextureRenderMode.Normal);
         this.setNormalsTextureRenderMode(TextureRenderMode.Normal);
+        this.setShowShadowCascades(false);
+        this.setShowLightClusters(false);
+        this.setAmbientOcclusionRenderMode(TextureRenderMode.Normal);
+        this.setEnvironmentLightingRenderMode(TextureRenderMode.Normal);
+        this.setToneMappingOperator(ToneMappingOperator.Aces);
+        this.setAutoExposure(true);
+        this.setExposureValue(0.0);
+        this.setBloom(true);
+        this.setBloomSettings(1.0, 0.5, 1.0);
     }
 
     /**
@@ -52,38 +163,279 @@ export class Renderer {
     updateWithInputState(inputState) {
         if (inputState.colorTextureSwitch) {
             this.setColorTextureRenderMode(
-                this.#nextTextureRenderMode(this.#standardRenderPass.getColorTextureMode())
+                this.#nextTextureRenderMode(this.#renderOptions.getColorTextureMode())
             );
         }
         if (inputState.specularTextureSwitch) {
             this.setSpecularTextureRenderMode(
-                this.#nextTextureRenderMode(this.#standardRenderPass.getSpecularTextureMode())
+                this.#nextTextureRenderMode(this.#renderOptions.getSpecularTextureMode())
             );
         }
         if (inputState.normalTextureSwitch) {
             this.setNormalsTextureRenderMode(
-                this.#nextTextureRenderMode(this.#standardRenderPass.getNormalTextureMode())
+                this.#nextTextureRenderMode(this.#renderOptions.getNormalTextureMode())
+            );
+        }
+        if (inputState.shadowCascadesSwitch) {
+            this.setShowShadowCascades(!this.#renderOptions.getShowShadowCascades());
+        }
+        if (inputState.lightClustersSwitch) {
+            this.setShowLightClusters(!this.#clusterHeatmapRenderPass.getEnabled());
+        }
+        if (inputState.ambientOcclusionSwitch) {
+            this.setAmbientOcclusionRenderMode(
+                this.#nextTextureRenderMode(this.#renderOptions.getAmbientOcclusionMode())
+            );
+        }
+        if (inputState.environmentLightingSwitch) {
+            this.setEnvironmentLightingRenderMode(
+                this.#nextTextureRenderMode(this.#renderOptions.getEnvironmentLightingMode())
+            );
+        }
+        if (inputState.toneMappingSwitch) {
+            this.setToneMappingOperator(
+                this.#nextToneMappingOperator(this.#toneMappingRenderPass.getToneMappingOperator())
+            );
+        }
+        if (inputState.autoExposureSwitch) {
+            this.setAutoExposure(!this.#toneMappingRenderPass.getAutoExposure());
+        }
+        if (inputState.exposureValueDelta != 0) {
+            this.setExposureValue(this.#toneMappingRenderPass.getExposureValue() + inputState.exposureValueDelta);
+        }
+        if (inputState.bloomSwitch) {
+            this.setBloom(!this.#bloomRenderPass.getEnabled());
+        }
+        if (inputState.bloomThresholdDelta != 0 || inputState.bloomIntensityDelta != 0 || inputState.bloomRadiusDelta != 0) {
+            const bloom = this.#bloomRenderPass;
+            this.setBloomSettings(
+                Math.max(bloom.getThreshold() + inputState.bloomThresholdDelta, 0.0),
+                Math.max(bloom.getIntensity() + inputState.bloomIntensityDelta, 0.0),
+                Math.max(bloom.getRadius() + inputState.bloomRadiusDelta, 0.0)
+            );
+        }
+        if (inputState.shadingPathSwitch) {
+            this.setShadingPath(
+                this.#shadingPath == ShadingPath.Forward ? ShadingPath.Deferred : ShadingPath.Forward
             );
         }
+        if (inputState.antiAliasingSwitch) {
+            this.setAntiAliasingMode(this.#nextAntiAliasingMode(this.#antiAliasingMode));
+        }
+        if (inputState.stressLightsSwitch) {
+            this.#showLightCount();
+        }
         this.#objectSelector.updateWithInputState(inputState);
     }
 
+    #showLightCount() {
+        document.getElementById("light-count").textContent = this.#scene.getLights().length;
+    }
+
+    /**
+     * Shows the time between frames averaged over half a second, so that the readout can be read.
+     * @param {number} deltaTime the time in seconds since the last frame
+     */
+    #showFrameTime(deltaTime) {
+        this.#frameTimeSum += deltaTime;
+        this.#frameCount += 1;
+        if (this.#frameTimeSum >= 0.5) {
+            const frameTime = this.#frameTimeSum / this.#frameCount * 1000;
+            document.getElementById("frame-time").textContent = frameTime.toFixed(1) + ' ms';
+            this.#frameTimeSum = 0.0;
+            this.#frameCount = 0;
+        }
+    }
+
     setColorTextureRenderMode(mode) {
-        this.#standardRenderPass.setColorTextureMode(mode);
+        this.#renderOptions.setColorTextureMode(mode);
         document.getElementById("tex-color-mode").textContent =
-            this.#standardRenderPass.getColorTextureMode().name;
+            this.#renderOptions.getColorTextureMode().name;
     }
 
     setSpecularTextureRenderMode(mode) {
-        this.#standardRenderPass.setSpecularTextureMode(mode);
+        this.#renderOptions.setSpecularTextureMode(mode);
         document.getElementById("tex-specular-mode").textContent =
-            this.#standardRenderPass.getSpecularTextureMode().name;
+            this.#renderOptions.getSpecularTextureMode().name;
     }
 
     setNormalsTextureRenderMode(mode) {
-        this.#standardRenderPass.setNormalTextureMode(mode);
+        this.#renderOptions.setNormalTextureMode(mode);
         document.getElementById("tex-normal-mode").textContent =
-            this.#standardRenderPass.getNormalTextureMode().name;
+            this.#renderOptions.getNormalTextureMode().name;
+    }
+
+    setShowShadowCascades(show) {
+        this.#renderOptions.setShowShadowCascades(show);
+        document.getElementById("shadow-cascades-mode").textContent = show ? 'On' : 'Off';
+    }
+
+    setShowLightClusters(show) {
+        this.#clusterHeatmapRenderPass.setEnabled(show);
+        document.getElementById("light-clusters-mode").textContent = show ? 'On' : 'Off';
+    }
+
+    setAmbientOcclusionRenderMode(mode) {
+        this.#renderOptions.setAmbientOcclusionMode(mode);
+        document.getElementById("ambient-occlusion-mode").textContent =
+            this.#renderOptions.getAmbientOcclusionMode().name;
+    }
+
+    setEnvironmentLightingRenderMode(mode) {
+        this.#renderOptions.setEnvironmentLightingMode(mode);
+        document.getElementById("environment-lighting-mode").textContent =
+            this.#renderOptions.getEnvironmentLightingMode().name;
+    }
+
+    setToneMappingOperator(operator) {
+        this.#toneMappingRenderPass.setToneMappingOperator(operator);
+        document.getElementById("tone-mapping-mode").textContent = operator.name;
+    }
+
+    setAutoExposure(autoExposure) {
+        this.#toneMappingRenderPass.setAutoExposure(autoExposure);
+        document.getElementById("exposure-mode").textContent = autoExposure ? 'Auto' : 'Manual';
+    }
+
+    /**
+     * Sets the exposure value in EV; for automatic exposure this is the exposure compensation.
+     * @param {number} exposureValue the exposure value
+     */
+    setExposureValue(exposureValue) {
+        this.#toneMappingRenderPass.setExposureValue(exposureValue);
+        document.getElementById("exposure-value").textContent =
+            (exposureValue > 0 ? '+' : '') + exposureValue.toFixed(1) + ' EV';
+    }
+
+    setBloom(enabled) {
+        this.#bloomRenderPass.setEnabled(enabled);
+        document.getElementById("bloom-mode").textContent = enabled ? 'On' : 'Off';
+    }
+
+    /**
+     * Changes how the bloom looks.
+     * @param {number} threshold the brightness above which colors glow (linear HDR color)
+     * @param {number} intensity the factor with which the glow is added to the scene
+     * @param {number} radius the radius of the blur filter (1 is the default)
+     */
+    setBloomSettings(threshold, intensity, radius) {
+        this.#bloomRenderPass.setThreshold(threshold);
+        this.#bloomRenderPass.setIntensity(intensity);
+        this.#bloomRenderPass.setRadius(radius);
+        document.getElementById("bloom-threshold").textContent = threshold.toFixed(2);
+        document.getElementById("bloom-intensity").textContent = intensity.toFixed(1);
+        document.getElementById("bloom-radius").textContent = radius.toFixed(2);
+    }
+
+    #nextToneMappingOperator(o) {
+        if (o == ToneMappingOperator.Reinhard) { return ToneMappingOperator.Aces; }
+        if (o == ToneMappingOperator.Aces) { return ToneMappingOperator.AgX; }
+        if (o == ToneMappingOperator.AgX) { return ToneMappingOperator.Reinhard; }
+    }
+
+    /**
+     * Sets if the scene is rendered with forward or deferred shading.
+     * @param {object} shadingPath the shading path (see ShadingPath)
+     */
+    setShadingPath(shadingPath) {
+        this.#shadingPath = shadingPath;
+        if (shadingPath == ShadingPath.Deferred && this.#antiAliasingMode.sampleCount > 1) {
+            this.setAntiAliasingMode(this.#antiAliasingMode);
+        }
+        document.getElementById("shading-path").textContent = shadingPath.name;
+    }
+
+    /**
+     * Sets how the edges of the scene are anti-aliased. Deferred shading uses FXAA instead of MSAA
+     * because the G-buffer has only one sample per pixel.
+     * @param {object} mode the anti-aliasing mode (see AntiAliasingMode)
+     */
+    setAntiAliasingMode(mode) {
+        if (mode.sampleCount > 1 && this.#shadingPath == ShadingPath.Deferred) {
+            mode = AntiAliasingMode.Fxaa;
+        }
+        this.#antiAliasingMode = mode;
+        this.#renderTargets.sampleCount = mode.sampleCount;
+        if (this.#renderTargets.depthTexture !== null) {
+            // The render passes recreate their pipelines when they render the next frame.
+            this.#createRenderTargetTextures();
+        }
+        document.getElementById("anti-aliasing-mode").textContent = mode.name;
+    }
+
+    #nextAntiAliasingMode(m) {
+        if (m == AntiAliasingMode.Msaa) { return AntiAliasingMode.Fxaa; }
+        if (m == AntiAliasingMode.Fxaa) { return AntiAliasingMode.Off; }
+        if (m == AntiAliasingMode.Off) { return AntiAliasingMode.Msaa; }
+    }
+
+    /**
+     * Observes the size of the canvas on the screen and sets the size of the canvas in device pixels,
+     * so that the scene is rendered with the resolution of the screen. The textures that depend on the
+     * size of the canvas are recreated when the next frame is rendered.
+     */
+    #observeCanvasSize() {
+        const canvas = this.#drawingContext.canvas;
+        const maxSize = this.#gpuDevice.limits.maxTextureDimension2D;
+        const observer = new ResizeObserver(entries => {
+            for (let entry of entries) {
+                // devicePixelContentBoxSize is exact but not supported by all browsers.
+                const width = entry.devicePixelContentBoxSize?.[0].inlineSize
+                    ?? Math.round(entry.contentBoxSize[0].inlineSize * window.devicePixelRatio);
+                const height = entry.devicePixelContentBoxSize?.[0].blockSize
+                    ?? Math.round(entry.contentBoxSize[0].blockSize * window.devicePixelRatio);
+                canvas.width = Math.max(1, Math.min(width, maxSize));
+                canvas.height = Math.max(1, Math.min(height, maxSize));
+            }
+        });
+        try {
+            observer.observe(canvas, { box: 'device-pixel-content-box' });
+        } catch {
+            observer.observe(canvas, { box: 'content-box' });
+        }
+    }
+
+    /**
+     * Creates the color and depth textures of the render targets with the size of the canvas.
+     */
+    #createRenderTargetTextures() {
+        const renderTargets = this.#renderTargets;
+        const canvas = this.#drawingContext.canvas;
+        renderTargets.hdrColorTexture?.destroy();
+        renderTargets.hdrTexture?.destroy();
+        renderTargets.colorTexture?.destroy();
+        renderTargets.depthTexture?.destroy();
+        renderTargets.ldrTexture?.destroy();
+
+        renderTargets.hdrColorTexture = renderTargets.sampleCount == 1 ? null : this.#gpuDevice.createTexture({
+            size: [canvas.width, canvas.height],
+            sampleCount: renderTargets.sampleCount,
+            format: renderTargets.hdrFormat,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+        renderTargets.hdrTexture = this.#gpuDevice.createTexture({
+            size: [canvas.width, canvas.height],
+            format: renderTargets.hdrFormat,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        });
+        renderTargets.colorTexture = renderTargets.sampleCount == 1 ? null : this.#gpuDevice.createTexture({
+            size: [canvas.width, canvas.height],
+            sampleCount: renderTargets.sampleCount,
+            format: navigator.gpu.getPreferredCanvasFormat(),
+            usage: GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+        // Create a texture that can be used for the depth buffer.
+        renderTargets.depthTexture = this.#gpuDevice.createTexture({
+            size: [canvas.width, canvas.height],
+            sampleCount: renderTargets.sampleCount,
+            format: 'depth24plus',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+        renderTargets.ldrTexture = !this.#antiAliasingMode.fxaa ? null : this.#gpuDevice.createTexture({
+            size: [canvas.width, canvas.height],
+            format: navigator.gpu.getPreferredCanvasFormat(),
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        });
     }
 
     #nextTextureRenderMode(m) {
@@ -96,71 +448,83 @@ export class Renderer {
         const gpuDevice = this.#gpuDevice;
 
         // Create a vertex buffer to contain the vertex data of the meshes.
+        // The vertex buffer is also used as storage buffer by passes that read the vertices themselves.
         const meshList = this.#scene.getMeshes()
         const vbByteSize = meshList.map(m => m.getVertices().byteLength).reduce((a, b) => a + b, 0);
         const vertexBuffer = gpuDevice.createBuffer({
             size: vbByteSize,
-            usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+            usage: GPUBufferUsage.VERTEX | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+
+        // Create an index buffer to contain the indices of the meshes. Meshes without indices
+        // get indices that draw their vertices in order. The indices of each mesh are relative
+        // to the first vertex of the mesh so 16-bit indices can be used unless a mesh needs more.
+        const meshIndices = meshList.map(m => m.getIndices() ?? [...Array(m.getVertexCount()).keys()]);
+        const indexFormat = meshList.some(m => m.getIndices() instanceof Uint32Array || m.getVertexCount() > 65536)
+            ? 'uint32' : 'uint16';
+        const indexArrayType = indexFormat == 'uint32' ? Uint32Array : Uint16Array;
+        const numIndices = meshIndices.map(i => i.length).reduce((a, b) => a + b, 0);
+        // Buffer sizes have to be a multiple of 4.
+        const indices = new indexArrayType(utils.align(numIndices * indexArrayType.BYTES_PER_ELEMENT, 4)
+            / indexArrayType.BYTES_PER_ELEMENT);
+        const indexBuffer = gpuDevice.createBuffer({
+            size: indices.byteLength,
+            usage: GPUBufferUsage.INDEX | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
         });
+
         const vertexBufferLayout = [meshList[0].getVertexLayout()];
         this.#gpuMeshData = {
             vertexBuffer: vertexBuffer,
             vertexBufferLayout: vertexBufferLayout,
+            indexBuffer: indexBuffer,
+            indexFormat: indexFormat,
+            indices: indices,
             meshList: [],
-            modelMatrices: []
+            modelMatrices: [],
+            materials: []
         };
+        // Meshes without a material use a default material.
+        const defaultMaterial = new Material();
+        const materials = [...new Set(meshList.map(m => m.getMaterial() ?? defaultMaterial))];
         var vbOffset = 0;
         var firstVertex = 0;
-        for (let mesh of meshList) {
+        var firstIndex = 0;
+        for (let i = 0; i < meshList.length; ++i) {
+            const mesh = meshList[i];
             const meshVertices = mesh.getVertices();
             utils.copyToBuffer(gpuDevice, vertexBuffer, meshVertices, vbOffset);
+            indices.set(meshIndices[i], firstIndex);
             this.#gpuMeshData.meshList.push({
                 vertexCount: mesh.getVertexCount(),
-                firstVertex: firstVertex
+                firstVertex: firstVertex,
+                indexCount: meshIndices[i].length,
+                firstIndex: firstIndex,
+                materialIndex: materials.indexOf(mesh.getMaterial() ?? defaultMaterial)
             });
             firstVertex += mesh.getVertexCount();
+            firstIndex += meshIndices[i].length;
             vbOffset += meshVertices.byteLength;
         }
+        utils.copyToBuffer(gpuDevice, indexBuffer, indices);
 
-        // Create a texture that can be used for the depth buffer.
-        const depthTexture = gpuDevice.createTexture({
-            size: [this.#drawingContext.canvas.width, this.#drawingContext.canvas.height],
-            format: 'depth24plus',
-            usage: GPUTextureUsage.RENDER_ATTACHMENT,
-        });
+        this.#createRenderTargetTextures();
 
-        // Create a uniform buffer for the VP (View-Projection) matrix
+        // Create a uniform buffer for the VP (View-Projection) matrix, the camera position and the inverse VP matrix.
         // round to a multiple of 16 to match wgsl struct size (see https://www.w3.org/TR/WGSL/#alignment-and-size).
+        const inverseVpMatrixOffset = utils.align(utils.mat4ByteLength + utils.vec3ByteLength, 16);
         const cameraBuffer = gpuDevice.createBuffer({
-            size: utils.align(utils.mat4ByteLength + utils.vec3ByteLength + 3 * utils.i32ByteLength, 16),
+            size: inverseVpMatrixOffset + utils.mat4ByteLength,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
         this.#gpuCamera = {
             buffer: cameraBuffer,
             setVpMatrix: function (m) { utils.copyToBuffer(gpuDevice, cameraBuffer, m); },
             setCameraPosition: function (p) { utils.copyToBuffer(gpuDevice, cameraBuffer, p, utils.mat4ByteLength); },
-            setUseColorTexture: function (v) {
-                const data = new Int32Array([v]);
-                utils.copyToBuffer(
-                    gpuDevice, cameraBuffer, data, utils.mat4ByteLength + utils.vec3ByteLength
-                );
-            },
-            setUseSpecularTexture: function (v) {
-                const data = new Int32Array([v]);
-                utils.copyToBuffer(
-                    gpuDevice, cameraBuffer, data, utils.mat4ByteLength + utils.vec3ByteLength + utils.i32ByteLength
-                );
-            },
-            setUseNormalTexture: function (v) {
-                const data = new Int32Array([v]);
-                utils.copyToBuffer(
-                    gpuDevice, cameraBuffer, data, utils.mat4ByteLength + utils.vec3ByteLength + 2 * utils.i32ByteLength
-                );
-            },
+            setInverseVpMatrix: function (m) { utils.copyToBuffer(gpuDevice, cameraBuffer, m, inverseVpMatrixOffset); },
         }
 
-        // Create uniform buffer for the model matrics:
-        var modelMatrixStructByteLength = utils.mat4ByteLength + utils.mat3ByteLength;
+        // Create uniform buffer for the model matrics and the per mesh flags:
+        var modelMatrixStructByteLength = utils.align(utils.mat4ByteLength + utils.mat3ByteLength + utils.u32ByteLength, 16);
         var bindGroupByteLength = utils.align(modelMatrixStructByteLength, 256);
         const modelMatricesBuffer = gpuDevice.createBuffer({
             size: bindGroupByteLength * meshList.length,
@@ -173,12 +537,19 @@ export class Renderer {
                 bufferOffset: bufferOffset,
                 byteLength: modelMatrixStructByteLength,
                 getModelMatrix: function () { return mesh.getModelMatrix(); },
+                getBoundingSphere: function () { return mesh.getBoundingSphere(); },
+                getCastShadow: function () { return mesh.getCastShadow(); },
+                getReceiveShadow: function () { return mesh.getReceiveShadow(); },
                 setModelMatrix: function (m) {
                     utils.copyToBuffer(gpuDevice, modelMatricesBuffer, m, this.bufferOffset);
                 },
                 setNormalMatrix: function (m) {
                     utils.copyToBuffer(gpuDevice, modelMatricesBuffer, m, this.bufferOffset + utils.mat4ByteLength);
                 },
+                setReceiveShadow: function (v) {
+                    utils.copyToBuffer(gpuDevice, modelMatricesBuffer, new Uint32Array([v ? 1 : 0]),
+                        this.bufferOffset + utils.mat4ByteLength + utils.mat3ByteLength);
+                },
                 createBindGroup: function(renderPipeline, groupNumber) {
                     return utils.createBindGroup(gpuDevice, renderPipeline, groupNumber, [{
                         buffer: this.buffer, offset: this.bufferOffset, size: this.byteLength
@@ -188,32 +559,152 @@ export class Renderer {
             bufferOffset += bindGroupByteLength;
         }
 
-        // Create a uniform buffer for the Light
+        await this.#mipmapGenerator.init(gpuDevice);
+        this.#gpuMeshData.materials = this.#createGpuMaterials(materials);
+
+        // Create a uniform buffer for the Light; it can hold all lights, also those that are not shown yet.
         // round to a multiple of 16 to match wgsl struct size (see https://www.w3.org/TR/WGSL/#alignment-and-size).
         const lights = this.#scene.getLights()
+        const maxLightCount = this.#scene.getMaxLightCount();
         const lightByteLengths = utils.align(lights[0].getLightData().byteLength, 16);
         const lightBuffer = gpuDevice.createBuffer({
-            size: lightByteLengths * lights.length,
+            size: lightByteLengths * maxLightCount,
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
         });
         this.#gpuLights = {
             buffer: lightBuffer,
+            maxCount: maxLightCount,
             setLight: function (i, light) {
                 utils.copyToBuffer(gpuDevice, lightBuffer, light, i * lightByteLengths);
             }
         }
 
-        await this.#standardRenderPass.init(gpuDevice, depthTexture, this.#gpuCamera, this.#gpuLights, this.#gpuMeshData);
-        await this.#normalsRenderPass.init(gpuDevice, depthTexture, this.#gpuCamera, this.#gpuMeshData);
-        await this.#wireframeRenderPass.init(gpuDevice, depthTexture, this.#gpuCamera, this.#gpuMeshData);
-        await this.#objectSelector.init(depthTexture, this.#gpuCamera, this.#gpuMeshData);
+        await this.#shadowRenderPass.init(gpuDevice, lights, this.#gpuMeshData);
+        await this.#ambientOcclusionRenderPass.init(gpuDevice, this.#renderTargets, this.#gpuCamera, this.#gpuMeshData);
+        await this.#lightClusterPass.init(gpuDevice, this.#gpuLights);
+        const shadowMaps = this.#shadowRenderPass.getShadowMaps();
+        const lightClusters = this.#lightClusterPass.getClusters();
+        const ambientOcclusion = this.#ambientOcclusionRenderPass.getAmbientOcclusion();
+        // The environment lighting is calculated from the cube map of the sky.
+        const skybox = this.#scene.getSkybox();
+        await this.#skyboxRenderPass.init(gpuDevice, this.#renderTargets, skybox);
+        await this.#environmentLightingPass.init(gpuDevice, this.#skyboxRenderPass.getCubeTexture(), skybox.getIntensity());
+        const environmentLighting = this.#environmentLightingPass.getEnvironmentLighting();
+        document.getElementById("skybox-mode").textContent = skybox.getType().name;
+        this.#showLightCount();
+        await this.#standardRenderPass.init(
+            gpuDevice, this.#renderTargets, this.#gpuCamera, this.#renderOptions, this.#gpuLights, shadowMaps,
+            lightClusters, ambientOcclusion, environmentLighting, this.#gpuMeshData
+        );
+        await this.#deferredRenderPass.init(
+            gpuDevice, this.#renderTargets, this.#gpuCamera, this.#renderOptions, this.#gpuLights, shadowMaps,
+            lightClusters, ambientOcclusion, environmentLighting, this.#gpuMeshData
+        );
+        await this.#normalsRenderPass.init(gpuDevice, this.#renderTargets, this.#gpuCamera, this.#gpuMeshData);
+        await this.#wireframeRenderPass.init(gpuDevice, this.#renderTargets, this.#gpuCamera, this.#gpuMeshData);
+        await this.#clusterHeatmapRenderPass.init(
+            gpuDevice, this.#renderTargets, this.#gpuCamera, lightClusters, this.#gpuMeshData
+        );
+        await this.#bloomRenderPass.init(gpuDevice, this.#renderTargets);
+        await this.#autoExposurePass.init(gpuDevice, this.#renderTargets);
+        await this.#toneMappingRenderPass.init(gpuDevice, this.#renderTargets, this.#autoExposurePass.getExposureBuffer());
+        await this.#fxaaRenderPass.init(gpuDevice, this.#renderTargets);
+        await this.#objectSelector.init(this.#gpuCamera, this.#gpuMeshData);
+
+        this.#observeCanvasSize();
+    }
+
+    /**
+     * Creates the uniform buffer, textures and samplers of the materials. Textures that use the
+     * same image and samplers with the same settings are shared between materials. Missing textures
+     * are replaced by a single pixel that does not change the factor of the texture.
+     */
+    #createGpuMaterials(materials) {
+        const gpuDevice = this.#gpuDevice;
+        const white = utils.createTextureFromColor(gpuDevice, [255, 255, 255, 255]).createView();
+        const flatNormal = utils.createTextureFromColor(gpuDevice, [128, 128, 255, 255]).createView();
+        const textureViews = new Map();
+        const textureView = (image, slot) => {
+            if (image === null) {
+                return slot == TextureSlot.Normal ? flatNormal : white;
+            }
+            // Colors are stored in sRGB and are converted to linear values when they are sampled.
+            // All other textures contain linear data.
+            const isColor = slot == TextureSlot.Color || slot == TextureSlot.Emissive;
+            const format = isColor ? 'rgba8unorm-srgb' : 'rgba8unorm';
+            if (!textureViews.has(image)) {
+                textureViews.set(image, new Map());
+            }
+            const viewsByFormat = textureViews.get(image);
+            if (!viewsByFormat.has(format)) {
+                const texture = utils.createTextureFromBitmap(
+                    gpuDevice, image, format, utils.calcMipLevelCount(image.width, image.height)
+                );
+                this.#mipmapGenerator.generateMipmaps(texture);
+                viewsByFormat.set(format, texture.createView());
+            }
+            return viewsByFormat.get(format);
+        };
+        const samplers = new Map();
+        const sampler = descriptor => {
+            // Anisotropic filtering is only allowed if all filters are linear.
+            const isLinear = [descriptor.magFilter, descriptor.minFilter, descriptor.mipmapFilter].every(f => f == 'linear');
+            const completeDescriptor = { ...descriptor, maxAnisotropy: isLinear ? descriptor.maxAnisotropy ?? 1 : 1 };
+            const key = JSON.stringify(completeDescriptor);
+            if (!samplers.has(key)) {
+                samplers.set(key, gpuDevice.createSampler(completeDescriptor));
+            }
+            return samplers.get(key);
+        };
+
+        const materialStructByteLength = utils.align(materials[0].getMaterialData().byteLength, 16);
+        const bindGroupByteLength = utils.align(materialStructByteLength, 256);
+        const materialsBuffer = gpuDevice.createBuffer({
+            size: bindGroupByteLength * materials.length,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        return materials.map((material, i) => {
+            const resources = [
+                sampler(material.getSamplerDescriptor()),
+                ...Object.values(TextureSlot).map(slot => textureView(material.getTexture(slot), slot)),
+            ];
+            return {
+                buffer: materialsBuffer,
+                bufferOffset: i * bindGroupByteLength,
+                byteLength: materialStructByteLength,
+                getMaterial: function () { return material; },
+                setMaterialData: function (d) {
+                    utils.copyToBuffer(gpuDevice, materialsBuffer, d, this.bufferOffset);
+                },
+                createBindGroup: function (renderPipeline, groupNumber) {
+                    return utils.createBindGroup(gpuDevice, renderPipeline, groupNumber, [{
+                        buffer: this.buffer, offset: this.bufferOffset, size: this.byteLength
+                    }, ...resources]);
+                }
+            };
+        });
     }
 
     /**
      * Renders the next frame.
      */
     async renderFrame() {
+        const now = performance.now();
+        const deltaTime = (now - this.#lastFrameTime) / 1000;
+        this.#lastFrameTime = now;
+        this.#showFrameTime(deltaTime);
+
+        const canvas = this.#drawingContext.canvas;
+        const depthTexture = this.#renderTargets.depthTexture;
+        if (depthTexture.width != canvas.width || depthTexture.height != canvas.height) {
+            this.#createRenderTargetTextures();
+            this.#objectSelector.resize();
+        }
+
         this.#updateGpuData(this.#gpuCamera, this.#gpuLights);
+        if (this.#scene.getSkybox() !== this.#skyboxRenderPass.getSkybox()) {
+            this.#setSkybox(this.#scene.getSkybox());
+        }
 
         this.#objectSelector.onRenderFrame();
 
@@ -221,21 +712,48 @@ export class Renderer {
         // Note: render pass descriptor, command encoder, etc. are destroyed after use, fresh one needed for each frame.
         const commandEncoder = this.#gpuDevice.createCommandEncoder();
 
-        this.#standardRenderPass.renderFrame(this.#drawingContext, commandEncoder);
+        this.#shadowRenderPass.renderFrame(commandEncoder, this.#scene.getCamera(), this.#drawingContext.canvas);
+        this.#lightClusterPass.renderFrame(
+            commandEncoder, this.#scene.getCamera(), this.#scene.getLights().length, this.#drawingContext.canvas
+        );
+        if (this.#renderOptions.getAmbientOcclusionMode() != TextureRenderMode.Disabled) {
+            this.#ambientOcclusionRenderPass.renderFrame(commandEncoder);
+        }
+        if (this.#shadingPath == ShadingPath.Deferred) {
+            this.#deferredRenderPass.renderFrame(commandEncoder);
+        } else {
+            this.#standardRenderPass.renderFrame(commandEncoder);
+        }
+        this.#skyboxRenderPass.renderFrame(commandEncoder, this.#scene.getCamera(), this.#drawingContext.canvas);
+        if (this.#bloomRenderPass.getEnabled()) {
+            this.#bloomRenderPass.renderFrame(commandEncoder);
+        }
+        if (this.#toneMappingRenderPass.getAutoExposure()) {
+            this.#autoExposurePass.renderFrame(commandEncoder, deltaTime);
+        }
+        this.#toneMappingRenderPass.renderFrame(this.#drawingContext, commandEncoder);
+        if (this.#antiAliasingMode.fxaa) {
+            this.#fxaaRenderPass.renderFrame(this.#drawingContext, commandEncoder);
+        }
 
+        // The debug overlays are rendered after the post-processing so that they are not blurred
+        // and their colors are not changed by the tone mapping.
+        if (this.#clusterHeatmapRenderPass.getEnabled()) {
+            this.#clusterHeatmapRenderPass.renderFrame(this.#drawingContext, commandEncoder);
+        }
         // First render wireframes and then normals. This way the normals are rendered above
         // the wireframe and are visible at all times.
         this.#wireframeRenderPass.renderFrame(
             this.#drawingContext,
             commandEncoder,
-            this.#objectSelector.getFirstSelectedVertex(),
-            this.#objectSelector.getNumSelectedVertices()
+            this.#objectSelector.getFirstSelectedIndex(),
+            this.#objectSelector.getNumSelectedIndices()
         );
         this.#normalsRenderPass.renderFrame(
             this.#drawingContext,
             commandEncoder,
-            this.#objectSelector.getFirstSelectedVertex(),
-            this.#objectSelector.getNumSelectedVertices(),
+            this.#objectSelector.getFirstSelectedIndex(),
+            this.#objectSelector.getNumSelectedIndices(),
             this.#objectSelector.getSelectionMode() == SelectionMode.Face
         );
 
@@ -243,17 +761,28 @@ export class Renderer {
         this.#gpuDevice.queue.submit([commandEncoder.finish()]);
     }
 
+    /**
+     * Replaces the sky and calculates the image-based lighting of the new sky.
+     * @param {Skybox} skybox the new sky of the scene
+     */
+    #setSkybox(skybox) {
+        this.#skyboxRenderPass.setSkybox(skybox);
+        this.#environmentLightingPass.setSky(this.#skyboxRenderPass.getCubeTexture(), skybox.getIntensity());
+        document.getElementById("skybox-mode").textContent = skybox.getType().name;
+    }
+
     #updateGpuData(gpuCamera, gpuLights) {
         // Pass MVP (Model/View/Projection) matrices to the shader:
         const camera = this.#scene.getCamera();
         const vpMatrix = camera.getViewProjectionMatrix(this.#drawingContext.canvas);
         gpuCamera.setVpMatrix(vpMatrix);
+        gpuCamera.setInverseVpMatrix(mat4.inverse(vpMatrix));
         gpuCamera.setCameraPosition(camera.getPosition());
 
         // Pass Light data to the shader:
         const lights = this.#scene.getLights();
         for (let i = 0; i < lights.length; ++i) {
-            gpuLights.setLight(i, lights[i].getLightData())
+            gpuLights.setLight(i, lights[i].getLightData(this.#shadowRenderPass.getShadowMapIndex(lights[i])))
         }
 
         for (let m of this.#gpuMeshData.modelMatrices) {
@@ -264,6 +793,12 @@ export class Renderer {
             const normalMatrix = mat3.fromMat4(mat4.transpose(mat4.inverse(modelMatrix)));
             m.setModelMatrix(modelMatrix);
             m.setNormalMatrix(normalMatrix);
+            m.setReceiveShadow(m.getReceiveShadow());
+        }
+
+        // Pass the material factors to the shader, so they can be changed without rebuilding the vertex data.
+        for (let m of this.#gpuMeshData.materials) {
+            m.setMaterialData(m.getMaterial().getMaterialData());
         }
     }
 }
\ No newline at end of file
@@ -1,36 +1,179 @@
-import { vec3 } from '../imports/wgpu-matrix.module.js';
+import { vec3, vec4, mat4 } from '../imports/wgpu-matrix.module.js';
 import { Camera } from './Camera.js';
 import { CubeMesh } from './CubeMesh.js';
-import { Light } from './Light.js';
+import {
+    SphereMesh,
+    IcosphereMesh,
+    PlaneMesh,
+    CylinderMesh,
+    ConeMesh,
+    TorusMesh,
+    CapsuleMesh
+} from './PrimitiveMeshes.js';
+import { PointLight, DirectionalLight, SpotLight, AttenuationModel } from './Light.js';
+import { Material, ShadingModel, TextureSlot } from './Material.js';
+import { Skybox } from './Skybox.js';
+import * as utils from './utils.js';
+import { ObjLoader } from './ObjLoader.js';
+import { GltfLoader } from './GltfLoader.js';
 import { InputState } from './InputHandler.js';
 
 export class Scene {
     #camera = new Camera(vec3.create(0.0, 0.0, -4.8));
-    #cubes = [];
+    #cameras = [this.#camera];
+    #meshes = [];
     #lights = [];
+    // Many small point lights without shadows that can be added to compare the shading paths
+    #stressLights = [];
+    #showStressLights = false;
+    // The spot light that is attached to the active camera
+    #flashlight;
+    // The skies that can be switched; the images of the skies are loaded in init().
+    #skyboxes = [new Skybox(), new Skybox(), new Skybox()];
+    #skybox = this.#skyboxes[0];
+    #time = 0.0; // the time in seconds since the scene was created; used for animations
+
+    // The materials that use the checkerboard textures; the textures are loaded in init().
+    #checkerboardMaterials = [];
 
     constructor() {
         var c;
-        c = new CubeMesh(true, 32.0);
-        this.#cubes.push(c);
+        c = new CubeMesh(true);
+        c.setMaterial(this.#createCheckerboardMaterial(32.0));
+        this.#meshes.push(c);
 
-        c = new CubeMesh(true, 128.0);
+        c = new CubeMesh(true);
+        c.setMaterial(this.#createCheckerboardMaterial(128.0));
         c.moveTo(vec3.create(-3.0, 0.0, 0.0));
-        this.#cubes.push(c);
+        this.#meshes.push(c);
 
-        c = new CubeMesh(true, 2.0);
+        c = new CubeMesh(true);
+        c.setMaterial(this.#createCheckerboardMaterial(2.0));
         c.moveTo(vec3.create(3.0, 0.0, 0.0));
-        this.#cubes.push(c);
+        this.#meshes.push(c);
+
+        // The room; it is not closed from the outside, so it must not block the light of the sun.
+        c = new CubeMesh(false, 5);
+        c.setMaterial(this.#createCheckerboardMaterial(64.0));
+        c.setCastShadow(false);
+        this.#meshes.push(c);
 
-        c = new CubeMesh(false, 64.0, 5);
-        this.#cubes.push(c);
+        const primitives = [
+            [new SphereMesh(true, 0.8), 64.0, vec3.create(-3.0, -2.5, 1.5)],
+            [new TorusMesh(true, 0.8), 32.0, vec3.create(3.0, -2.5, 1.5)],
+            [new IcosphereMesh(true, 0.6), 16.0, vec3.create(-3.6, 2.5, 2.5)],
+            [new CylinderMesh(true, 0.6), 32.0, vec3.create(-1.2, 2.5, 2.5)],
+            [new ConeMesh(true, 0.6), 32.0, vec3.create(1.2, 2.5, 2.5)],
+            [new CapsuleMesh(true, 0.6), 128.0, vec3.create(3.6, 2.5, 2.5)],
+            [new PlaneMesh(true, 1.5, 4), 8.0, vec3.create(0.0, 4.9, -2.0)],
+        ];
+        for (let [mesh, specularShininess, position] of primitives) {
+            mesh.setMaterial(this.#createCheckerboardMaterial(specularShininess));
+            mesh.moveTo(position);
+            this.#meshes.push(mesh);
+        }
+
+        // Spheres with the metallic-roughness model to compare it with the Blinn-Phong model.
+        const pbrSpheres = [
+            [vec3.create(-3.0, -2.5, -1.5), 'Gold', vec4.create(1.0, 0.77, 0.3, 1.0), 1.0, 0.3],
+            [vec3.create(3.0, -2.5, -1.5), 'Red Plastic', vec4.create(0.8, 0.1, 0.1, 1.0), 0.0, 0.5],
+        ];
+        for (let [position, name, baseColor, metallic, roughness] of pbrSpheres) {
+            const material = new Material(name, ShadingModel.MetallicRoughness);
+            material.setColorFactor(baseColor);
+            material.setMetallicRoughness(metallic, roughness);
+            const sphere = new SphereMesh(true, 0.6);
+            sphere.setMaterial(material);
+            sphere.moveTo(position);
+            this.#meshes.push(sphere);
+        }
 
         var l;
-        l = new Light(vec3.create(0, -2, -3), vec3.create(1.0, 1.0, 0.8), 10, 1, 0.4);
+        l = new PointLight(vec3.create(0, -2, -3), vec3.create(1.0, 1.0, 0.8), 10, 1, 0.4);
+        l.setCastShadow(true);
+        this.#lights.push(l);
+
+        l = new PointLight(vec3.create(0, -1, 3), vec3.create(0.4, 1.0, 0.4), 7);
+        l.setAttenuation(AttenuationModel.Polynomial, 1.0, 0.2, 0.05);
+        l.setCastShadow(true);
+        this.#lights.push(l);
+
+        l = new DirectionalLight(vec3.create(0.3, 1.0, 0.5), vec3.create(1.0, 0.95, 0.8), 0.3, 0.1);
+        l.setCastShadow(true);
+        l.setShadowBias(0.001, 0.03);
+        l.setShadowCascades(3, 0.7, 20.0);
         this.#lights.push(l);
 
-        l = new Light(vec3.create(0, -1, 3), vec3.create(0.4, 1.0, 0.4), 7);
+        // A ceiling spot above the torus.
+        l = new SpotLight(vec3.create(3.0, -4.9, 1.5), vec3.create(0, 1, 0), vec3.create(1.0, 0.6, 0.3),
+            9, Math.PI / 10, Math.PI / 7, 6.0, 0.05);
+        l.setAttenuation(AttenuationModel.InverseSquare);
+        l.setCastShadow(true);
         this.#lights.push(l);
+
+        // A flashlight that follows the active camera.
+        this.#flashlight = new SpotLight(vec3.create(0, 0, 0), vec3.create(0, 0, 1), vec3.create(1.0, 1.0, 1.0),
+            12, Math.PI / 16, Math.PI / 10, 1.0, 0.0);
+        this.#camera.attachLight(this.#flashlight);
+        this.#lights.push(this.#flashlight);
+
+        // A grid of colored lights above the floor of the room.
+        const stressLightsPerRow = 16;
+        for (let i = 0; i < stressLightsPerRow * stressLightsPerRow; ++i) {
+            const x = (i % stressLightsPerRow) / (stressLightsPerRow - 1) * 9.0 - 4.5;
+            const z = Math.floor(i / stressLightsPerRow) / (stressLightsPerRow - 1) * 9.0 - 4.5;
+            const hue = i / (stressLightsPerRow * stressLightsPerRow) * 2 * Math.PI;
+            const color = vec3.create(
+                0.5 + 0.5 * Math.cos(hue), 0.5 + 0.5 * Math.cos(hue - 2.1), 0.5 + 0.5 * Math.cos(hue + 2.1)
+            );
+            this.#stressLights.push(new PointLight(vec3.create(x, 4.6, z), color, 1.2, 1.0, 0.0));
+        }
+    }
+
+    #createCheckerboardMaterial(specularShininess) {
+        const material = new Material('Checkerboard', ShadingModel.BlinnPhong);
+        material.setSpecular(1.0, specularShininess);
+        // Anisotropic filtering keeps the texture sharp on surfaces that are seen at a flat angle (e.g. the floor).
+        material.setSamplerDescriptor({ maxAnisotropy: 16 });
+        this.#checkerboardMaterials.push(material);
+        return material;
+    }
+
+    /**
+     * Loads the models and textures of the scene.
+     */
+    async init() {
+        const [colorImage, specularImage, normalImage] = await Promise.all([
+            utils.loadImage('checkboard-color.png'),
+            utils.loadImage('checkboard-specular.png'),
+            utils.loadImage('checkboard-normal.png'),
+        ]);
+        for (let m of this.#checkerboardMaterials) {
+            m.setTexture(TextureSlot.Color, colorImage);
+            m.setTexture(TextureSlot.Specular, specularImage);
+            m.setTexture(TextureSlot.Normal, normalImage);
+        }
+
+        const starMeshes = await new ObjLoader().load('star.obj');
+        for (let m of starMeshes) {
+            m.moveTo(vec3.create(0.0, -2.5, 1.5));
+            this.#meshes.push(m);
+        }
+
+        const monument = await new GltfLoader().load('monument.gltf', mat4.translation(vec3.create(-2.5, 5.0, 2.5)));
+        this.#meshes.push(...monument.meshes);
+        this.#cameras.push(...monument.cameras);
+
+        // The tiles have coordinates below -1 in all directions.
+        const tiles = await new GltfLoader().load('tiles.gltf', mat4.translation(vec3.create(3.0, 5.0, -2.5)));
+        this.#meshes.push(...tiles.meshes);
+
+        // The first sky is the procedural gradient, the others are a dusk sky from six images and
+        // a day sky from an HDR image whose sun is where the directional light comes from.
+        this.#skyboxes[1].setFaceImages(await Promise.all(
+            ['px', 'nx', 'py', 'ny', 'pz', 'nz'].map(face => utils.loadImage('dusk-' + face + '.png'))
+        ));
+        this.#skyboxes[2].setHdrImage(await utils.loadHdrImage('sky.hdr'));
     }
 
     getCamera() {
@@ -39,33 +182,68 @@ export class Scene {
 
     /**
      * Returns an array with the mesh ojbects of the scene.
-     * @returns {Array} an array of CubeMesh objects.
+     * @returns {Array} an array of Mesh objects.
      */
     getMeshes() {
-        return this.#cubes;
+        return this.#meshes;
     }
 
+    /**
+     * Returns the lights of the scene, including the stress lights if they are shown.
+     * @returns {Array} an array of Light objects
+     */
     getLights() {
-        return this.#lights;
+        return this.#showStressLights ? [...this.#lights, ...this.#stressLights] : this.#lights;
+    }
+
+    /**
+     * Returns the number of lights when the stress lights are shown, i.e. the number of lights
+     * that the buffers of the renderer must be able to hold.
+     * @returns {number} the maximal number of lights
+     */
+    getMaxLightCount() {
+        return this.#lights.length + this.#stressLights.length;
+    }
+
+    getSkybox() {
+        return this.#skybox;
     }
 
     /**
      * Updates the scene.
      * 
      * @param {InputState} inputState the user input between the last update and this update
+     * @param {number} deltaTime the time in seconds between the last update and this update
      */
-    updateScene(inputState) {
+    updateScene(inputState, deltaTime) {
         // console.log("Input State:" + JSON.stringify(inputState));
+        this.#time += deltaTime;
+        // The rotation is the distance that the mouse has moved and therefore does not depend on the time.
         this.#camera.rotate(inputState.rotateLeftRight, inputState.rotateUpDown);
         this.#camera.move(
-            (inputState.forward - inputState.backward) * 0.8,
-            (inputState.right - inputState.left) * 0.8
+            inputState.forward - inputState.backward,
+            inputState.right - inputState.left,
+            deltaTime
         );
         if (inputState.resetCamera) {
             this.#camera.reset();
         }
+        if (inputState.cameraSwitch) {
+            const nextCamera = (this.#cameras.indexOf(this.#camera) + 1) % this.#cameras.length;
+            this.#camera.detachLight(this.#flashlight);
+            this.#camera = this.#cameras[nextCamera];
+            this.#camera.attachLight(this.#flashlight);
+        }
+        if (inputState.skyboxSwitch) {
+            const nextSkybox = (this.#skyboxes.indexOf(this.#skybox) + 1) % this.#skyboxes.length;
+            this.#skybox = this.#skyboxes[nextSkybox];
+        }
+        if (inputState.stressLightsSwitch) {
+            this.#showStressLights = !this.#showStressLights;
+        }
 
-        const rotation = Date.now() % 10000 / 10000 * (2 * Math.PI);
-        this.#cubes[0].setRotation(vec3.fromValues(1, 1, 0), rotation);
+        // One rotation every 10 seconds
+        const rotation = this.#time % 10.0 / 10.0 * (2 * Math.PI);
+        this.#meshes[0].setRotation(vec3.fromValues(1, 1, 0), rotation);
     }
 }
@@ -8,38 +8,48 @@ const MAX_UNIT32 = Math.pow(2, 32) - 1;
  * out which object is below the mouse cursor.
  */
 export class SelectRenderPass {
+    #gpuDevice;
     #renderPipeline;
     #depthTexture;
     #uniformsBindGroup;
     #meshData;
     #modelMatrixBindGroups;
+    #meshBuffersBindGroup;
 
     #triangleIdTexture;
     #triangleIdBuffer;
+    #triangleIdBytesPerRow;
+    #renderedTriangleIds;
 
-    async init(gpuDevice, depthTexture, camera, meshData) {
-        this.#depthTexture = depthTexture;
+    /**
+     * Initializes the render pass. The pass uses its own depth texture because the depth texture
+     * of the other passes may be multisampled.
+     * @param {GPUDevice} gpuDevice the GPU device
+     * @param {number} width the width of the canvas
+     * @param {number} height the height of the canvas
+     * @param {object} camera the GPU buffer of the camera
+     * @param {object} meshData the GPU data of the meshes
+     */
+    async init(gpuDevice, width, height, camera, meshData) {
+        this.#gpuDevice = gpuDevice;
         this.#meshData = meshData;
 
         const shaderFile = await utils.loadShaders('select-shaders.wgsl');
         const shaderModule = gpuDevice.createShaderModule({ code: shaderFile });
 
-        this.#triangleIdTexture = gpuDevice.createTexture({
-            size: [depthTexture.width, depthTexture.height, 1],
-            format: 'r32uint',
-            label: 'Triangle Id Texture',
-            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC,
-        });
-        this.#triangleIdBuffer = gpuDevice.createBuffer({
-            size: this.#triangleIdTexture.width * this.#triangleIdTexture.height * utils.u32ByteLength,
-            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
-        });
+        this.resize(width, height);
 
+        // The triangle id cannot be calculated from the vertex index of an indexed draw call.
+        // Thus this pass does not use the index buffer for drawing but reads the indices and
+        // vertices from storage buffers, so that vertex_index / 3 is the id of the triangle.
         this.#renderPipeline = gpuDevice.createRenderPipeline({
             vertex: {
                 module: shaderModule,
                 entryPoint: 'vertex_main',
-                buffers: meshData.vertexBufferLayout
+                constants: {
+                    VERTEX_STRIDE: meshData.vertexBufferLayout[0].arrayStride / 4,
+                    INDEX_FORMAT_UINT16: meshData.indexFormat == 'uint16' ? 1 : 0,
+                }
             },
             fragment: {
                 module: shaderModule,
@@ -66,6 +76,41 @@ export class SelectRenderPass {
         this.#modelMatrixBindGroups = meshData.modelMatrices.map(
             m => m.createBindGroup(this.#renderPipeline, 1)
         );
+
+        this.#meshBuffersBindGroup = utils.createBindGroup(gpuDevice, this.#renderPipeline, 2, [
+            { buffer: meshData.vertexBuffer },
+            { buffer: meshData.indexBuffer },
+        ]);
+    }
+
+    /**
+     * Creates the textures with the given size. Must be called when the size of the canvas changes.
+     * @param {number} width the width of the canvas
+     * @param {number} height the height of the canvas
+     */
+    resize(width, height) {
+        const gpuDevice = this.#gpuDevice;
+        this.#depthTexture?.destroy();
+        this.#triangleIdTexture?.destroy();
+        // The old triangle id buffer is not destroyed because it may still be mapped by getSelectedTriangleId().
+
+        this.#depthTexture = gpuDevice.createTexture({
+            size: [width, height],
+            format: 'depth24plus',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+        this.#triangleIdTexture = gpuDevice.createTexture({
+            size: [width, height, 1],
+            format: 'r32uint',
+            label: 'Triangle Id Texture',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC,
+        });
+        // The rows of a texture that is copied to a buffer have to be aligned to 256 bytes.
+        this.#triangleIdBytesPerRow = utils.align(width * utils.u32ByteLength, 256);
+        this.#triangleIdBuffer = gpuDevice.createBuffer({
+            size: this.#triangleIdBytesPerRow * height,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        });
     }
 
     /**
@@ -90,17 +135,17 @@ export class SelectRenderPass {
         });
 
         passEncoder.setPipeline(this.#renderPipeline);
-        passEncoder.setVertexBuffer(0, this.#meshData.vertexBuffer);
         passEncoder.setBindGroup(this.#uniformsBindGroup.number, this.#uniformsBindGroup.group);
+        passEncoder.setBindGroup(this.#meshBuffersBindGroup.number, this.#meshBuffersBindGroup.group);
 
-        // Draw the meshes
+        // Draw the meshes. The first instance is used to pass the first vertex of the mesh to the shader.
         const meshList = this.#meshData.meshList;
         for (let i = 0; i < meshList.length; ++i) {
             const bindGroup = this.#modelMatrixBindGroups[i];
             passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
 
             const mesh = meshList[i];
-            passEncoder.draw(mesh.vertexCount, 1, mesh.firstVertex);
+            passEncoder.draw(mesh.indexCount, 1, mesh.firstIndex, mesh.firstVertex);
         }
 
         passEncoder.end();
@@ -111,38 +156,52 @@ export class SelectRenderPass {
             { texture: this.#triangleIdTexture },
             {
                 buffer: this.#triangleIdBuffer,
-                bytesPerRow: this.#triangleIdTexture.width * utils.u32ByteLength
+                bytesPerRow: this.#triangleIdBytesPerRow
             },
             {
                 width: this.#triangleIdTexture.width,
                 height: this.#triangleIdTexture.height,
                 depthOrArrayLayers: 1,
             });
+        // Remember the buffer and its layout in case the textures are resized before the buffer is read.
+        this.#renderedTriangleIds = {
+            buffer: this.#triangleIdBuffer,
+            width: this.#triangleIdTexture.width,
+            height: this.#triangleIdTexture.height,
+            idsPerRow: this.#triangleIdBytesPerRow / utils.u32ByteLength,
+        };
     }
 
     /**
      * Returns the triange id that was selected. Must be called after renderFrame().
+     * The triangle with id t consists of the indices 3 * t to 3 * t + 2 of the index buffer.
      * @param {number} x the x coordinate in screen coordinates
      * @param {number} y the y coordinate in screen coordinates
      * @returns {number} the triangle id
      */
     async getSelectedTriangleId(x, y) {
+        const { buffer: triangleIdBuffer, width, height, idsPerRow } = this.#renderedTriangleIds;
+        if (x >= width || y >= height) {
+            // The canvas was resized after the position was selected.
+            return -1;
+        }
+
         // Map the triangleIdBuffer so that it can be read from the CPU.
-        await this.#triangleIdBuffer.mapAsync(GPUMapMode.READ);
+        await triangleIdBuffer.mapAsync(GPUMapMode.READ);
 
         // Get the entire buffer
         // TODO: This can be optimized to only get a part of the buffer. This is not
         // straightforward because the offset has to be a multiple of 8.
-        const ids = new Uint32Array(this.#triangleIdBuffer.getMappedRange());
+        const ids = new Uint32Array(triangleIdBuffer.getMappedRange());
 
-        const bufferPosition = this.#triangleIdTexture.width * y + x;
+        const bufferPosition = idsPerRow * y + x;
         let id = ids[bufferPosition];
         if (id == MAX_UNIT32) {
             // Nothing was selected.
             id = -1;
         }
 
-        this.#triangleIdBuffer.unmap();
+        triangleIdBuffer.unmap();
 
         return id;
     }
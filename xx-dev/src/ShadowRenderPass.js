@@ -0,0 +1,294 @@
+import {
+    vec3,
+    mat4,
+} from '../imports/wgpu-matrix.module.js';
+import * as utils from './utils.js';
+import { LightType } from './Light.js';
+
+// The size of the ShadowMap struct in the shaders (vpMatrix, lightPosition and range).
+const shadowMapFloatCount = 20;
+const shadowMapByteLength = shadowMapFloatCount * Float32Array.BYTES_PER_ELEMENT;
+
+/**
+ * Render pass that renders the depth of the scene from the view of every shadow casting
+ * directional and spot light into layers of a depth texture array (the shadow maps). Directional
+ * lights use one layer per shadow cascade. Shadow casting point lights get a cube map that stores
+ * the distance to the light.
+ */
+export class ShadowRenderPass {
+    #gpuDevice;
+    #shadowMapSize;
+    #renderPipeline;
+    #shadowMapTexture;
+    #shadowMapsBuffer;
+    #shadowMapsBindGroup;
+    #shadowSampler;
+    #shadowLights = [];
+    #shadowMapIndices = new Map();
+    #shadowLayerCount = 0;
+    #meshData;
+    #modelMatrixBindGroups;
+
+    #maxPointLightShadows;
+    #pointShadowMapSize;
+    #pointRenderPipeline;
+    #pointShadowMapTexture;
+    #pointShadowMapsBindGroup;
+    #pointModelMatrixBindGroups;
+    #pointShadowLights = [];
+
+    /**
+     * Creates a new shadow render pass.
+     * @param {number} shadowMapSize the width and height of each shadow map in pixels
+     * @param {number} maxPointLightShadows the maximal number of point lights that cast shadows
+     * @param {number} pointShadowMapSize the width and height of each face of the cube maps of point lights
+     */
+    constructor(shadowMapSize = 2048, maxPointLightShadows = 4, pointShadowMapSize = 1024) {
+        this.#shadowMapSize = shadowMapSize;
+        this.#maxPointLightShadows = maxPointLightShadows;
+        this.#pointShadowMapSize = pointShadowMapSize;
+    }
+
+    async init(gpuDevice, lights, meshData) {
+        this.#gpuDevice = gpuDevice;
+        this.#meshData = meshData;
+        this.#shadowLights = lights.filter(l => l.getCastShadow() &&
+            (l.getType() == LightType.Directional || l.getType() == LightType.Spot));
+        this.#pointShadowLights = lights.filter(l => l.getCastShadow() && l.getType() == LightType.Point)
+            .slice(0, this.#maxPointLightShadows);
+        this.#shadowMapIndices.clear();
+        this.#shadowLayerCount = 0;
+        for (let light of this.#shadowLights) {
+            this.#shadowMapIndices.set(light, this.#shadowLayerCount);
+            this.#shadowLayerCount += light.getShadowMapCount();
+        }
+
+        const shaderFile = await utils.loadShaders('shadow-shaders.wgsl');
+        const shaderModule = gpuDevice.createShaderModule({ code: shaderFile });
+
+        // Only the depth is rendered, so no fragment shader is needed. Back faces are not culled
+        // so that meshes that are not closed (e.g. planes) cast shadows from both sides.
+        this.#renderPipeline = gpuDevice.createRenderPipeline({
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vertex_main',
+                buffers: meshData.vertexBufferLayout
+            },
+            primitive: {
+                topology: 'triangle-list',
+                cullMode: 'none',
+            },
+            layout: 'auto',
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth32float',
+            },
+        });
+
+        // A texture array cannot be empty, so there is at least one layer.
+        this.#shadowMapTexture = gpuDevice.createTexture({
+            size: [this.#shadowMapSize, this.#shadowMapSize, Math.max(1, this.#shadowLayerCount)],
+            format: 'depth32float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        });
+        // The point lights render the distance to the light into the depth buffer.
+        this.#pointRenderPipeline = gpuDevice.createRenderPipeline({
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vertex_point_main',
+                buffers: meshData.vertexBufferLayout
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: 'fragment_point_main',
+                targets: [],
+            },
+            primitive: {
+                topology: 'triangle-list',
+                cullMode: 'none',
+            },
+            layout: 'auto',
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth32float',
+            },
+        });
+        // Each point light uses six layers (one cube) of the texture.
+        this.#pointShadowMapTexture = gpuDevice.createTexture({
+            size: [this.#pointShadowMapSize, this.#pointShadowMapSize, 6 * Math.max(1, this.#pointShadowLights.length)],
+            format: 'depth32float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        });
+
+        // The shadow maps of directional and spot lights are followed by six shadow maps per point light.
+        this.#shadowMapsBuffer = gpuDevice.createBuffer({
+            size: shadowMapByteLength * Math.max(1, this.#getShadowMapCount()),
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+        // The sampler compares the depth of a fragment with the depth in the shadow map. Linear
+        // filtering interpolates the results of the comparisons of the four nearest texels.
+        this.#shadowSampler = gpuDevice.createSampler({
+            compare: 'less-equal',
+            magFilter: 'linear',
+            minFilter: 'linear',
+        });
+
+        this.#shadowMapsBindGroup = utils.createBindGroup(gpuDevice, this.#renderPipeline, 0, [
+            { buffer: this.#shadowMapsBuffer }
+        ]);
+        this.#modelMatrixBindGroups = meshData.modelMatrices.map(
+            m => m.createBindGroup(this.#renderPipeline, 1)
+        );
+        this.#pointShadowMapsBindGroup = utils.createBindGroup(gpuDevice, this.#pointRenderPipeline, 0, [
+            { buffer: this.#shadowMapsBuffer }
+        ]);
+        this.#pointModelMatrixBindGroups = meshData.modelMatrices.map(
+            m => m.createBindGroup(this.#pointRenderPipeline, 1)
+        );
+    }
+
+    /**
+     * Returns the index of the shadow map of a light.
+     * @param {Light} light the light
+     * @returns {number} the index of the (first) layer in the shadow map texture (or of the cube in the
+     *                   point shadow map texture for point lights) or -1 if the light has no shadow map
+     */
+    getShadowMapIndex(light) {
+        if (light.getType() == LightType.Point) {
+            return this.#pointShadowLights.indexOf(light);
+        }
+        return this.#shadowMapIndices.get(light) ?? -1;
+    }
+
+    /**
+     * Returns the resources that are needed to use the shadow maps in other render passes.
+     * @returns an object with the buffer that contains the view-projection matrices of the shadow maps
+     *          (buffer), a view of the shadow map texture array (textureView), a view of the cube map
+     *          array of the point lights (pointTextureView) and a comparison sampler (sampler)
+     */
+    getShadowMaps() {
+        return {
+            buffer: this.#shadowMapsBuffer,
+            textureView: this.#shadowMapTexture.createView({ dimension: '2d-array' }),
+            pointTextureView: this.#pointShadowMapTexture.createView({ dimension: 'cube-array' }),
+            sampler: this.#shadowSampler,
+        };
+    }
+
+    /**
+     * Renders the shadow maps of the next frame.
+     *
+     * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
+     * @param {Camera} camera the camera whose view frustum is covered by the cascades of directional lights
+     * @param {HTMLCanvasElement} canvas the canvas that is used to render the scene
+     */
+    renderFrame(commandEncoder, camera, canvas) {
+        if (this.#getShadowMapCount() == 0) {
+            return;
+        }
+
+        const sceneBounds = this.#calcSceneBounds();
+        const shadowMapData = new Float32Array(shadowMapFloatCount * this.#getShadowMapCount());
+        for (let light of this.#shadowLights) {
+            const matrices = light.getType() == LightType.Directional
+                ? light.getCascadeViewProjectionMatrices(camera, canvas, sceneBounds, this.#shadowMapSize)
+                : [light.getShadowViewProjectionMatrix(sceneBounds)];
+            const firstIndex = this.#shadowMapIndices.get(light);
+            for (let i = 0; i < matrices.length; ++i) {
+                shadowMapData.set(matrices[i], shadowMapFloatCount * (firstIndex + i));
+            }
+        }
+        for (let i = 0; i < this.#pointShadowLights.length; ++i) {
+            const light = this.#pointShadowLights[i];
+            const matrices = light.getShadowViewProjectionMatrices();
+            for (let face = 0; face < 6; ++face) {
+                const offset = shadowMapFloatCount * (this.#shadowLayerCount + 6 * i + face);
+                shadowMapData.set(matrices[face], offset);
+                shadowMapData.set(light.getPosition(), offset + 16);
+                shadowMapData[offset + 19] = light.getRange();
+            }
+        }
+        utils.copyToBuffer(this.#gpuDevice, this.#shadowMapsBuffer, shadowMapData);
+
+        for (let i = 0; i < this.#shadowLayerCount; ++i) {
+            const view = this.#shadowMapTexture.createView({
+                dimension: '2d', baseArrayLayer: i, arrayLayerCount: 1
+            });
+            this.#renderShadowMap(commandEncoder, view, i, this.#renderPipeline,
+                this.#shadowMapsBindGroup, this.#modelMatrixBindGroups);
+        }
+        for (let layer = 0; layer < 6 * this.#pointShadowLights.length; ++layer) {
+            const view = this.#pointShadowMapTexture.createView({
+                dimension: '2d', baseArrayLayer: layer, arrayLayerCount: 1
+            });
+            this.#renderShadowMap(commandEncoder, view, this.#shadowLayerCount + layer, this.#pointRenderPipeline,
+                this.#pointShadowMapsBindGroup, this.#pointModelMatrixBindGroups);
+        }
+    }
+
+    /**
+     * Renders all meshes that cast shadows into one shadow map.
+     */
+    #renderShadowMap(commandEncoder, view, shadowMapIndex, pipeline, shadowMapsBindGroup, modelMatrixBindGroups) {
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [],
+            depthStencilAttachment: {
+                view: view,
+                depthClearValue: 1.0,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'store',
+            }
+        });
+
+        passEncoder.setPipeline(pipeline);
+        passEncoder.setVertexBuffer(0, this.#meshData.vertexBuffer);
+        passEncoder.setIndexBuffer(this.#meshData.indexBuffer, this.#meshData.indexFormat);
+        passEncoder.setBindGroup(shadowMapsBindGroup.number, shadowMapsBindGroup.group);
+
+        const meshList = this.#meshData.meshList;
+        for (let j = 0; j < meshList.length; ++j) {
+            if (!this.#meshData.modelMatrices[j].getCastShadow()) {
+                continue;
+            }
+            const bindGroup = modelMatrixBindGroups[j];
+            passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
+
+            // The instance index selects the shadow map in the shader.
+            const mesh = meshList[j];
+            passEncoder.drawIndexed(mesh.indexCount, 1, mesh.firstIndex, mesh.firstVertex, shadowMapIndex);
+        }
+
+        passEncoder.end();
+    }
+
+    #getShadowMapCount() {
+        return this.#shadowLayerCount + 6 * this.#pointShadowLights.length;
+    }
+
+    /**
+     * Calculates a sphere that contains all meshes that cast shadows.
+     * @returns an object with the center (vec3) and the radius of the sphere
+     */
+    #calcSceneBounds() {
+        const min = vec3.create(Infinity, Infinity, Infinity);
+        const max = vec3.create(-Infinity, -Infinity, -Infinity);
+        for (let m of this.#meshData.modelMatrices) {
+            if (!m.getCastShadow()) {
+                continue;
+            }
+            const modelMatrix = m.getModelMatrix();
+            const sphere = m.getBoundingSphere();
+            const center = vec3.transformMat4(sphere.center, modelMatrix);
+            const scale = Math.max(...mat4.getScaling(modelMatrix));
+            const radius = vec3.create(sphere.radius * scale, sphere.radius * scale, sphere.radius * scale);
+            vec3.min(min, vec3.sub(center, radius), min);
+            vec3.max(max, vec3.add(center, radius), max);
+        }
+        if (min[0] > max[0]) {
+            return { center: vec3.create(0.0, 0.0, 0.0), radius: 1.0 };
+        }
+        return { center: vec3.lerp(min, max, 0.5), radius: vec3.distance(min, max) / 2.0 };
+    }
+}
@@ -0,0 +1,104 @@
+import { vec3 } from '../imports/wgpu-matrix.module.js';
+
+/**
+ * The sources of the sky that is drawn behind the scene.
+ */
+export const SkyboxType = Object.freeze({
+    // A procedural gradient from the ground over the horizon to the zenith
+    Gradient: { name: 'Gradient' },
+    // Six images, one for each face of a cube map
+    CubeFaces: { name: 'Cube faces' },
+    // An HDR image with an equirectangular projection of the whole sphere
+    Equirectangular: { name: 'Equirectangular HDR' },
+});
+
+/**
+ * Describes the sky of a scene. Without images a procedural gradient sky is used.
+ * The images use the usual y-up orientation of cube maps; the renderer flips them for the y-down world.
+ */
+export class Skybox {
+    #faceImages = null;
+    #hdrImage = null;
+    // The gradient colors are linear HDR values.
+    #zenithColor = vec3.create(0.12, 0.25, 0.55);
+    #horizonColor = vec3.create(0.55, 0.62, 0.70);
+    #groundColor = vec3.create(0.10, 0.09, 0.08);
+    #intensity = 1.0;
+
+    getType() {
+        if (this.#faceImages !== null) {
+            return SkyboxType.CubeFaces;
+        }
+        if (this.#hdrImage !== null) {
+            return SkyboxType.Equirectangular;
+        }
+        return SkyboxType.Gradient;
+    }
+
+    getFaceImages() {
+        return this.#faceImages;
+    }
+
+    /**
+     * Uses six images as faces of the cube map.
+     * @param {Array} images the square ImageBitmaps in the order +x, -x, +y, -y, +z, -z or null
+     *                       to use the gradient
+     */
+    setFaceImages(images) {
+        if (images !== null && images.length != 6) {
+            throw Error("A skybox needs exactly 6 face images.");
+        }
+        this.#faceImages = images;
+        this.#hdrImage = null;
+    }
+
+    getHdrImage() {
+        return this.#hdrImage;
+    }
+
+    /**
+     * Uses an equirectangular HDR image as sky.
+     * @param {object} hdrImage the image as returned by utils.loadHdrImage() or null to use the gradient
+     */
+    setHdrImage(hdrImage) {
+        this.#hdrImage = hdrImage;
+        this.#faceImages = null;
+    }
+
+    /**
+     * Sets the colors of the procedural sky.
+     * @param {vec3} zenithColor the color straight up
+     * @param {vec3} horizonColor the color at the horizon
+     * @param {vec3} groundColor the color below the horizon
+     */
+    setGradient(zenithColor, horizonColor, groundColor) {
+        this.#zenithColor = vec3.copy(zenithColor);
+        this.#horizonColor = vec3.copy(horizonColor);
+        this.#groundColor = vec3.copy(groundColor);
+    }
+
+    getIntensity() {
+        return this.#intensity;
+    }
+
+    /**
+     * Sets the factor that is multiplied with the colors of the sky.
+     * @param {number} intensity the factor; HDR images often need values below 1.0
+     */
+    setIntensity(intensity) {
+        this.#intensity = intensity;
+    }
+
+    /**
+     * Returns the gradient colors in the format of the Gradient struct in the shaders.
+     * @returns {Float32Array} the gradient data
+     */
+    getGradientData() {
+        // Layout: zenithColor: vec3f, horizonColor: vec3f, groundColor: vec3f (each aligned to 16 bytes)
+        const b = new Float32Array(12);
+        b.set(this.#zenithColor, 0);
+        b.set(this.#horizonColor, 4);
+        b.set(this.#groundColor, 8);
+        return b;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,264 @@
+import { mat4, vec3 } from '../imports/wgpu-matrix.module.js';
+import * as utils from './utils.js';
+import { Skybox, SkyboxType } from './Skybox.js';
+
+/**
+ * Render pass that draws the sky behind the scene. The sky is a cube map that is created from the
+ * images of the skybox or from a procedural gradient. It is drawn where no mesh was rendered, i.e.
+ * where the depth is still at the far plane, and only the rotation of the camera is used so that
+ * the sky seems infinitely far away.
+ */
+export class SkyboxRenderPass {
+    #gpuDevice;
+    #renderTargets;
+    #shaderModule;
+    #skybox;
+    #cubeTexture;
+    #sampler;
+    #paramsBuffer;
+    #renderPipeline;
+    #sampleCount;
+    #bindGroup;
+    // The pipelines that render the gradient and the equirectangular HDR images into the cube map faces
+    #gradientPipeline;
+    #equirectangularPipeline;
+
+    // The size of the cube map faces of the gradient and the maximum size for HDR images
+    #gradientFaceSize = 64;
+    #maxFaceSize = 1024;
+
+    /**
+     * @param {GPUDevice} gpuDevice the GPU device
+     * @param {object} renderTargets the render targets
+     * @param {Skybox} skybox the sky of the scene
+     */
+    async init(gpuDevice, renderTargets, skybox) {
+        this.#gpuDevice = gpuDevice;
+        this.#renderTargets = renderTargets;
+        this.#skybox = skybox;
+
+        const shaders = await utils.loadShaders('cubemap.wgsl') + await utils.loadShaders('skybox-shaders.wgsl');
+        this.#shaderModule = gpuDevice.createShaderModule({ code: shaders });
+        this.#gradientPipeline = this.#createCubeFacePipeline('fragment_gradient');
+        this.#equirectangularPipeline = this.#createCubeFacePipeline('fragment_equirectangular');
+
+        this.#cubeTexture = this.#createCubeTexture(skybox);
+        this.#sampler = gpuDevice.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear',
+        });
+        // Layout: inverseVpMatrix: mat4x4f, intensity: f32
+        this.#paramsBuffer = gpuDevice.createBuffer({
+            size: utils.align(utils.mat4ByteLength + utils.f32ByteLength, 16),
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        this.#createRenderPipeline();
+    }
+
+    /**
+     * Returns the cube map of the sky, e.g. to light the scene with it.
+     * @returns {GPUTexture} the cube map with 6 array layers
+     */
+    getCubeTexture() {
+        return this.#cubeTexture;
+    }
+
+    getSkybox() {
+        return this.#skybox;
+    }
+
+    /**
+     * Replaces the sky. The cube map is created again, so getCubeTexture() returns a new texture.
+     * @param {Skybox} skybox the new sky
+     */
+    setSkybox(skybox) {
+        this.#skybox = skybox;
+        this.#cubeTexture.destroy();
+        this.#cubeTexture = this.#createCubeTexture(skybox);
+        this.#createBindGroup();
+    }
+
+    /**
+     * Creates the render pipeline for the sample count of the render targets and its BindGroup.
+     */
+    #createRenderPipeline() {
+        this.#sampleCount = this.#renderTargets.sampleCount;
+        this.#renderPipeline = this.#gpuDevice.createRenderPipeline({
+            vertex: {
+                module: this.#shaderModule,
+                entryPoint: 'vertex_main',
+            },
+            fragment: {
+                module: this.#shaderModule,
+                entryPoint: 'fragment_main',
+                targets: [{ format: this.#renderTargets.hdrFormat }],
+            },
+            primitive: {
+                topology: 'triangle-list',
+            },
+            multisample: {
+                count: this.#sampleCount,
+            },
+            layout: 'auto',
+            // The sky is drawn at the far plane; the depth that was cleared to 1.0 passes the test.
+            depthStencil: {
+                depthWriteEnabled: false,
+                depthCompare: 'less-equal',
+                format: 'depth24plus',
+            },
+        });
+        this.#createBindGroup();
+    }
+
+    #createBindGroup() {
+        this.#bindGroup = utils.createBindGroup(this.#gpuDevice, this.#renderPipeline, 0, [
+            { buffer: this.#paramsBuffer },
+            this.#sampler,
+            this.#cubeTexture.createView({ dimension: 'cube' }),
+        ]);
+    }
+
+    /**
+     * Creates a render pipeline that renders a cube map face with a fragment shader entry point.
+     */
+    #createCubeFacePipeline(fragmentEntryPoint) {
+        return this.#gpuDevice.createRenderPipeline({
+            vertex: {
+                module: this.#shaderModule,
+                entryPoint: 'vertex_cube_face',
+            },
+            fragment: {
+                module: this.#shaderModule,
+                entryPoint: fragmentEntryPoint,
+                targets: [{ format: 'rgba16float' }],
+            },
+            primitive: {
+                topology: 'triangle-list',
+            },
+            layout: 'auto',
+        });
+    }
+
+    /**
+     * Creates the cube map of the skybox. Face images are copied to the faces, the gradient and
+     * equirectangular HDR images are rendered into the faces.
+     */
+    #createCubeTexture(skybox) {
+        const gpuDevice = this.#gpuDevice;
+        const type = skybox.getType();
+        if (type == SkyboxType.CubeFaces) {
+            const images = skybox.getFaceImages();
+            const texture = gpuDevice.createTexture({
+                size: [images[0].width, images[0].height, 6],
+                format: 'rgba8unorm-srgb',
+                usage: GPUTextureUsage.TEXTURE_BINDING |
+                    GPUTextureUsage.RENDER_ATTACHMENT |
+                    GPUTextureUsage.COPY_DST,
+            });
+            images.forEach((image, face) => {
+                gpuDevice.queue.copyExternalImageToTexture(
+                    { source: image },
+                    { texture: texture, origin: [0, 0, face] },
+                    [image.width, image.height]
+                );
+            });
+            return texture;
+        }
+
+        let faceSize;
+        let pipeline;
+        let bindGroup;
+        // The texture or buffer that is only needed to render the faces
+        let source;
+        if (type == SkyboxType.Equirectangular) {
+            const hdrImage = skybox.getHdrImage();
+            const hdrTexture = gpuDevice.createTexture({
+                size: [hdrImage.width, hdrImage.height],
+                format: 'rgba8uint',
+                usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+            });
+            gpuDevice.queue.writeTexture(
+                { texture: hdrTexture }, hdrImage.data, { bytesPerRow: hdrImage.width * 4 },
+                [hdrImage.width, hdrImage.height]
+            );
+            // Each face covers a quarter of the circumference of the image.
+            faceSize = Math.max(1, Math.min(this.#maxFaceSize, Math.floor(hdrImage.width / 4)));
+            pipeline = this.#equirectangularPipeline;
+            bindGroup = utils.createBindGroup(gpuDevice, pipeline, 2, [hdrTexture.createView()]);
+            source = hdrTexture;
+        } else {
+            const gradientBuffer = gpuDevice.createBuffer({
+                size: skybox.getGradientData().byteLength,
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            });
+            utils.copyToBuffer(gpuDevice, gradientBuffer, skybox.getGradientData());
+            faceSize = this.#gradientFaceSize;
+            pipeline = this.#gradientPipeline;
+            bindGroup = utils.createBindGroup(gpuDevice, pipeline, 1, [{ buffer: gradientBuffer }]);
+            source = gradientBuffer;
+        }
+
+        const texture = gpuDevice.createTexture({
+            size: [faceSize, faceSize, 6],
+            format: 'rgba16float',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+
+        const commandEncoder = gpuDevice.createCommandEncoder();
+        for (let face = 0; face < 6; ++face) {
+            const passEncoder = commandEncoder.beginRenderPass({
+                colorAttachments: [{
+                    view: texture.createView({ dimension: '2d', baseArrayLayer: face, arrayLayerCount: 1 }),
+                    loadOp: 'clear',
+                    storeOp: 'store',
+                }],
+            });
+            passEncoder.setPipeline(pipeline);
+            passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
+            passEncoder.draw(3, 1, 0, face);
+            passEncoder.end();
+        }
+        gpuDevice.queue.submit([commandEncoder.finish()]);
+        // Destroying is deferred until the submitted passes have finished.
+        source.destroy();
+        return texture;
+    }
+
+    /**
+     * Draws the sky behind the scene. Must be called after the scene was rendered.
+     *
+     * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
+     * @param {Camera} camera the camera of the scene
+     * @param {HTMLCanvasElement} canvas the canvas that is used to render the scene
+     */
+    renderFrame(commandEncoder, camera, canvas) {
+        if (this.#sampleCount != this.#renderTargets.sampleCount) {
+            this.#createRenderPipeline();
+        }
+
+        // Remove the translation so that the sky does not move with the camera.
+        const viewMatrix = mat4.setTranslation(camera.getViewMatrix(), vec3.create(0.0, 0.0, 0.0));
+        const vpMatrix = mat4.multiply(camera.getProjectionMatrix(canvas), viewMatrix);
+        const params = new Float32Array(this.#paramsBuffer.size / utils.f32ByteLength);
+        params.set(mat4.inverse(vpMatrix), 0);
+        params[16] = this.#skybox.getIntensity();
+        utils.copyToBuffer(this.#gpuDevice, this.#paramsBuffer, params);
+
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                ...this.#renderTargets.getHdrColorAttachmentViews(),
+                loadOp: 'load',
+                storeOp: 'store',
+            }],
+            depthStencilAttachment: {
+                view: this.#renderTargets.depthTexture.createView(),
+                depthLoadOp: 'load',
+                depthStoreOp: 'store',
+            }
+        });
+        passEncoder.setPipeline(this.#renderPipeline);
+        passEncoder.setBindGroup(this.#bindGroup.number, this.#bindGroup.group);
+        passEncoder.draw(3);
+        passEncoder.end();
+    }
+}
\ No newline at end of file
@@ -1,75 +1,89 @@
 import * as utils from './utils.js';
-
-export const TextureRenderMode = Object.freeze({
-    Normal: { name: 'Normal', value: 0 },
-    Disabled: { name: 'Disabled', value: 1 },
-    Exclusive: { name: 'Exclusive', value: 2 },
-});
+import { LightType, AttenuationModel } from './Light.js';
+import { ShadingModel } from './Material.js';
 
 /**
  * The standard render pass the renders the scene with lights, textures, etc.
  */
 export class StandardRenderPass {
+    #gpuDevice;
+    #shaderModule;
+    #renderTargets;
+    #camera;
+    #renderOptions;
+    #lights;
+    #shadowMaps;
+    #lightClusters;
+    #ambientOcclusion;
+    #environmentLighting;
+    // The ambient occlusion texture for which the uniforms BindGroup was created
+    #ambientOcclusionTexture = null;
     #renderPipeline;
-    #depthTexture;
+    #sampleCount;
     #uniformsBindGroup;
     #meshData;
     #modelMatrixBindGroups;
     #lightsBindGroup;
-    #gpuRenderOptions;
-
-    #colorTextureMode = TextureRenderMode.Normal;
-    #specularTextureMode = TextureRenderMode.Normal;
-    #normalTextureMode = TextureRenderMode.Normal;
-
-    getColorTextureMode() {
-        return this.#colorTextureMode;
-    }
-
-    setColorTextureMode(value) {
-        this.#colorTextureMode = value;
-    }
-
-    getSpecularTextureMode() {
-        return this.#specularTextureMode;
-    }
-
-    setSpecularTextureMode(value) {
-        this.#specularTextureMode = value;
-    }
+    #materialBindGroups;
+
+    async init(gpuDevice, renderTargets, camera, renderOptions, lights, shadowMaps, lightClusters, ambientOcclusion, environmentLighting, meshData) {
+        this.#gpuDevice = gpuDevice;
+        this.#renderTargets = renderTargets;
+        this.#camera = camera;
+        this.#renderOptions = renderOptions;
+        this.#lights = lights;
+        this.#shadowMaps = shadowMaps;
+        this.#lightClusters = lightClusters;
+        this.#ambientOcclusion = ambientOcclusion;
+        this.#environmentLighting = environmentLighting;
+        this.#meshData = meshData;
 
-    getNormalTextureMode() {
-        return this.#normalTextureMode;
-    }
+        // Create a shader module from the shader source code; the lighting is shared with other passes.
+        const shaders = await utils.loadShaders('clusters.wgsl') + await utils.loadShaders('lighting.wgsl') +
+            await utils.loadShaders('mesh.wgsl') + await utils.loadShaders('material.wgsl') +
+            await utils.loadShaders('standard-shaders.wgsl');
+        this.#shaderModule = gpuDevice.createShaderModule({ code: shaders });
 
-    setNormalTextureMode(value) {
-        this.#normalTextureMode = value;
+        this.#createRenderPipeline();
     }
 
-    async init(gpuDevice, depthTexture, camera, lights, meshData) {
-        this.#depthTexture = depthTexture;
-        this.#meshData = meshData;
-
-        // Create a shader module from the shader source code
-        const shaders = await utils.loadShaders('standard-shaders.wgsl');
-        const shaderModule = gpuDevice.createShaderModule({ code: shaders });
+    /**
+     * Creates the render pipeline for the sample count of the render targets and the BindGroups
+     * that use the pipeline.
+     */
+    #createRenderPipeline() {
+        const gpuDevice = this.#gpuDevice;
+        const meshData = this.#meshData;
+        const shadowMaps = this.#shadowMaps;
+        this.#sampleCount = this.#renderTargets.sampleCount;
 
         // Create the standard render pipeline that is used for normal rendering.
         this.#renderPipeline = gpuDevice.createRenderPipeline({
             vertex: {
-                module: shaderModule,
+                module: this.#shaderModule,
                 entryPoint: 'vertex_main',
                 buffers: meshData.vertexBufferLayout
             },
             fragment: {
-                module: shaderModule,
+                module: this.#shaderModule,
                 entryPoint: 'fragment_main',
-                targets: [{ format: navigator.gpu.getPreferredCanvasFormat() }]
+                targets: [{ format: this.#renderTargets.hdrFormat }],
+                constants: {
+                    LIGHT_TYPE_POINT: LightType.Point,
+                    LIGHT_TYPE_DIRECTIONAL: LightType.Directional,
+                    LIGHT_TYPE_SPOT: LightType.Spot,
+                    ATTENUATION_MODEL_POLYNOMIAL: AttenuationModel.Polynomial,
+                    ATTENUATION_MODEL_INVERSE_SQUARE: AttenuationModel.InverseSquare,
+                    SHADING_MODEL_METALLIC_ROUGHNESS: ShadingModel.MetallicRoughness,
+                }
             },
             primitive: {
                 topology: 'triangle-list',
                 cullMode: 'back', // Backface culling
             },
+            multisample: {
+                count: this.#sampleCount,
+            },
             layout: 'auto',
             // Enable depth testing so that the fragment closest to the camera is rendered in front.
             depthStencil: {
@@ -79,81 +93,70 @@ export class StandardRenderPass {
             },
         });
 
-        // Create a sampler with linear filtering
-        const sampler = gpuDevice.createSampler({
-            magFilter: 'linear',
-            minFilter: 'linear',
-            addressModeU: "repeat",
-            addressModeV: "repeat",
-        });
-        // Load Images and create textures:
-        const colorBitmap = await utils.loadImage('checkboard-color.png');
-        const colorTexture = utils.createTextureFromBitmap(gpuDevice, colorBitmap);
-        const specularBitmap = await utils.loadImage('checkboard-specular.png');
-        const specularTexture = utils.createTextureFromBitmap(gpuDevice, specularBitmap, 'r');
-        const normalBitmap = await utils.loadImage('checkboard-normal.png');
-        const normalTexture = utils.createTextureFromBitmap(gpuDevice, normalBitmap);
-
-        // Create a uniform buffer for the VP (View-Projection) matrix
-        // round to a multiple of 16 to match wgsl struct size (see https://www.w3.org/TR/WGSL/#alignment-and-size).
-        const renderOptionsBuffer = gpuDevice.createBuffer({
-            size: utils.align(3 * utils.i32ByteLength, 16),
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-        });
-        this.#gpuRenderOptions = {
-            buffer: renderOptionsBuffer,
-            setColorTextureMode: function (v) {
-                utils.copyToBuffer(gpuDevice, this.buffer, new Int32Array([v]), 0);
-            },
-            setSpecularTextureMode: function (v) {
-                utils.copyToBuffer(gpuDevice, this.buffer, new Int32Array([v]), utils.i32ByteLength);
-            },
-            setNormalTextureMode: function (v) {
-                utils.copyToBuffer(gpuDevice, this.buffer, new Int32Array([v]), 2 * utils.i32ByteLength);
-            },
-        }
-
-        // Create BindGroup for uniforms.
-        this.#uniformsBindGroup = utils.createBindGroup(gpuDevice, this.#renderPipeline, 0, [
-            { buffer: camera.buffer },
-            sampler,
-            colorTexture.createView(),
-            specularTexture.createView(),
-            normalTexture.createView(),
-            { buffer: renderOptionsBuffer },
-        ]);
+        this.#createUniformsBindGroup();
 
         // Create BindGroups for the model matrics.
         this.#modelMatrixBindGroups = meshData.modelMatrices.map(
             m => m.createBindGroup(this.#renderPipeline, 1)
         );
 
-        // Create a BindGroup for the lights.
+        // Create a BindGroup for the lights, their shadow maps and the environment lighting.
         this.#lightsBindGroup = utils.createBindGroup(gpuDevice, this.#renderPipeline, 2, [
-            { buffer: lights.buffer }
+            { buffer: this.#lights.buffer },
+            { buffer: shadowMaps.buffer },
+            shadowMaps.textureView,
+            shadowMaps.sampler,
+            shadowMaps.pointTextureView,
+            { buffer: this.#lightClusters.paramsBuffer },
+            { buffer: this.#lightClusters.lightsBuffer },
+            this.#environmentLighting.sampler,
+            this.#environmentLighting.irradianceView,
+            this.#environmentLighting.prefilteredView,
+            this.#environmentLighting.brdfLutView,
+        ]);
+
+        // Create BindGroups for the materials.
+        this.#materialBindGroups = meshData.materials.map(
+            m => m.createBindGroup(this.#renderPipeline, 3)
+        );
+    }
+
+    /**
+     * Creates the BindGroup for uniforms. It is recreated when the ambient occlusion texture changes.
+     */
+    #createUniformsBindGroup() {
+        this.#ambientOcclusionTexture = this.#ambientOcclusion.texture;
+        this.#uniformsBindGroup = utils.createBindGroup(this.#gpuDevice, this.#renderPipeline, 0, [
+            { buffer: this.#camera.buffer },
+            { buffer: this.#renderOptions.getBuffer() },
+            this.#ambientOcclusionTexture.createView(),
+            this.#ambientOcclusion.rawTexture.createView(),
         ]);
     }
 
     /**
      * Renders the next frame.
      * 
-     * @param {GPUCanvasContext} drawingContext the canvas on which the frame is drawn
      * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
      */
-    renderFrame(drawingContext, commandEncoder) {
-        this.#gpuRenderOptions.setColorTextureMode(this.#colorTextureMode.value);
-        this.#gpuRenderOptions.setSpecularTextureMode(this.#specularTextureMode.value);
-        this.#gpuRenderOptions.setNormalTextureMode(this.#normalTextureMode.value);
+    renderFrame(commandEncoder) {
+        if (this.#sampleCount != this.#renderTargets.sampleCount) {
+            this.#createRenderPipeline();
+        } else if (this.#ambientOcclusionTexture !== this.#ambientOcclusion.texture) {
+            this.#createUniformsBindGroup();
+        }
 
         const passEncoder = commandEncoder.beginRenderPass({
             colorAttachments: [{
-                clearValue: { r: 0.2, g: 0.2, b: 0.2, a: 1.0 },
+                ...this.#renderTargets.getHdrColorAttachmentViews(),
+                // Dark gray background that is covered by the skybox; the colors are linear and are
+                // converted to sRGB by the tone mapping.
+                clearValue: { r: 0.033, g: 0.033, b: 0.033, a: 1.0 },
                 loadOp: 'clear',
                 storeOp: 'store',
-                view: drawingContext.getCurrentTexture().createView()
             }],
             depthStencilAttachment: {
-                view: this.#depthTexture.createView(),
+                view: this.#renderTargets.depthTexture.createView(),
                 depthClearValue: 1.0,
                 depthLoadOp: 'clear',
                 depthStoreOp: 'store',
@@ -162,6 +165,7 @@ export class StandardRenderPass {
 
         passEncoder.setPipeline(this.#renderPipeline);
         passEncoder.setVertexBuffer(0, this.#meshData.vertexBuffer);
+        passEncoder.setIndexBuffer(this.#meshData.indexBuffer, this.#meshData.indexFormat);
         passEncoder.setBindGroup(this.#uniformsBindGroup.number, this.#uniformsBindGroup.group);
         passEncoder.setBindGroup(this.#lightsBindGroup.number, this.#lightsBindGroup.group);
 
@@ -172,7 +176,9 @@ export class StandardRenderPass {
             passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
 
             const mesh = meshList[i];
-            passEncoder.draw(mesh.vertexCount, 1, mesh.firstVertex);
+            const materialBindGroup = this.#materialBindGroups[mesh.materialIndex];
+            passEncoder.setBindGroup(materialBindGroup.number, materialBindGroup.group);
+            passEncoder.drawIndexed(mesh.indexCount, 1, mesh.firstIndex, mesh.firstVertex);
         }
 
         // End the render pass
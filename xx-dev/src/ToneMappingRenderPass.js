@@ -0,0 +1,152 @@
+import * as utils from './utils.js';
+
+/**
+ * The operators that map the HDR colors of the scene to the range of the display.
+ */
+export const ToneMappingOperator = Object.freeze({
+    Reinhard: { name: 'Reinhard', value: 0 },
+    Aces: { name: 'ACES', value: 1 },
+    AgX: { name: 'AgX', value: 2 },
+});
+
+/**
+ * Render pass that exposes and tone maps the HDR scene and converts it to sRGB. The result is
+ * rendered to the canvas or to the scene texture if the scene is anti-aliased with FXAA afterwards.
+ */
+export class ToneMappingRenderPass {
+    #gpuDevice;
+    #shaderModule;
+    #renderTargets;
+    #renderPipeline;
+    #sampleCount;
+    #optionsBuffer;
+    #exposureBuffer;
+
+    #toneMappingOperator = ToneMappingOperator.Aces;
+    #autoExposure = true;
+    #exposureValue = 0.0;
+
+    getToneMappingOperator() {
+        return this.#toneMappingOperator;
+    }
+
+    setToneMappingOperator(value) {
+        this.#toneMappingOperator = value;
+    }
+
+    getAutoExposure() {
+        return this.#autoExposure;
+    }
+
+    /**
+     * Sets if the exposure is calculated from the average luminance of the scene.
+     * @param {boolean} value true for automatic exposure, false for manual exposure
+     */
+    setAutoExposure(value) {
+        this.#autoExposure = value;
+    }
+
+    getExposureValue() {
+        return this.#exposureValue;
+    }
+
+    /**
+     * Sets the exposure value.
+     * @param {number} value the exposure in EV for manual exposure (0 does not change the colors)
+     *                       or the exposure compensation in EV for automatic exposure
+     */
+    setExposureValue(value) {
+        this.#exposureValue = value;
+    }
+
+    /**
+     * Initializes the render pass.
+     * @param {GPUDevice} gpuDevice the GPU device
+     * @param {object} renderTargets the render targets that contain the HDR texture
+     * @param {GPUBuffer} exposureBuffer the buffer with the average luminance for automatic exposure
+     */
+    async init(gpuDevice, renderTargets, exposureBuffer) {
+        this.#gpuDevice = gpuDevice;
+        this.#renderTargets = renderTargets;
+        this.#exposureBuffer = exposureBuffer;
+
+        const shaders = await utils.loadShaders('fullscreen.wgsl') + await utils.loadShaders('tone-mapping-shaders.wgsl');
+        this.#shaderModule = gpuDevice.createShaderModule({ code: shaders });
+
+        // Layout: toneMappingOperator: u32, autoExposure: u32, exposureValue: f32
+        this.#optionsBuffer = gpuDevice.createBuffer({
+            size: utils.align(3 * utils.u32ByteLength, 16),
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+
+        this.#createRenderPipeline();
+    }
+
+    /**
+     * Creates the render pipeline for the sample count of the render targets.
+     */
+    #createRenderPipeline() {
+        this.#sampleCount = this.#renderTargets.sampleCount;
+        this.#renderPipeline = this.#gpuDevice.createRenderPipeline({
+            vertex: {
+                module: this.#shaderModule,
+                entryPoint: 'vertex_main',
+            },
+            fragment: {
+                module: this.#shaderModule,
+                entryPoint: 'fragment_main',
+                targets: [{ format: navigator.gpu.getPreferredCanvasFormat() }],
+                constants: {
+                    TONE_MAPPING_REINHARD: ToneMappingOperator.Reinhard.value,
+                    TONE_MAPPING_ACES: ToneMappingOperator.Aces.value,
+                    TONE_MAPPING_AGX: ToneMappingOperator.AgX.value,
+                }
+            },
+            primitive: {
+                topology: 'triangle-list',
+            },
+            // The debug overlays are rendered with multisampling afterwards, so the result has the
+            // same number of samples as the scene.
+            multisample: {
+                count: this.#sampleCount,
+            },
+            layout: 'auto',
+        });
+    }
+
+    /**
+     * Renders the next frame.
+     * 
+     * @param {GPUCanvasContext} drawingContext the canvas on which the frame is drawn
+     * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
+     */
+    renderFrame(drawingContext, commandEncoder) {
+        if (this.#sampleCount != this.#renderTargets.sampleCount) {
+            this.#createRenderPipeline();
+        }
+        const options = new Uint32Array(3);
+        options[0] = this.#toneMappingOperator.value;
+        options[1] = this.#autoExposure ? 1 : 0;
+        new Float32Array(options.buffer)[2] = this.#exposureValue;
+        utils.copyToBuffer(this.#gpuDevice, this.#optionsBuffer, options);
+
+        // The HDR texture is recreated when the render targets change, so the BindGroup is created for every frame.
+        const bindGroup = utils.createBindGroup(this.#gpuDevice, this.#renderPipeline, 0, [
+            { buffer: this.#optionsBuffer },
+            { buffer: this.#exposureBuffer },
+            this.#renderTargets.hdrTexture.createView(),
+        ]);
+
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                ...this.#renderTargets.getToneMappingColorAttachmentViews(drawingContext),
+                loadOp: 'clear',
+                storeOp: 'store',
+            }],
+        });
+        passEncoder.setPipeline(this.#renderPipeline);
+        passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
+        passEncoder.draw(3);
+        passEncoder.end();
+    }
+}
\ No newline at end of file
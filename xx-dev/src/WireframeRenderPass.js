@@ -4,34 +4,55 @@ import * as utils from './utils.js';
  * Render pass that renders wireframes.
  */
 export class WireframeRenderPass {
+    #gpuDevice;
+    #shaderModule;
+    #renderTargets;
+    #camera;
     #renderPipeline;
-    #depthTexture;
+    #sampleCount;
     #uniformsBindGroup;
     #wireframeIndexBuffer;
     #meshData;
     #modelMatrixBindGroups;
 
-    async init(gpuDevice, depthTexture, camera, meshData) {
-        this.#depthTexture = depthTexture;
+    async init(gpuDevice, renderTargets, camera, meshData) {
+        this.#gpuDevice = gpuDevice;
+        this.#renderTargets = renderTargets;
+        this.#camera = camera;
         this.#meshData = meshData;
 
         const shaderFile = await utils.loadShaders('wireframe-shaders.wgsl');
-        const shaderModule = gpuDevice.createShaderModule({ code: shaderFile });
+        this.#shaderModule = gpuDevice.createShaderModule({ code: shaderFile });
+
+        this.#createRenderPipeline();
+        this.#wireframeIndexBuffer = this.#createIndexBuffer(gpuDevice, meshData);
+    }
+
+    /**
+     * Creates the render pipeline for the sample count of the render targets and the BindGroups
+     * that use the pipeline.
+     */
+    #createRenderPipeline() {
+        const gpuDevice = this.#gpuDevice;
+        this.#sampleCount = this.#renderTargets.sampleCount;
 
         this.#renderPipeline = gpuDevice.createRenderPipeline({
             vertex: {
-                module: shaderModule,
+                module: this.#shaderModule,
                 entryPoint: 'vertex_main',
-                buffers: meshData.vertexBufferLayout
+                buffers: this.#meshData.vertexBufferLayout
             },
             fragment: {
-                module: shaderModule,
+                module: this.#shaderModule,
                 entryPoint: 'fragment_main',
                 targets: [{ format: navigator.gpu.getPreferredCanvasFormat() }]
             },
             primitive: {
                 topology: 'line-list',
             },
+            multisample: {
+                count: this.#sampleCount,
+            },
             layout: 'auto',
             // Enable depth testing so that only those wireframes are rendered that are not occluded.
             depthStencil: {
@@ -42,33 +63,37 @@ export class WireframeRenderPass {
         });
 
         this.#uniformsBindGroup = utils.createBindGroup(gpuDevice, this.#renderPipeline, 0, [
-            { buffer: camera.buffer }
+            { buffer: this.#camera.buffer }
         ]);
 
         // Create BindGroups for the model matrics:
-        this.#modelMatrixBindGroups = meshData.modelMatrices.map(
+        this.#modelMatrixBindGroups = this.#meshData.modelMatrices.map(
             m => m.createBindGroup(this.#renderPipeline, 1)
         );
-
-        this.#wireframeIndexBuffer = this.#createIndexBuffer(gpuDevice, meshData.meshList);
     }
 
-    #createIndexBuffer(gpuDevice, meshList) {
-        const totalNumVertices = meshList.map(m => m.vertexCount).reduce((a, b) => a + b, 0);
+    /**
+     * Creates an index buffer for a line list that contains the three edges of every triangle.
+     * The lines of the triangle with the index position i in the mesh index buffer start at
+     * position 2 * i in the line index buffer.
+     */
+    #createIndexBuffer(gpuDevice, meshData) {
+        const numTriangleIndices = meshData.meshList.map(m => m.indexCount).reduce((a, b) => a + b, 0);
+        const indexArrayType = meshData.indices.constructor;
+        const content = new indexArrayType(numTriangleIndices * 2);
+        const indices = meshData.indices;
+        for (var i = 0; i < numTriangleIndices; i += 3) {
+            content.set([
+                indices[i], indices[i + 1],
+                indices[i + 1], indices[i + 2],
+                indices[i + 2], indices[i],
+            ], i * 2);
+        }
         const buffer = gpuDevice.createBuffer({
-            size: totalNumVertices * 2 * utils.u16ByteLength,
+            size: content.byteLength,
             usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST,
         });
-        let content = []
-        for (var i = 0; i < totalNumVertices; i += 3) {
-            content.push(i);
-            content.push(i + 1);
-            content.push(i + 1);
-            content.push(i + 2);
-            content.push(i + 2);
-            content.push(i);
-        }
-        utils.copyToBuffer(gpuDevice, buffer, new Uint16Array(content));
+        utils.copyToBuffer(gpuDevice, buffer, content);
         return buffer;
     }
 
@@ -77,19 +102,24 @@ export class WireframeRenderPass {
      * 
      * @param {GPUCanvasContext} drawingContext the canvas on which the frame is drawn
      * @param {GPUCommandEncoder} commandEncoder the command encoder to send commands to the GPU
-     * @param {number} firstVertexToDraw the first vertex to draw
-     * @param {number} numVerticesToDraw the number of vertices to draw
+     * @param {number} firstIndexToDraw the position of the first index in the mesh index buffer
+     *                                   of the triangles to draw
+     * @param {number} numIndicesToDraw the number of indices of the triangles to draw
      */
-    renderFrame(drawingContext, commandEncoder, firstVertexToDraw, numVerticesToDraw) {
+    renderFrame(drawingContext, commandEncoder, firstIndexToDraw, numIndicesToDraw) {
+        if (this.#sampleCount != this.#renderTargets.sampleCount) {
+            this.#createRenderPipeline();
+        }
+
         const passEncoder = commandEncoder.beginRenderPass({
             colorAttachments: [{
+                ...this.#renderTargets.getColorAttachmentViews(drawingContext),
                 clearValue: [0, 0, 0, 1],
                 loadOp: 'load',
                 storeOp: 'store',
-                view: drawingContext.getCurrentTexture().createView()
             }],
             depthStencilAttachment: {
-                view: this.#depthTexture.createView(),
+                view: this.#renderTargets.depthTexture.createView(),
                 depthClearValue: 1.0,
                 depthLoadOp: 'load',
                 depthStoreOp: 'store',
@@ -98,7 +128,7 @@ export class WireframeRenderPass {
 
         passEncoder.setPipeline(this.#renderPipeline);
         passEncoder.setVertexBuffer(0, this.#meshData.vertexBuffer);
-        passEncoder.setIndexBuffer(this.#wireframeIndexBuffer, "uint16");
+        passEncoder.setIndexBuffer(this.#wireframeIndexBuffer, this.#meshData.indexFormat);
         passEncoder.setBindGroup(this.#uniformsBindGroup.number, this.#uniformsBindGroup.group);
 
         // Draw the meshes
@@ -108,12 +138,12 @@ export class WireframeRenderPass {
             passEncoder.setBindGroup(bindGroup.number, bindGroup.group);
 
             const mesh = meshList[i];
-            const firstVertex = Math.max(firstVertexToDraw, mesh.firstVertex);
-            const lastVertex = Math.min(firstVertexToDraw + numVerticesToDraw, mesh.firstVertex +  mesh.vertexCount);
-            if(lastVertex <= firstVertex) {
+            const firstIndex = Math.max(firstIndexToDraw, mesh.firstIndex);
+            const lastIndex = Math.min(firstIndexToDraw + numIndicesToDraw, mesh.firstIndex + mesh.indexCount);
+            if (lastIndex <= firstIndex) {
                 continue;
             }
-            passEncoder.drawIndexed((lastVertex - firstVertex) * 2, 1, firstVertex * 2);
+            passEncoder.drawIndexed((lastIndex - firstIndex) * 2, 1, firstIndex * 2, mesh.firstVertex);
         }
 
         // End the render pass
@@ -0,0 +1,97 @@
+// The fullscreen vertex shader is defined in fullscreen.wgsl, which is prepended to this file.
+
+struct BloomParams {
+    // Colors brighter than the threshold cause bloom; the knee softens the transition.
+    threshold: f32,
+    knee: f32,
+    // The radius of the upsampling filter in pixels of the source texture
+    radius: f32,
+}
+@group(0) @binding(0) var sourceSampler: sampler;
+@group(0) @binding(1) var sourceTexture: texture_2d<f32>;
+@group(0) @binding(2) var<uniform> params: BloomParams;
+
+// The bloom is calculated like in "Next Generation Post Processing in Call of Duty: Advanced Warfare"
+// by Jorge Jimenez: the bright parts of the scene are downsampled to a chain of mip levels, which are
+// upsampled again and added to each other. This results in a wide and stable blur.
+
+fn sampleSource(texCoord: vec2f, offset: vec2f) -> vec3f {
+    return textureSampleLevel(sourceTexture, sourceSampler, texCoord + offset, 0.0).rgb;
+}
+
+fn luminance(color: vec3f) -> f32 {
+    return dot(color, vec3(0.2126, 0.7152, 0.0722));
+}
+
+// Downsamples the source texture with 13 samples that are combined as 5 overlapping boxes.
+// The first downsampling weighs the boxes by their brightness (Karis average), so that single
+// very bright pixels do not cause flickering.
+fn downsample(texCoord: vec2f, useKarisAverage: bool) -> vec3f {
+    let t = 1.0 / vec2f(textureDimensions(sourceTexture));
+    let a = sampleSource(texCoord, t * vec2(-2.0, -2.0));
+    let b = sampleSource(texCoord, t * vec2(0.0, -2.0));
+    let c = sampleSource(texCoord, t * vec2(2.0, -2.0));
+    let d = sampleSource(texCoord, t * vec2(-2.0, 0.0));
+    let e = sampleSource(texCoord, vec2(0.0, 0.0));
+    let f = sampleSource(texCoord, t * vec2(2.0, 0.0));
+    let g = sampleSource(texCoord, t * vec2(-2.0, 2.0));
+    let h = sampleSource(texCoord, t * vec2(0.0, 2.0));
+    let i = sampleSource(texCoord, t * vec2(2.0, 2.0));
+    let j = sampleSource(texCoord, t * vec2(-1.0, -1.0));
+    let k = sampleSource(texCoord, t * vec2(1.0, -1.0));
+    let l = sampleSource(texCoord, t * vec2(-1.0, 1.0));
+    let m = sampleSource(texCoord, t * vec2(1.0, 1.0));
+
+    let boxes = array<vec3f, 5>(
+        (j + k + l + m) * 0.25,
+        (a + b + d + e) * 0.25,
+        (b + c + e + f) * 0.25,
+        (d + e + g + h) * 0.25,
+        (e + f + h + i) * 0.25,
+    );
+    let boxWeights = array<f32, 5>(0.5, 0.125, 0.125, 0.125, 0.125);
+    var color = vec3(0.0);
+    var weightSum = 0.0;
+    for (var n = 0; n < 5; n += 1) {
+        var weight = boxWeights[n];
+        if useKarisAverage {
+            weight /= 1.0 + luminance(boxes[n]);
+        }
+        color += boxes[n] * weight;
+        weightSum += weight;
+    }
+    return color / weightSum;
+}
+
+// Removes the colors below the threshold with a smooth transition.
+fn applyThreshold(color: vec3f) -> vec3f {
+    let brightness = max(color.r, max(color.g, color.b));
+    var soft = clamp(brightness - params.threshold + params.knee, 0.0, 2.0 * params.knee);
+    soft = soft * soft / (4.0 * params.knee + 0.00001);
+    let contribution = max(soft, brightness - params.threshold) / max(brightness, 0.00001);
+    return color * contribution;
+}
+
+// Downsamples the HDR scene to the first mip level of the bloom texture.
+@fragment
+fn fragment_downsample_first(in: VertexOut) -> @location(0) vec4f {
+    return vec4(applyThreshold(downsample(in.texCoord, true)), 1.0);
+}
+
+// Downsamples a mip level of the bloom texture to the next mip level.
+@fragment
+fn fragment_downsample(in: VertexOut) -> @location(0) vec4f {
+    return vec4(downsample(in.texCoord, false), 1.0);
+}
+
+// Upsamples a mip level with a 3x3 tent filter. The result is added to the target by blending.
+@fragment
+fn fragment_upsample(in: VertexOut) -> @location(0) vec4f {
+    let t = params.radius / vec2f(textureDimensions(sourceTexture));
+    var color = sampleSource(in.texCoord, vec2(0.0, 0.0)) * 4.0;
+    color += (sampleSource(in.texCoord, t * vec2(0.0, -1.0)) + sampleSource(in.texCoord, t * vec2(-1.0, 0.0))
+        + sampleSource(in.texCoord, t * vec2(1.0, 0.0)) + sampleSource(in.texCoord, t * vec2(0.0, 1.0))) * 2.0;
+    color += sampleSource(in.texCoord, t * vec2(-1.0, -1.0)) + sampleSource(in.texCoord, t * vec2(1.0, -1.0))
+        + sampleSource(in.texCoord, t * vec2(-1.0, 1.0)) + sampleSource(in.texCoord, t * vec2(1.0, 1.0));
+    return vec4(color / 16.0, 1.0);
+}
\ No newline at end of file
@@ -0,0 +1,42 @@
+// The sampling functions are defined in sampling.wgsl, which is prepended to this file.
+
+// The scale (red) and bias (green) of the Fresnel reflectance at normal incidence for each
+// angle between normal and view direction (x) and roughness (y)
+@group(0) @binding(0) var brdfLutOutput: texture_storage_2d<rgba16float, write>;
+
+const BRDF_SAMPLE_COUNT = 512u;
+
+// Integrates the specular part of the Cook-Torrance BRDF for the split-sum approximation
+// (see "Real Shading in Unreal Engine 4", Karis). The result does not depend on the environment,
+// so it is calculated once for all environment maps.
+@compute @workgroup_size(8, 8)
+fn compute_brdf_lut(@builtin(global_invocation_id) id: vec3u) {
+    let size = textureDimensions(brdfLutOutput);
+    if any(id.xy >= size) {
+        return;
+    }
+    let nDotV = (f32(id.x) + 0.5) / f32(size.x);
+    let roughness = (f32(id.y) + 0.5) / f32(size.y);
+    let viewDirection = vec3(sqrt(1.0 - nDotV * nDotV), 0.0, nDotV);
+    // The geometry function uses k = alpha / 2 for image-based lighting.
+    let k = roughness * roughness / 2.0;
+
+    var scale = 0.0;
+    var bias = 0.0;
+    for (var i = 0u; i < BRDF_SAMPLE_COUNT; i += 1) {
+        let halfway = importanceSampleGgx(hammersley(i, BRDF_SAMPLE_COUNT), roughness);
+        let lightDirection = normalize(2.0 * dot(viewDirection, halfway) * halfway - viewDirection);
+        let nDotL = saturate(lightDirection.z);
+        if nDotL > 0.0 {
+            let nDotH = saturate(halfway.z);
+            let vDotH = saturate(dot(viewDirection, halfway));
+            let geometry = (nDotV / (nDotV * (1.0 - k) + k)) * (nDotL / (nDotL * (1.0 - k) + k));
+            let visibility = geometry * vDotH / (nDotH * nDotV);
+            let fresnel = pow(1.0 - vDotH, 5.0);
+            scale += (1.0 - fresnel) * visibility;
+            bias += fresnel * visibility;
+        }
+    }
+    let count = f32(BRDF_SAMPLE_COUNT);
+    textureStore(brdfLutOutput, id.xy, vec4(scale / count, bias / count, 0.0, 1.0));
+}
\ No newline at end of file
@@ -0,0 +1,53 @@
+// The ClusterParams struct and findCluster() are defined in clusters.wgsl, which is prepended to this file.
+
+struct Camera {
+    // The View-Projection matrix
+    vpMatrix: mat4x4f,
+    // The position of the camera in world space
+    cameraPosition: vec3f,
+}
+@group(0) @binding(0) var<uniform> camera : Camera;
+
+struct ModelMatrices {
+    modelMatrix: mat4x4f,
+    normalMatrix: mat3x3f,
+}
+@group(1) @binding(0) var<uniform> matrices : ModelMatrices;
+
+@group(2) @binding(0) var<uniform> clusterParams: ClusterParams;
+// For each cluster the number of lights followed by the indices of the lights
+@group(2) @binding(1) var<storage, read> clusterLights: array<u32>;
+
+struct VertexOut {
+    @builtin(position) clipPosition: vec4f,
+    // The distance from the camera plane
+    @location(0) depth: f32,
+}
+
+@vertex
+fn vertex_main(@location(0) modelPosition: vec3f) -> VertexOut {
+    var out: VertexOut;
+    out.clipPosition = camera.vpMatrix * matrices.modelMatrix * vec4(modelPosition, 1.0);
+    out.depth = out.clipPosition.w;
+
+    // Move the surface a little bit closer to the camera so that it passes the depth buffer test
+    // (see wireframe-shaders.wgsl).
+    let ndcPositionZ = out.clipPosition.z / out.clipPosition.w;
+    out.clipPosition.z = (ndcPositionZ - 0.001 * (1 - ndcPositionZ)) * out.clipPosition.w;
+    return out;
+}
+
+// Returns the color that shows the number of lights in the cluster of a fragment:
+// blue for no lights over green and yellow to red for 16 or more lights, and magenta for clusters
+// with more lights than fit into them, whose lights beyond the maximum are not shaded.
+// The alpha blends the heatmap half over the tone mapped scene.
+@fragment
+fn fragment_main(in: VertexOut) -> @location(0) vec4f {
+    let clusterIndex = findCluster(clusterParams, in.clipPosition.xy, in.depth);
+    let lightCount = clusterLights[clusterIndex * (clusterParams.maxClusterLights + 1)];
+    if lightCount > clusterParams.maxClusterLights {
+        return vec4(1.0, 0.0, 1.0, 0.5);
+    }
+    let t = saturate(f32(lightCount) / min(f32(clusterParams.maxClusterLights), 16.0));
+    return vec4(saturate(vec3(2.0 * t - 0.5, 1.5 - abs(2.0 * t - 1.0) * 1.5, 1.0 - 2.0 * t)), 0.5);
+}
\ No newline at end of file
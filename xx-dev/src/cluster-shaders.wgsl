@@ -0,0 +1,88 @@
+// The Light and ClusterParams structs are defined in clusters.wgsl, which is prepended to this file.
+
+@group(0) @binding(0) var<uniform> params: ClusterParams;
+@group(0) @binding(1) var<storage, read> lights: array<Light>;
+// For each cluster the number of lights followed by the indices of the lights, then the number
+// of directional lights followed by their indices (see directionalLightsOffset())
+@group(0) @binding(2) var<storage, read_write> clusterLights: array<u32>;
+
+override LIGHT_TYPE_DIRECTIONAL: u32;
+
+// Returns the point in view space where the ray through a point of the screen (in NDC) has the given depth.
+fn pointAtDepth(ndc: vec2f, depth: f32) -> vec3f {
+    let nearPoint = params.inverseProjectionMatrix * vec4(ndc, 0.0, 1.0);
+    let p = nearPoint.xyz / nearPoint.w;
+    // The camera looks along -z in view space.
+    return p * (depth / -p.z);
+}
+
+// Checks if a sphere intersects an axis-aligned box.
+fn sphereIntersectsBox(center: vec3f, radius: f32, boxMin: vec3f, boxMax: vec3f) -> bool {
+    let closestPoint = clamp(center, boxMin, boxMax);
+    let d = center - closestPoint;
+    return dot(d, d) <= radius * radius;
+}
+
+// Assigns the lights to a cluster. The clusters divide the view frustum into tiles on the screen
+// and into slices whose depth grows exponentially, so that clusters far away are not too thin.
+// Point and spot lights are added to every cluster that intersects the sphere of their range.
+// The number of lights of a cluster also counts the lights that did not fit into the cluster, so
+// that the overflow can be shown. The first invocation writes the list of the directional lights.
+@compute @workgroup_size(64)
+fn cluster_main(@builtin(global_invocation_id) id: vec3u) {
+    let gridSize = params.gridSize;
+    let clusterIndex = id.x;
+    if clusterIndex >= gridSize.x * gridSize.y * gridSize.z {
+        return;
+    }
+    let cluster = vec3u(clusterIndex % gridSize.x, (clusterIndex / gridSize.x) % gridSize.y, clusterIndex / (gridSize.x * gridSize.y));
+
+    // The corners of the tile in NDC where y points up.
+    let tileMin = vec2f(cluster.xy) / vec2f(gridSize.xy);
+    let tileMax = vec2f(cluster.xy + 1) / vec2f(gridSize.xy);
+    let ndcMin = vec2(tileMin.x * 2.0 - 1.0, 1.0 - tileMax.y * 2.0);
+    let ndcMax = vec2(tileMax.x * 2.0 - 1.0, 1.0 - tileMin.y * 2.0);
+    let depthRatio = params.zFar / params.zNear;
+    let nearDepth = params.zNear * pow(depthRatio, f32(cluster.z) / f32(gridSize.z));
+    let farDepth = params.zNear * pow(depthRatio, f32(cluster.z + 1) / f32(gridSize.z));
+
+    // The bounding box of the cluster in view space
+    var boxMin = vec3(1e30);
+    var boxMax = vec3(-1e30);
+    for (var i = 0; i < 4; i += 1) {
+        let ndc = vec2(select(ndcMin.x, ndcMax.x, (i & 1) != 0), select(ndcMin.y, ndcMax.y, (i & 2) != 0));
+        let nearPoint = pointAtDepth(ndc, nearDepth);
+        let farPoint = pointAtDepth(ndc, farDepth);
+        boxMin = min(boxMin, min(nearPoint, farPoint));
+        boxMax = max(boxMax, max(nearPoint, farPoint));
+    }
+
+    let offset = clusterIndex * (params.maxClusterLights + 1);
+    var lightCount = 0u;
+    for (var i: u32 = 0; i < params.lightCount; i += 1) {
+        let light = lights[i];
+        if light.lightType == LIGHT_TYPE_DIRECTIONAL {
+            continue;
+        }
+        let viewPosition = (params.viewMatrix * vec4(light.position, 1.0)).xyz;
+        if sphereIntersectsBox(viewPosition, light.range, boxMin, boxMax) {
+            if lightCount < params.maxClusterLights {
+                clusterLights[offset + 1 + lightCount] = i;
+            }
+            lightCount += 1;
+        }
+    }
+    clusterLights[offset] = lightCount;
+
+    if clusterIndex == 0 {
+        let directionalOffset = directionalLightsOffset(params);
+        var directionalCount = 0u;
+        for (var i: u32 = 0; i < params.lightCount; i += 1) {
+            if lights[i].lightType == LIGHT_TYPE_DIRECTIONAL {
+                clusterLights[directionalOffset + 1 + directionalCount] = i;
+                directionalCount += 1;
+            }
+        }
+        clusterLights[directionalOffset] = directionalCount;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,66 @@
+// The lights and the clusters of the view frustum that are shared by the shaders that assign the lights
+// to the clusters and the shaders that shade the scene. The file is prepended to the shader code of the
+// passes that use it.
+
+struct Light {
+    // The position of point and spot lights
+    position: vec3f,
+    // The type of the light (see LIGHT_TYPE_* constants)
+    lightType: u32,
+    color: vec3f,
+    // The range of point and spot lights
+    range: f32,
+    // The direction in which directional and spot lights shine
+    direction: vec3f,
+    ambientStrength: f32,
+    diffuseStrength: f32,
+    specularStrength: f32,
+    // The cosine of the angles of the inner and outer cone of spot lights
+    innerConeCos: f32,
+    outerConeCos: f32,
+    // The constant, linear and quadratic coefficients of the polynomial attenuation model
+    attenuationCoefficients: vec3f,
+    // The attenuation model of point and spot lights (see ATTENUATION_MODEL_* constants)
+    attenuationModel: u32,
+    // The index of the shadow map of the light or -1 if the light casts no shadows
+    shadowMapIndex: i32,
+    // The bias that is subtracted from the depth of a fragment in the shadow map
+    shadowDepthBias: f32,
+    // The distance by which a fragment is moved along its normal before it is looked up in the shadow map
+    shadowNormalBias: f32,
+    // The number of consecutive shadow maps of the light (the cascades of directional lights)
+    shadowMapCount: u32,
+}
+
+// The clusters of the view frustum (see LightClusterPass)
+struct ClusterParams {
+    viewMatrix: mat4x4f,
+    inverseProjectionMatrix: mat4x4f,
+    // The number of clusters in x (left to right), y (top to bottom) and z (near to far)
+    gridSize: vec3u,
+    // The maximal number of lights in a cluster
+    maxClusterLights: u32,
+    // The size of the render target in pixels
+    screenSize: vec2f,
+    zNear: f32,
+    zFar: f32,
+    // The number of lights in the light buffer that are used; the buffer can hold more lights.
+    lightCount: u32,
+}
+
+// Returns the index of the cluster that contains a fragment.
+// The depth is the distance of the fragment from the camera plane (the w of its clip position).
+fn findCluster(params: ClusterParams, fragmentCoord: vec2f, depth: f32) -> u32 {
+    let gridSize = params.gridSize;
+    let tile = min(vec2u(fragmentCoord / params.screenSize * vec2f(gridSize.xy)), gridSize.xy - 1);
+    let slice = log(depth / params.zNear) / log(params.zFar / params.zNear) * f32(gridSize.z);
+    let z = u32(clamp(slice, 0.0, f32(gridSize.z - 1)));
+    return tile.x + tile.y * gridSize.x + z * gridSize.x * gridSize.y;
+}
+
+// Returns the offset of the list of the directional lights, which is stored after the lists of the clusters.
+// Directional lights reach every fragment and are not assigned to the clusters.
+fn directionalLightsOffset(params: ClusterParams) -> u32 {
+    let gridSize = params.gridSize;
+    return gridSize.x * gridSize.y * gridSize.z * (params.maxClusterLights + 1);
+}
\ No newline at end of file
@@ -0,0 +1,15 @@
+// Helpers for cube maps that are shared by the shaders that create or sample cube maps.
+// The file is prepended to the shader code of the passes that use it.
+
+// Returns the direction of a texel of a cube map face (see "Cube Map Face Selection" in the
+// Vulkan specification). u and v are between -1 and 1; v points down in the face.
+fn cubeFaceDirection(face: u32, u: f32, v: f32) -> vec3f {
+    switch face {
+        case 0u: { return normalize(vec3(1.0, -v, -u)); }
+        case 1u: { return normalize(vec3(-1.0, -v, u)); }
+        case 2u: { return normalize(vec3(u, 1.0, v)); }
+        case 3u: { return normalize(vec3(u, -1.0, -v)); }
+        case 4u: { return normalize(vec3(u, -v, 1.0)); }
+        default: { return normalize(vec3(-u, -v, -1.0)); }
+    }
+}
\ No newline at end of file
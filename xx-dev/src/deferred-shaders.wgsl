@@ -0,0 +1,135 @@
+// The lighting pass of the deferred renderer. The lights and the illumination models are defined
+// in lighting.wgsl and the fullscreen vertex shader in fullscreen.wgsl, which are prepended to this file.
+
+struct Camera {
+    // The View-Projection matrix
+    vpMatrix: mat4x4f,
+    // The position of the camera in world space
+    cameraPosition: vec3f,
+    // The inverse of the View-Projection matrix
+    inverseVpMatrix: mat4x4f,
+}
+@group(0) @binding(0) var<uniform> camera : Camera;
+
+struct RenderOptions {
+    colorTextureMode: i32,
+    specularTextureMode: i32,
+    normalTextureMode: i32,
+    // 1 if fragments are tinted by the shadow cascade of the first directional light
+    showShadowCascades: i32,
+    // If the screen-space ambient occlusion is used or shown (like the texture modes)
+    ambientOcclusionMode: i32,
+    // If the image-based lighting is used or shown without the lights (like the texture modes)
+    environmentLightingMode: i32,
+}
+@group(0) @binding(1) var<uniform> renderOptions : RenderOptions;
+// The screen-space ambient occlusion of each pixel in the red channel
+@group(0) @binding(2) var ambientOcclusionTexture: texture_2d<f32>;
+// The ambient occlusion before it was blurred, which is shown in the exclusive mode
+@group(0) @binding(3) var rawAmbientOcclusionTexture: texture_2d<f32>;
+
+// The G-buffer (see gbuffer-shaders.wgsl)
+@group(1) @binding(0) var albedoTexture: texture_2d<f32>;
+@group(1) @binding(1) var normalsTexture: texture_2d<f32>;
+@group(1) @binding(2) var materialTexture: texture_2d<f32>;
+@group(1) @binding(3) var emissiveTexture: texture_2d<f32>;
+@group(1) @binding(4) var depthTexture: texture_depth_2d;
+
+override TEXTURE_MODE_NORMAL = 0;
+override TEXTURE_MODE_DISABLED = 1;
+override TEXTURE_MODE_EXCLUSICE = 2;
+
+// The flags in the alpha channel of the emissive texture of the G-buffer
+const FLAG_RECEIVE_SHADOW = 1u;
+const FLAG_UNLIT = 2u;
+
+// The color of pixels without a surface (like the clear color of the standard render pass);
+// it is covered by the skybox.
+const backgroundColor = vec4(0.033, 0.033, 0.033, 1.0);
+
+// Decodes a unit vector that was encoded by encodeNormal in gbuffer-shaders.wgsl.
+fn decodeNormal(e: vec2f) -> vec3f {
+    var n = vec3(e, 1.0 - abs(e.x) - abs(e.y));
+    let t = saturate(-n.z);
+    n.x += select(t, -t, n.x >= 0.0);
+    n.y += select(t, -t, n.y >= 0.0);
+    return normalize(n);
+}
+
+struct FragmentOut {
+    @location(0) color: vec4f,
+    // The depth of the G-buffer is written to the depth texture of the render targets,
+    // so that the debug overlays are hidden by the scene.
+    @builtin(frag_depth) depth: f32,
+}
+
+// The colors are linear HDR values that are tone mapped and converted to sRGB afterwards.
+@fragment
+fn fragment_main(in: VertexOut) -> FragmentOut {
+    let pixel = vec2u(in.position.xy);
+    var out: FragmentOut;
+    out.depth = textureLoad(depthTexture, pixel, 0);
+    if out.depth >= 1.0 {
+        out.color = backgroundColor;
+        return out;
+    }
+
+    if renderOptions.ambientOcclusionMode == TEXTURE_MODE_EXCLUSICE {
+        let rawAmbientOcclusion = textureLoad(rawAmbientOcclusionTexture, pixel, 0).r;
+        out.color = vec4(rawAmbientOcclusion, rawAmbientOcclusion, rawAmbientOcclusion, 1.0);
+        return out;
+    }
+    var ambientOcclusion = 1.0;
+    if renderOptions.ambientOcclusionMode != TEXTURE_MODE_DISABLED {
+        ambientOcclusion = textureLoad(ambientOcclusionTexture, pixel, 0).r;
+    }
+
+    let emissive = textureLoad(emissiveTexture, pixel, 0);
+    let flags = u32(emissive.a);
+    if (flags & FLAG_UNLIT) != 0 {
+        out.color = vec4(emissive.rgb, 1.0);
+        return out;
+    }
+
+    // Reconstruct the world position of the pixel from its depth.
+    let texCoord = in.position.xy / vec2f(textureDimensions(depthTexture));
+    let ndcPosition = vec4(texCoord.x * 2.0 - 1.0, 1.0 - texCoord.y * 2.0, out.depth, 1.0);
+    let worldPosition = camera.inverseVpMatrix * ndcPosition;
+    let position = worldPosition.xyz / worldPosition.w;
+
+    let albedo = textureLoad(albedoTexture, pixel, 0);
+    let normals = textureLoad(normalsTexture, pixel, 0);
+    let material = textureLoad(materialTexture, pixel, 0);
+    let geometryNormal = decodeNormal(normals.zw);
+
+    var surface: Surface;
+    surface.shadingModel = u32(material.a);
+    surface.normal = decodeNormal(normals.xy);
+    surface.viewDirection = normalize(camera.cameraPosition - position);
+    surface.specularStrength = material.r;
+    surface.specularShininess = material.g;
+    surface.baseColor = albedo.rgb;
+    surface.metallic = material.r;
+    surface.roughness = material.g;
+    surface.occlusion = material.b * ambientOcclusion;
+    surface.receiveShadow = (flags & FLAG_RECEIVE_SHADOW) != 0;
+
+    let clusterIndex = findCluster(clusterParams, in.position.xy, (camera.vpMatrix * vec4(position, 1.0)).w);
+    var lightColor = vec3(0.0, 0.0, 0.0);
+    if renderOptions.environmentLightingMode != TEXTURE_MODE_EXCLUSICE {
+        lightColor = calcClusterLights(clusterIndex, position, geometryNormal, surface);
+    }
+    if renderOptions.environmentLightingMode != TEXTURE_MODE_DISABLED {
+        lightColor += calcEnvironmentLight(surface);
+    }
+    if renderOptions.showShadowCascades != 0 {
+        lightColor *= calcShadowCascadeTint(position);
+    }
+
+    // The Cook-Torrance model already contains the base color.
+    if surface.shadingModel != SHADING_MODEL_METALLIC_ROUGHNESS {
+        lightColor *= albedo.rgb;
+    }
+    out.color = vec4(lightColor + emissive.rgb, 1.0);
+    return out;
+}
\ No newline at end of file
@@ -0,0 +1,140 @@
+// The compute shaders that prepare the environment map of the sky for image-based lighting.
+// The cube map helpers and the sampling functions are defined in cubemap.wgsl and sampling.wgsl,
+// which are prepended to this file.
+// All cube maps are written as 2d arrays with one layer per face; the face is the z of the invocation.
+
+// Returns the direction of the center of a texel of a cube map face.
+fn texelDirection(id: vec3u, size: u32) -> vec3f {
+    let uv = (vec2f(id.xy) + 0.5) / f32(size) * 2.0 - 1.0;
+    return cubeFaceDirection(id.z, uv.x, uv.y);
+}
+
+// Copying the sky: ------------------------------------------------------------
+struct EnvironmentParams {
+    // The factor that is multiplied with the colors of the sky (see Skybox)
+    intensity: f32,
+}
+@group(0) @binding(0) var skySampler: sampler;
+@group(0) @binding(1) var skyTexture: texture_cube<f32>;
+@group(0) @binding(2) var environmentOutput: texture_storage_2d_array<rgba16float, write>;
+@group(0) @binding(3) var<uniform> environmentParams: EnvironmentParams;
+
+// Copies the sky to the first mip level of the environment map, whose mip levels are sampled
+// by the convolutions to avoid aliasing.
+@compute @workgroup_size(8, 8)
+fn compute_environment(@builtin(global_invocation_id) id: vec3u) {
+    let size = textureDimensions(environmentOutput).x;
+    if any(id.xy >= vec2(size)) {
+        return;
+    }
+    let color = textureSampleLevel(skyTexture, skySampler, texelDirection(id, size), 0.0).rgb;
+    textureStore(environmentOutput, id.xy, id.z, vec4(color * environmentParams.intensity, 1.0));
+}
+
+// Downsampling the environment map: -------------------------------------------
+@group(1) @binding(0) var downsampleInput: texture_2d_array<f32>;
+@group(1) @binding(1) var downsampleOutput: texture_storage_2d_array<rgba16float, write>;
+
+// Renders a mip level of the environment map by averaging 2x2 texels of the previous level.
+@compute @workgroup_size(8, 8)
+fn compute_downsample(@builtin(global_invocation_id) id: vec3u) {
+    if any(id.xy >= textureDimensions(downsampleOutput)) {
+        return;
+    }
+    let texel = id.xy * 2;
+    let color = textureLoad(downsampleInput, texel, id.z, 0)
+        + textureLoad(downsampleInput, texel + vec2(1, 0), id.z, 0)
+        + textureLoad(downsampleInput, texel + vec2(0, 1), id.z, 0)
+        + textureLoad(downsampleInput, texel + vec2(1, 1), id.z, 0);
+    textureStore(downsampleOutput, id.xy, id.z, color * 0.25);
+}
+
+// Diffuse irradiance: ---------------------------------------------------------
+@group(2) @binding(0) var irradianceSampler: sampler;
+@group(2) @binding(1) var irradianceEnvironment: texture_cube<f32>;
+@group(2) @binding(2) var irradianceOutput: texture_storage_2d_array<rgba16float, write>;
+
+// Integrates the light of the environment over the hemisphere around each direction weighted by
+// the cosine of the angle. The result is divided by PI, so it only has to be multiplied with the
+// diffuse color of a surface.
+@compute @workgroup_size(8, 8)
+fn compute_irradiance(@builtin(global_invocation_id) id: vec3u) {
+    let size = textureDimensions(irradianceOutput).x;
+    if any(id.xy >= vec2(size)) {
+        return;
+    }
+    let normal = texelDirection(id, size);
+    let tangentToWorld = tangentSpace(normal);
+
+    // The samples are about 3 degrees apart, so a coarse mip level is enough.
+    const sampleDelta = 0.05;
+    let level = max(f32(textureNumLevels(irradianceEnvironment)) - 5.0, 0.0);
+    var irradiance = vec3(0.0);
+    var sampleCount = 0.0;
+    for (var phi = 0.0; phi < 2.0 * PI; phi += sampleDelta) {
+        for (var theta = 0.0; theta < 0.5 * PI; theta += sampleDelta) {
+            let direction = vec3(sin(theta) * cos(phi), sin(theta) * sin(phi), cos(theta));
+            let color = textureSampleLevel(
+                irradianceEnvironment, irradianceSampler, tangentToWorld * direction, level
+            ).rgb;
+            // The sine compensates for the smaller area of the samples near the pole.
+            irradiance += color * cos(theta) * sin(theta);
+            sampleCount += 1.0;
+        }
+    }
+    textureStore(irradianceOutput, id.xy, id.z, vec4(PI * irradiance / sampleCount, 1.0));
+}
+
+// Prefiltered specular reflection: --------------------------------------------
+struct PrefilterParams {
+    // The roughness of the mip level that is rendered
+    roughness: f32,
+}
+@group(3) @binding(0) var prefilterSampler: sampler;
+@group(3) @binding(1) var prefilterEnvironment: texture_cube<f32>;
+@group(3) @binding(2) var prefilterOutput: texture_storage_2d_array<rgba16float, write>;
+@group(3) @binding(3) var<uniform> prefilterParams: PrefilterParams;
+
+const PREFILTER_SAMPLE_COUNT = 256u;
+
+// Convolves the environment with the GGX distribution of a roughness. Like in "Real Shading in
+// Unreal Engine 4" (Karis) the view direction is assumed to be the normal. Each sample reads the mip
+// level that matches the solid angle that it covers (see "GPU-Based Importance Sampling", GPU Gems 3).
+@compute @workgroup_size(8, 8)
+fn compute_prefiltered(@builtin(global_invocation_id) id: vec3u) {
+    let size = textureDimensions(prefilterOutput).x;
+    if any(id.xy >= vec2(size)) {
+        return;
+    }
+    let normal = texelDirection(id, size);
+    let roughness = prefilterParams.roughness;
+    // A perfect mirror reflects the environment unchanged.
+    if roughness == 0.0 {
+        let color = textureSampleLevel(prefilterEnvironment, prefilterSampler, normal, 0.0).rgb;
+        textureStore(prefilterOutput, id.xy, id.z, vec4(color, 1.0));
+        return;
+    }
+
+    let tangentToWorld = tangentSpace(normal);
+    let environmentSize = f32(textureDimensions(prefilterEnvironment).x);
+    let texelSolidAngle = 4.0 * PI / (6.0 * environmentSize * environmentSize);
+    let alpha2 = pow(roughness, 4.0);
+    var color = vec3(0.0);
+    var totalWeight = 0.0;
+    for (var i = 0u; i < PREFILTER_SAMPLE_COUNT; i += 1) {
+        let halfway = tangentToWorld * importanceSampleGgx(hammersley(i, PREFILTER_SAMPLE_COUNT), roughness);
+        let lightDirection = normalize(2.0 * dot(normal, halfway) * halfway - normal);
+        let nDotL = dot(normal, lightDirection);
+        if nDotL > 0.0 {
+            // With the view direction as normal the pdf is D(h) / 4.
+            let nDotH = max(dot(normal, halfway), 0.0);
+            let d = nDotH * nDotH * (alpha2 - 1.0) + 1.0;
+            let pdf = alpha2 / (PI * d * d) / 4.0;
+            let sampleSolidAngle = 1.0 / (f32(PREFILTER_SAMPLE_COUNT) * pdf + 1e-4);
+            let level = 0.5 * log2(sampleSolidAngle / texelSolidAngle) + 1.0;
+            color += textureSampleLevel(prefilterEnvironment, prefilterSampler, lightDirection, level).rgb * nDotL;
+            totalWeight += nDotL;
+        }
+    }
+    textureStore(prefilterOutput, id.xy, id.z, vec4(color / totalWeight, 1.0));
+}
\ No newline at end of file
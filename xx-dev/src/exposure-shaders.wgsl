@@ -0,0 +1,88 @@
+struct ExposureParams {
+    // The range of the luminance that is recorded in the histogram as log2(luminance)
+    minLogLuminance: f32,
+    logLuminanceRange: f32,
+    // The number of pixels of the frame
+    pixelCount: f32,
+    // The part of the difference between the last and the current average luminance that
+    // is adapted in this frame; depends on the time since the last frame
+    adaptation: f32,
+}
+@group(0) @binding(0) var<uniform> params: ExposureParams;
+@group(0) @binding(1) var<storage, read_write> histogram: array<atomic<u32>, HISTOGRAM_BIN_COUNT>;
+
+const HISTOGRAM_BIN_COUNT = 256;
+
+// Histogram pass: ------------------------------------------------------------
+@group(1) @binding(0) var hdrTexture: texture_2d<f32>;
+
+var<workgroup> workgroupHistogram: array<atomic<u32>, HISTOGRAM_BIN_COUNT>;
+
+fn luminance(color: vec3f) -> f32 {
+    return dot(color, vec3(0.2126, 0.7152, 0.0722));
+}
+
+// Returns the histogram bin of a luminance. Bin 0 contains black pixels and the other
+// bins divide the luminance range logarithmically.
+fn luminanceToBin(l: f32) -> u32 {
+    if l < 0.0001 {
+        return 0u;
+    }
+    let logLuminance = saturate((log2(l) - params.minLogLuminance) / params.logLuminanceRange);
+    return u32(logLuminance * f32(HISTOGRAM_BIN_COUNT - 2) + 1.0);
+}
+
+// Every workgroup counts its pixels in the workgroup memory first, so that the global
+// histogram is only accessed once per bin and workgroup.
+@compute @workgroup_size(16, 16)
+fn histogram_main(
+    @builtin(global_invocation_id) globalId: vec3u,
+    @builtin(local_invocation_index) localIndex: u32
+) {
+    atomicStore(&workgroupHistogram[localIndex], 0u);
+    workgroupBarrier();
+
+    if all(globalId.xy < textureDimensions(hdrTexture)) {
+        let color = textureLoad(hdrTexture, globalId.xy, 0).rgb;
+        atomicAdd(&workgroupHistogram[luminanceToBin(luminance(color))], 1u);
+    }
+    workgroupBarrier();
+
+    atomicAdd(&histogram[localIndex], atomicLoad(&workgroupHistogram[localIndex]));
+}
+
+// Average pass: --------------------------------------------------------------
+struct Exposure {
+    // The average luminance the eye has adapted to
+    averageLuminance: f32,
+}
+@group(2) @binding(0) var<storage, read_write> exposure: Exposure;
+
+var<workgroup> weightedBins: array<u32, HISTOGRAM_BIN_COUNT>;
+
+// Calculates the average luminance from the histogram and resets the histogram for the next frame.
+// The average luminance changes slowly like the adaptation of the eye.
+@compute @workgroup_size(HISTOGRAM_BIN_COUNT)
+fn average_main(@builtin(local_invocation_index) localIndex: u32) {
+    let count = atomicLoad(&histogram[localIndex]);
+    weightedBins[localIndex] = count * localIndex;
+    atomicStore(&histogram[localIndex], 0u);
+    workgroupBarrier();
+
+    // Sum up the weighted bins.
+    for (var cutoff = u32(HISTOGRAM_BIN_COUNT / 2); cutoff > 0u; cutoff >>= 1u) {
+        if localIndex < cutoff {
+            weightedBins[localIndex] += weightedBins[localIndex + cutoff];
+        }
+        workgroupBarrier();
+    }
+
+    // Black pixels (bin 0) are ignored.
+    let nonBlackPixelCount = params.pixelCount - f32(count);
+    if localIndex == 0u && nonBlackPixelCount > 0.0 {
+        let averageBin = f32(weightedBins[0]) / nonBlackPixelCount - 1.0;
+        let averageLogLuminance = averageBin / f32(HISTOGRAM_BIN_COUNT - 2) * params.logLuminanceRange + params.minLogLuminance;
+        let averageLuminance = exp2(averageLogLuminance);
+        exposure.averageLuminance += (averageLuminance - exposure.averageLuminance) * params.adaptation;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,17 @@
+// The vertex shader of the passes that draw a fragment for every pixel of the render target, e.g. the
+// post-processing passes. The file is prepended to the shader code of the render passes that use it.
+
+struct VertexOut {
+    @builtin(position) position: vec4f,
+    // The position in the render target from (0, 0) at the top left to (1, 1) at the bottom right
+    @location(0) texCoord: vec2f,
+}
+
+// Creates a triangle that covers the entire render target without a vertex buffer.
+@vertex
+fn vertex_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOut {
+    var out: VertexOut;
+    out.texCoord = vec2f(f32((vertexIndex << 1) & 2), f32(vertexIndex & 2));
+    out.position = vec4f(out.texCoord * vec2(2.0, -2.0) + vec2(-1.0, 1.0), 0.0, 1.0);
+    return out;
+}
\ No newline at end of file
@@ -0,0 +1,146 @@
+// The fullscreen vertex shader is defined in fullscreen.wgsl, which is prepended to this file.
+
+@group(0) @binding(0) var sceneSampler: sampler;
+@group(0) @binding(1) var sceneTexture: texture_2d<f32>;
+
+// Fast Approximate Anti-Aliasing (FXAA) based on FXAA 3.11 by Timothy Lottes
+// (see http://blog.simonrodriguez.fr/articles/2016/07/implementing_fxaa.html).
+
+// Edges with a smaller contrast than max(EDGE_THRESHOLD_MIN, maxLuma * EDGE_THRESHOLD_MAX) are not anti-aliased.
+const EDGE_THRESHOLD_MIN = 0.0312;
+const EDGE_THRESHOLD_MAX = 0.125;
+// How much aliasing within a pixel is removed: 0.0 (none) to 1.0 (softer)
+const SUBPIXEL_QUALITY = 0.75;
+// The maximum number of steps when searching for the ends of an edge
+const ITERATIONS = 12;
+
+// Returns the number of pixels of a step when searching for the ends of an edge.
+// The steps get larger the farther away the end is.
+fn stepSize(iteration: i32) -> f32 {
+    if iteration < 5 {
+        return 1.0;
+    } else if iteration == 5 {
+        return 1.5;
+    } else if iteration < 10 {
+        return 2.0;
+    } else if iteration == 10 {
+        return 4.0;
+    }
+    return 8.0;
+}
+
+// The scene is already sRGB encoded, so the luma can be calculated without a conversion.
+fn luma(color: vec3f) -> f32 {
+    return dot(color, vec3(0.299, 0.587, 0.114));
+}
+
+fn lumaAt(texCoord: vec2f) -> f32 {
+    return luma(textureSampleLevel(sceneTexture, sceneSampler, texCoord, 0.0).rgb);
+}
+
+@fragment
+fn fragment_main(in: VertexOut) -> @location(0) vec4f {
+    let texCoord = in.texCoord;
+    let pixelSize = 1.0 / vec2f(textureDimensions(sceneTexture));
+    let colorCenter = textureSampleLevel(sceneTexture, sceneSampler, texCoord, 0.0);
+
+    // Skip pixels that are not on an edge.
+    let lumaCenter = luma(colorCenter.rgb);
+    let lumaUp = luma(textureSampleLevel(sceneTexture, sceneSampler, texCoord, 0.0, vec2i(0, -1)).rgb);
+    let lumaDown = luma(textureSampleLevel(sceneTexture, sceneSampler, texCoord, 0.0, vec2i(0, 1)).rgb);
+    let lumaLeft = luma(textureSampleLevel(sceneTexture, sceneSampler, texCoord, 0.0, vec2i(-1, 0)).rgb);
+    let lumaRight = luma(textureSampleLevel(sceneTexture, sceneSampler, texCoord, 0.0, vec2i(1, 0)).rgb);
+    let lumaMin = min(lumaCenter, min(min(lumaUp, lumaDown), min(lumaLeft, lumaRight)));
+    let lumaMax = max(lumaCenter, max(max(lumaUp, lumaDown), max(lumaLeft, lumaRight)));
+    let lumaRange = lumaMax - lumaMin;
+    if lumaRange < max(EDGE_THRESHOLD_MIN, lumaMax * EDGE_THRESHOLD_MAX) {
+        return colorCenter;
+    }
+
+    // Find out if the edge is horizontal or vertical.
+    let lumaUpLeft = luma(textureSampleLevel(sceneTexture, sceneSampler, texCoord, 0.0, vec2i(-1, -1)).rgb);
+    let lumaUpRight = luma(textureSampleLevel(sceneTexture, sceneSampler, texCoord, 0.0, vec2i(1, -1)).rgb);
+    let lumaDownLeft = luma(textureSampleLevel(sceneTexture, sceneSampler, texCoord, 0.0, vec2i(-1, 1)).rgb);
+    let lumaDownRight = luma(textureSampleLevel(sceneTexture, sceneSampler, texCoord, 0.0, vec2i(1, 1)).rgb);
+    let lumaUpDown = lumaUp + lumaDown;
+    let lumaLeftRight = lumaLeft + lumaRight;
+    let lumaLeftCorners = lumaUpLeft + lumaDownLeft;
+    let lumaRightCorners = lumaUpRight + lumaDownRight;
+    let lumaUpCorners = lumaUpLeft + lumaUpRight;
+    let lumaDownCorners = lumaDownLeft + lumaDownRight;
+    let edgeHorizontal = abs(-2.0 * lumaLeft + lumaLeftCorners) + abs(-2.0 * lumaCenter + lumaUpDown) * 2.0
+        + abs(-2.0 * lumaRight + lumaRightCorners);
+    let edgeVertical = abs(-2.0 * lumaUp + lumaUpCorners) + abs(-2.0 * lumaCenter + lumaLeftRight) * 2.0
+        + abs(-2.0 * lumaDown + lumaDownCorners);
+    let isHorizontal = edgeHorizontal >= edgeVertical;
+
+    // Find out on which side of the pixel the edge is. Side 1 is above or left of the pixel.
+    let luma1 = select(lumaLeft, lumaUp, isHorizontal);
+    let luma2 = select(lumaRight, lumaDown, isHorizontal);
+    let gradient1 = luma1 - lumaCenter;
+    let gradient2 = luma2 - lumaCenter;
+    let is1Steepest = abs(gradient1) >= abs(gradient2);
+    let gradientScaled = 0.25 * max(abs(gradient1), abs(gradient2));
+    var stepLength = select(pixelSize.x, pixelSize.y, isHorizontal);
+    var lumaLocalAverage: f32;
+    if is1Steepest {
+        stepLength = -stepLength;
+        lumaLocalAverage = 0.5 * (luma1 + lumaCenter);
+    } else {
+        lumaLocalAverage = 0.5 * (luma2 + lumaCenter);
+    }
+
+    // Move half a pixel towards the edge and search along the edge in both directions for its ends.
+    var edgeTexCoord = texCoord;
+    if isHorizontal {
+        edgeTexCoord.y += stepLength * 0.5;
+    } else {
+        edgeTexCoord.x += stepLength * 0.5;
+    }
+    let offset = select(vec2(0.0, pixelSize.y), vec2(pixelSize.x, 0.0), isHorizontal);
+    var texCoord1 = edgeTexCoord - offset;
+    var texCoord2 = edgeTexCoord + offset;
+    var lumaEnd1 = 0.0;
+    var lumaEnd2 = 0.0;
+    var reached1 = false;
+    var reached2 = false;
+    for (var i = 1; i < ITERATIONS && !(reached1 && reached2); i += 1) {
+        if !reached1 {
+            lumaEnd1 = lumaAt(texCoord1) - lumaLocalAverage;
+            reached1 = abs(lumaEnd1) >= gradientScaled;
+        }
+        if !reached2 {
+            lumaEnd2 = lumaAt(texCoord2) - lumaLocalAverage;
+            reached2 = abs(lumaEnd2) >= gradientScaled;
+        }
+        if !reached1 {
+            texCoord1 -= offset * stepSize(i);
+        }
+        if !reached2 {
+            texCoord2 += offset * stepSize(i);
+        }
+    }
+
+    // Move the pixel away from the closer end of the edge. The pixel is only moved if the luma at
+    // the end of the edge changes in the same direction as the luma of the pixel.
+    let distance1 = select(texCoord.y - texCoord1.y, texCoord.x - texCoord1.x, isHorizontal);
+    let distance2 = select(texCoord2.y - texCoord.y, texCoord2.x - texCoord.x, isHorizontal);
+    let isDirection1 = distance1 < distance2;
+    let pixelOffset = 0.5 - min(distance1, distance2) / (distance1 + distance2);
+    let isLumaCenterSmaller = lumaCenter < lumaLocalAverage;
+    let correctVariation = (select(lumaEnd2, lumaEnd1, isDirection1) < 0.0) != isLumaCenterSmaller;
+    var finalOffset = select(0.0, pixelOffset, correctVariation);
+
+    // Anti-aliasing of details that are smaller than a pixel
+    let lumaAverage = (2.0 * (lumaUpDown + lumaLeftRight) + lumaLeftCorners + lumaRightCorners) / 12.0;
+    let subPixelOffset = smoothstep(0.0, 1.0, saturate(abs(lumaAverage - lumaCenter) / lumaRange));
+    finalOffset = max(finalOffset, subPixelOffset * subPixelOffset * SUBPIXEL_QUALITY);
+
+    var finalTexCoord = texCoord;
+    if isHorizontal {
+        finalTexCoord.y += finalOffset * stepLength;
+    } else {
+        finalTexCoord.x += finalOffset * stepLength;
+    }
+    return textureSampleLevel(sceneTexture, sceneSampler, finalTexCoord, 0.0);
+}
\ No newline at end of file
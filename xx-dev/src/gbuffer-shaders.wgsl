@@ -0,0 +1,59 @@
+// The structs and the vertex shader are defined in mesh.wgsl, which is prepended to this file.
+
+// Fragment Shader: -----------------------------------------------------
+
+override TEXTURE_MODE_NORMAL = 0;
+override TEXTURE_MODE_DISABLED = 1;
+override TEXTURE_MODE_EXCLUSICE = 2;
+
+override SHADING_MODEL_METALLIC_ROUGHNESS: u32;
+
+// The flags in the alpha channel of the emissive texture of the G-buffer
+const FLAG_RECEIVE_SHADOW = 1u;
+// The fragment is not lit and the emissive color is its final color (used by the debug modes).
+const FLAG_UNLIT = 2u;
+
+// The G-buffer stores the properties of the surface at each pixel that are needed to calculate
+// the lighting in the deferred lighting pass.
+struct GBufferOut {
+    // The diffuse color (Blinn-Phong) or base color (metallic-roughness)
+    @location(0) albedo: vec4f,
+    // The octahedron encoded normal (including the normal map) and the normal of the geometry
+    @location(1) normals: vec4f,
+    // The specular strength and shininess (Blinn-Phong) or the metalness and roughness (metallic-roughness),
+    // the ambient occlusion of the material and the shading model
+    @location(2) material: vec4f,
+    // The emissive color and the flags (see FLAG_* constants)
+    @location(3) emissive: vec4f,
+}
+
+// Encodes a unit vector with two components by projecting it onto an octahedron
+// (see "A Survey of Efficient Representations for Independent Unit Vectors", Cigolle et al.).
+fn encodeNormal(n: vec3f) -> vec2f {
+    let p = n.xy / (abs(n.x) + abs(n.y) + abs(n.z));
+    if n.z < 0.0 {
+        return (1.0 - abs(p.yx)) * select(vec2(-1.0), vec2(1.0), p >= vec2(0.0));
+    }
+    return p;
+}
+
+// Writes the properties of the material at a fragment to the G-buffer.
+@fragment
+fn fragment_main(in: VertexOut) -> GBufferOut {
+    let materialSample = sampleMaterial(in.texCoord, in.texTangent, in.texBitangent, in.normal);
+    var out: GBufferOut;
+    if materialSample.showDebugColor {
+        out.emissive = vec4(materialSample.debugColor, f32(FLAG_UNLIT));
+        return out;
+    }
+
+    out.albedo = materialSample.color;
+    out.normals = vec4(encodeNormal(materialSample.normal), encodeNormal(normalize(in.normal)));
+    var properties = vec2(materialSample.specularStrength, material.specularShininess);
+    if material.shadingModel == SHADING_MODEL_METALLIC_ROUGHNESS {
+        properties = vec2(materialSample.metallic, materialSample.roughness);
+    }
+    out.material = vec4(properties, materialSample.occlusion, f32(material.shadingModel));
+    out.emissive = vec4(materialSample.emissive, f32(select(0u, FLAG_RECEIVE_SHADOW, matrices.receiveShadow != 0)));
+    return out;
+}
\ No newline at end of file
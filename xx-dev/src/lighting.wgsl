@@ -0,0 +1,344 @@
+// The lights, shadows and local illumination models that are shared by the shaders that shade the scene.
+// The file is prepended to the shader code of the render passes that use it; clusters.wgsl with the
+// Light struct is prepended to it.
+
+@group(2) @binding(0) var<storage, read> lights : array<Light>;
+
+struct ShadowMap {
+    // The View-Projection matrix of the light
+    vpMatrix: mat4x4f,
+    // The position and range of point lights
+    lightPosition: vec3f,
+    range: f32,
+}
+@group(2) @binding(1) var<storage, read> shadowMaps : array<ShadowMap>;
+@group(2) @binding(2) var shadowMapTexture: texture_depth_2d_array;
+@group(2) @binding(3) var shadowSampler: sampler_comparison;
+// The cube maps of point lights contain the distance to the light relative to its range.
+@group(2) @binding(4) var pointShadowMapTexture: texture_depth_cube_array;
+
+// The clusters of the view frustum with the lights that reach into them (see cluster-shaders.wgsl)
+@group(2) @binding(5) var<uniform> clusterParams: ClusterParams;
+// For each cluster the number of lights followed by the indices of the lights, then the number
+// of directional lights followed by their indices
+@group(2) @binding(6) var<storage, read> clusterLights: array<u32>;
+
+// The environment map of the sky for image-based lighting (see environment-shaders.wgsl)
+@group(2) @binding(7) var environmentSampler: sampler;
+// The irradiance of the diffuse light for each normal direction divided by PI
+@group(2) @binding(8) var irradianceTexture: texture_cube<f32>;
+// The specular reflection for each reflection direction; the roughness increases with the mip level.
+@group(2) @binding(9) var prefilteredTexture: texture_cube<f32>;
+// The scale (red) and bias (green) of the Fresnel reflectance for nDotV (x) and roughness (y)
+@group(2) @binding(10) var brdfLutTexture: texture_2d<f32>;
+
+override LIGHT_TYPE_POINT: u32;
+override LIGHT_TYPE_DIRECTIONAL: u32;
+override LIGHT_TYPE_SPOT: u32;
+override ATTENUATION_MODEL_POLYNOMIAL: u32;
+override ATTENUATION_MODEL_INVERSE_SQUARE: u32;
+override SHADING_MODEL_METALLIC_ROUGHNESS: u32;
+
+const PI = 3.14159265359;
+
+// The properties of the surface at a fragment that are needed to calculate the lighting.
+struct Surface {
+    // The shading model (see SHADING_MODEL_* constants)
+    shadingModel: u32,
+    normal: vec3f,
+    viewDirection: vec3f,
+    // Blinn-Phong model
+    specularStrength: f32,
+    specularShininess: f32,
+    // Metallic-roughness model
+    baseColor: vec3f,
+    metallic: f32,
+    roughness: f32,
+    // The ambient occlusion of the material and the screen-space ambient occlusion
+    occlusion: f32,
+    // If shadows are drawn on the surface
+    receiveShadow: bool,
+}
+
+// Calculates the color contribution of a light to a fragment.
+fn calcLight(light: Light, fragmentPosition: vec3f, surface: Surface, shadow: f32) -> vec3f {
+    if light.lightType == LIGHT_TYPE_DIRECTIONAL {
+        return calcLocalIllumination(light, -light.direction, surface, shadow);
+    }
+    if light.lightType == LIGHT_TYPE_SPOT {
+        return calcSpotLight(light, fragmentPosition, surface, shadow);
+    }
+    return calcPointLight(light, fragmentPosition, surface, shadow);
+}
+
+// Calculates the color contribution of a point light to a fragment.
+fn calcPointLight(light: Light, fragmentPosition: vec3f, surface: Surface, shadow: f32) -> vec3f {
+    let relativeLightPosition = light.position - fragmentPosition;
+    let lightDistance = length(relativeLightPosition);
+
+    if light.range < lightDistance {
+        return vec3(0.0, 0.0, 0.0);
+    }
+
+    let lightStrength = calcAttenuation(light, lightDistance);
+    let lightDirection = normalize(relativeLightPosition);
+    let pointShadow = shadow * calcPointShadow(light, fragmentPosition, surface.normal, surface.receiveShadow);
+    let lightColor = calcLocalIllumination(light, lightDirection, surface, pointShadow);
+    return lightColor * lightStrength;
+}
+
+// Calculates how much of a fragment is lit by a light (1.0) or in its shadow (0.0).
+// The shadow map is sampled with percentage-closer filtering (PCF) to get soft edges.
+// The shadows of point lights are calculated in calcPointShadow.
+fn calcShadow(light: Light, fragmentPosition: vec3f, fragmentNormal: vec3f, receiveShadow: bool) -> f32 {
+    if light.shadowMapIndex < 0 || !receiveShadow || light.lightType == LIGHT_TYPE_POINT {
+        return 1.0;
+    }
+
+    // Moving the fragment along the normal avoids shadow acne on surfaces that are almost
+    // parallel to the light direction.
+    let offsetPosition = fragmentPosition + fragmentNormal * light.shadowNormalBias;
+    let shadowMapIndex = findShadowMap(light, offsetPosition);
+    // Fragments outside of the shadow maps are not in a shadow.
+    if shadowMapIndex < 0 {
+        return 1.0;
+    }
+
+    let lightClipPosition = shadowMaps[shadowMapIndex].vpMatrix * vec4(offsetPosition, 1.0);
+    let ndcPosition = lightClipPosition.xyz / lightClipPosition.w;
+    // Convert the NDC coordinates to texture coordinates where y points down.
+    let texCoord = ndcPosition.xy * vec2(0.5, -0.5) + 0.5;
+    let depth = ndcPosition.z - light.shadowDepthBias;
+    let texelSize = 1.0 / vec2f(textureDimensions(shadowMapTexture));
+    var lit = 0.0;
+    for (var y = -1; y <= 1; y += 1) {
+        for (var x = -1; x <= 1; x += 1) {
+            lit += textureSampleCompareLevel(
+                shadowMapTexture, shadowSampler, texCoord + vec2f(f32(x), f32(y)) * texelSize,
+                shadowMapIndex, depth
+            );
+        }
+    }
+    return lit / 9.0;
+}
+
+// Returns the index of the shadow map of a light that contains a position or -1 if the position is
+// outside of the shadow maps. The cascades of directional lights are ordered from the most detailed
+// to the least detailed one, so the first cascade that contains the position is used.
+fn findShadowMap(light: Light, position: vec3f) -> i32 {
+    // Leave a border for the PCF samples.
+    let border = 4.0 / f32(textureDimensions(shadowMapTexture).x);
+    for (var i = 0; i < i32(light.shadowMapCount); i += 1) {
+        let lightClipPosition = shadowMaps[light.shadowMapIndex + i].vpMatrix * vec4(position, 1.0);
+        let ndcPosition = lightClipPosition.xyz / lightClipPosition.w;
+        if all(abs(ndcPosition.xy) < vec2(1.0 - border)) && ndcPosition.z <= 1.0 && lightClipPosition.w > 0.0 {
+            return light.shadowMapIndex + i;
+        }
+    }
+    return -1;
+}
+
+// The colors that tint the fragments of each shadow cascade in the debug mode.
+const shadowCascadeColors = array(
+    vec3f(1.0, 0.4, 0.4), vec3f(0.4, 1.0, 0.4), vec3f(0.4, 0.4, 1.0), vec3f(1.0, 1.0, 0.4),
+);
+
+// Returns the color by which a fragment is tinted to show the shadow cascade of the first
+// directional light that contains it.
+fn calcShadowCascadeTint(fragmentPosition: vec3f) -> vec3f {
+    let directionalOffset = directionalLightsOffset(clusterParams);
+    for (var i: u32 = 0; i < clusterLights[directionalOffset]; i += 1) {
+        let light = lights[clusterLights[directionalOffset + 1 + i]];
+        if light.shadowMapIndex >= 0 {
+            let cascade = findShadowMap(light, fragmentPosition) - light.shadowMapIndex;
+            if cascade < 0 {
+                return vec3(1.0, 1.0, 1.0);
+            }
+            return shadowCascadeColors[cascade % 4];
+        }
+    }
+    return vec3(1.0, 1.0, 1.0);
+}
+
+// Directions in which the cube map of a point light is sampled around a fragment to get soft edges.
+const pointShadowSampleOffsets = array(
+    vec3f(1, 1, 1), vec3f(1, -1, 1), vec3f(-1, -1, 1), vec3f(-1, 1, 1),
+    vec3f(1, 1, -1), vec3f(1, -1, -1), vec3f(-1, -1, -1), vec3f(-1, 1, -1),
+    vec3f(1, 1, 0), vec3f(1, -1, 0), vec3f(-1, -1, 0), vec3f(-1, 1, 0),
+    vec3f(1, 0, 1), vec3f(-1, 0, 1), vec3f(1, 0, -1), vec3f(-1, 0, -1),
+    vec3f(0, 1, 1), vec3f(0, -1, 1), vec3f(0, -1, -1), vec3f(0, 1, -1),
+);
+
+// Calculates how much of a fragment is lit by a point light (1.0) or in its shadow (0.0).
+// The cube map is sampled at several directions around the fragment (PCF) to get soft edges.
+fn calcPointShadow(light: Light, fragmentPosition: vec3f, fragmentNormal: vec3f, receiveShadow: bool) -> f32 {
+    if light.lightType != LIGHT_TYPE_POINT || light.shadowMapIndex < 0 || !receiveShadow {
+        return 1.0;
+    }
+
+    let offsetPosition = fragmentPosition + fragmentNormal * light.shadowNormalBias;
+    let lightToFragment = offsetPosition - light.position;
+    let lightDistance = length(lightToFragment);
+    let depth = lightDistance / light.range - light.shadowDepthBias;
+    // The samples are about 1.5 texels apart, so the radius grows with the distance to the light.
+    let sampleRadius = lightDistance * 3.0 / f32(textureDimensions(pointShadowMapTexture).x);
+    var lit = 0.0;
+    for (var i = 0; i < 20; i += 1) {
+        lit += textureSampleCompareLevel(
+            pointShadowMapTexture, shadowSampler, lightToFragment + pointShadowSampleOffsets[i] * sampleRadius,
+            light.shadowMapIndex, depth
+        );
+    }
+    return lit / 20.0;
+}
+
+// Calculates the factor by which the strength of a point or spot light decreases at a distance.
+fn calcAttenuation(light: Light, lightDistance: f32) -> f32 {
+    if light.attenuationModel == ATTENUATION_MODEL_POLYNOMIAL {
+        let c = light.attenuationCoefficients;
+        return 1.0 / (c.x + c.y * lightDistance + c.z * lightDistance * lightDistance);
+    }
+    if light.attenuationModel == ATTENUATION_MODEL_INVERSE_SQUARE {
+        // Limit the strength very close to the light (1cm) to avoid a division by zero.
+        let distanceSquared = max(lightDistance * lightDistance, 0.0001);
+        let window = saturate(1.0 - pow(lightDistance / light.range, 4.0));
+        return window * window / distanceSquared;
+    }
+    return (light.range - lightDistance) / light.range; // linear falloff
+}
+
+// Calculates the color contribution of a spot light to a fragment. A spot light is a point light
+// whose strength decreases smoothly from the inner cone to the outer cone.
+fn calcSpotLight(light: Light, fragmentPosition: vec3f, surface: Surface, shadow: f32) -> vec3f {
+    let spotCos = dot(normalize(fragmentPosition - light.position), light.direction);
+    if spotCos < light.outerConeCos {
+        return vec3(0.0, 0.0, 0.0);
+    }
+
+    let coneStrength = smoothstep(light.outerConeCos, light.innerConeCos, spotCos);
+    let lightColor = calcPointLight(light, fragmentPosition, surface, shadow);
+    return lightColor * coneStrength;
+}
+
+// Calculates the light that is reflected by a surface with the shading model of the surface.
+fn calcLocalIllumination(light: Light, lightDirection: vec3f, surface: Surface, shadow: f32) -> vec3f {
+    if surface.shadingModel == SHADING_MODEL_METALLIC_ROUGHNESS {
+        return calcCookTorrance(light, lightDirection, surface, shadow);
+    }
+    return calcBlinnPhong(light, lightDirection, surface, shadow);
+}
+
+// Local illumination with Blinn-Phong lighting in world space.
+// Only the diffuse and specular light is reduced by the shadow.
+fn calcBlinnPhong(light: Light, lightDirection: vec3f, surface: Surface, shadow: f32) -> vec3f {
+    const black = vec3(0.0, 0.0, 0.0);
+    let ambientColor = light.color * light.ambientStrength * surface.occlusion;
+
+    let diffuseFactor = max(dot(lightDirection, surface.normal), 0.0);
+    let diffuseColor = light.color * light.diffuseStrength * diffuseFactor;
+
+    // We check if the diffuseFactor is positive to not calculate the specular color 
+    // if the light is behind the surface.
+    var specularColor = black;
+    if diffuseFactor > 0.0 {
+        let halfwayDirection = normalize(lightDirection + surface.viewDirection);
+        let specularFactor = pow(max(dot(surface.normal, halfwayDirection), 0.0), surface.specularShininess);
+        specularColor = light.color * surface.specularStrength * light.specularStrength * specularFactor;
+    }
+
+    return ambientColor + (diffuseColor + specularColor) * shadow;
+}
+
+// Local illumination with the Cook-Torrance microfacet BRDF in world space: GGX normal distribution,
+// Smith geometry function and Fresnel-Schlick approximation
+// (see "Real Shading in Unreal Engine 4", Karis). The result already contains the base color.
+fn calcCookTorrance(light: Light, lightDirection: vec3f, surface: Surface, shadow: f32) -> vec3f {
+    let ambientColor = light.color * light.ambientStrength * surface.baseColor * surface.occlusion;
+
+    let nDotL = dot(surface.normal, lightDirection);
+    if nDotL <= 0.0 {
+        return ambientColor;
+    }
+    let nDotV = max(dot(surface.normal, surface.viewDirection), 1e-4);
+    let halfwayDirection = normalize(lightDirection + surface.viewDirection);
+    let nDotH = max(dot(surface.normal, halfwayDirection), 0.0);
+    let vDotH = max(dot(surface.viewDirection, halfwayDirection), 0.0);
+
+    // Dielectrics reflect about 4% of the light; metals reflect with their base color.
+    let f0 = mix(vec3(0.04), surface.baseColor, surface.metallic);
+    let fresnel = f0 + (1.0 - f0) * pow(1.0 - vDotH, 5.0);
+
+    let alpha = surface.roughness * surface.roughness;
+    let alpha2 = alpha * alpha;
+    let d = nDotH * nDotH * (alpha2 - 1.0) + 1.0;
+    let distribution = alpha2 / (PI * d * d);
+
+    let k = (surface.roughness + 1.0) * (surface.roughness + 1.0) / 8.0;
+    let geometry = (nDotV / (nDotV * (1.0 - k) + k)) * (nDotL / (nDotL * (1.0 - k) + k));
+
+    let specular = distribution * geometry * fresnel / (4.0 * nDotV * nDotL);
+    // Metals have no diffuse reflection.
+    let diffuse = (1.0 - fresnel) * (1.0 - surface.metallic) * surface.baseColor / PI;
+
+    // The light strength is multiplied by PI so that a white diffuse surface is as bright
+    // as with the Blinn-Phong model.
+    let radiance = light.color * light.diffuseStrength * PI;
+    return ambientColor + (diffuse + specular) * radiance * nDotL * shadow;
+}
+
+// Calculates the light that a surface reflects from the environment map (image-based lighting)
+// with the split-sum approximation (see "Real Shading in Unreal Engine 4", Karis). Like the lights
+// of the Blinn-Phong model, the result does not contain the diffuse color of the surface.
+fn calcEnvironmentLight(surface: Surface) -> vec3f {
+    // The world is y-down, but cube maps are y-up.
+    let flipY = vec3(1.0, -1.0, 1.0);
+    let nDotV = max(dot(surface.normal, surface.viewDirection), 1e-4);
+    let reflection = reflect(-surface.viewDirection, surface.normal);
+    let irradiance = textureSampleLevel(irradianceTexture, environmentSampler, surface.normal * flipY, 0.0).rgb;
+
+    var roughness: f32;
+    var f0: vec3f;
+    if surface.shadingModel == SHADING_MODEL_METALLIC_ROUGHNESS {
+        roughness = surface.roughness;
+        f0 = mix(vec3(0.04), surface.baseColor, surface.metallic);
+    } else {
+        // The roughness whose GGX highlight has about the size of the Blinn-Phong highlight
+        roughness = sqrt(2.0 / (surface.specularShininess + 2.0));
+        f0 = vec3(0.04);
+    }
+    let maxLevel = f32(textureNumLevels(prefilteredTexture) - 1);
+    let prefiltered = textureSampleLevel(
+        prefilteredTexture, environmentSampler, reflection * flipY, roughness * maxLevel
+    ).rgb;
+    let brdf = textureSampleLevel(brdfLutTexture, environmentSampler, vec2(nDotV, roughness), 0.0).rg;
+    let specular = prefiltered * (f0 * brdf.x + brdf.y);
+
+    if surface.shadingModel == SHADING_MODEL_METALLIC_ROUGHNESS {
+        // Fresnel-Schlick with roughness: rough surfaces reflect less at grazing angles.
+        let fresnel = f0 + (max(vec3(1.0 - roughness), f0) - f0) * pow(1.0 - nDotV, 5.0);
+        let diffuse = (1.0 - fresnel) * (1.0 - surface.metallic) * surface.baseColor * irradiance;
+        return (diffuse + specular) * surface.occlusion;
+    }
+    return (irradiance + specular * surface.specularStrength) * surface.occlusion;
+}
+
+// Calculates the light that is reflected by a surface from the lights of a cluster and the directional lights.
+fn calcClusterLights(clusterIndex: u32, fragmentPosition: vec3f, fragmentNormal: vec3f, surface: Surface) -> vec3f {
+    let offset = clusterIndex * (clusterParams.maxClusterLights + 1);
+    // The count includes the lights that did not fit into the cluster.
+    let lightCount = min(clusterLights[offset], clusterParams.maxClusterLights);
+    var lightColor = vec3(0.0, 0.0, 0.0);
+    for (var i: u32 = 0; i < lightCount; i += 1) {
+        let light = lights[clusterLights[offset + 1 + i]];
+        let shadow = calcShadow(light, fragmentPosition, fragmentNormal, surface.receiveShadow);
+        lightColor += calcLight(light, fragmentPosition, surface, shadow);
+    }
+    let directionalOffset = directionalLightsOffset(clusterParams);
+    let directionalCount = clusterLights[directionalOffset];
+    for (var i: u32 = 0; i < directionalCount; i += 1) {
+        let light = lights[clusterLights[directionalOffset + 1 + i]];
+        let shadow = calcShadow(light, fragmentPosition, fragmentNormal, surface.receiveShadow);
+        lightColor += calcLight(light, fragmentPosition, surface, shadow);
+    }
+    return lightColor;
+}
\ No newline at end of file
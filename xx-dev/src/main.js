@@ -8,6 +8,12 @@ function displayErrorMessage(message) {
     errorElement.textContent = message;
 }
 
+// Shows the error instead of the canvas; rendering cannot continue after it.
+function displayFatalError(e) {
+    displayErrorMessage(e);
+    document.getElementById("main-div").style.display = 'none';
+}
+
 async function initGpuDevice() {
     // 1: request adapter and device
     if (!navigator.gpu) {
@@ -47,21 +53,37 @@ async function main() {
         const renderer = new Renderer(gpuDevice, scene, drawingContext);
         const inputHandler = new InputHandler(drawingContext.canvas)
 
+        await scene.init()
         await renderer.init()
-        setInterval(() => {
-            // Only render if the current browser tab is active.
-            if (!document.hidden) {
-                renderer.renderFrame()
+
+        // The scene is updated in fixed time steps, so that the simulation does not depend on the
+        // frame rate. A frame is rendered whenever the browser is ready to display one; this is
+        // paused by the browser if the tab is not active. The next frame is requested after the
+        // previous one was rendered.
+        const updateStep = 0.01; // in seconds
+        const maxFrameTime = 0.25; // limits the number of updates after the tab was inactive
+        let lastFrameTime = performance.now();
+        let timeToUpdate = 0.0;
+        const frame = async (now) => {
+            timeToUpdate += Math.min((now - lastFrameTime) / 1000, maxFrameTime);
+            lastFrameTime = now;
+            while (timeToUpdate >= updateStep) {
+                const inputState = inputHandler.getInputState();
+                scene.updateScene(inputState, updateStep);
+                renderer.updateWithInputState(inputState);
+                timeToUpdate -= updateStep;
+            }
+            try {
+                await renderer.renderFrame();
+            } catch (e) {
+                displayFatalError(e);
+                return;
             }
-        }, 20);
-        setInterval(() => {
-            const inputState = inputHandler.getInputState();
-            scene.updateScene(inputState);
-            renderer.updateWithInputState(inputState);
-        }, 10);
+            requestAnimationFrame(frame);
+        };
+        requestAnimationFrame(frame);
     } catch (e) {
-        displayErrorMessage(e)
-        document.getElementById("main-div").style.display = 'none';
+        displayFatalError(e);
         throw e;
     }
 }
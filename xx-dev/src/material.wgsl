@@ -0,0 +1,133 @@
+// The material of a mesh and the sampling of its textures, which are shared by the shaders that render
+// the meshes with their materials. The file is prepended to the shader code of the render passes that
+// use it; mesh.wgsl declares renderOptions and the passes declare the TEXTURE_MODE_* and the
+// SHADING_MODEL_METALLIC_ROUGHNESS constants.
+
+// The factors of the material. Each factor is multiplied with the value of its texture
+// (see https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html#materials).
+struct Material {
+    // The diffuse color (Blinn-Phong) or base color (metallic-roughness) and the opacity
+    colorFactor: vec4f,
+    emissiveFactor: vec3f,
+    // The shading model of the material (see SHADING_MODEL_* constants)
+    shadingModel: u32,
+    metallicFactor: f32,
+    roughnessFactor: f32,
+    occlusionStrength: f32,
+    normalScale: f32,
+    specularStrength: f32,
+    specularShininess: f32,
+}
+@group(3) @binding(0) var<uniform> material : Material;
+@group(3) @binding(1) var texSampler: sampler;
+@group(3) @binding(2) var colorTexture: texture_2d<f32>;
+// The specular strength is stored in the red channel.
+@group(3) @binding(3) var specularTexture: texture_2d<f32>;
+@group(3) @binding(4) var normalTexture: texture_2d<f32>;
+// The roughness is stored in the green channel and the metalness in the blue channel.
+@group(3) @binding(5) var metallicRoughnessTexture: texture_2d<f32>;
+@group(3) @binding(6) var occlusionTexture: texture_2d<f32>;
+@group(3) @binding(7) var emissiveTexture: texture_2d<f32>;
+
+// The properties of the material at a fragment after its textures were sampled
+struct MaterialSample {
+    // The diffuse color (Blinn-Phong) or base color (metallic-roughness) and the opacity
+    color: vec4f,
+    emissive: vec3f,
+    // The normal in world space including the normal map
+    normal: vec3f,
+    specularStrength: f32,
+    metallic: f32,
+    roughness: f32,
+    // The ambient occlusion of the material (without the screen-space ambient occlusion)
+    occlusion: f32,
+    // True if a texture is shown instead of the lit fragment (see the texture modes)
+    showDebugColor: bool,
+    debugColor: vec3f,
+}
+
+// Samples the textures of the material at a fragment and multiplies them with the factors.
+// The tangent, bitangent and normal are the interpolated vectors of the vertices in world space.
+fn sampleMaterial(texCoord: vec2f, texTangent: vec3f, texBitangent: vec3f, normal: vec3f) -> MaterialSample {
+    if material.shadingModel == SHADING_MODEL_METALLIC_ROUGHNESS {
+        return sampleMetallicRoughness(texCoord, texTangent, texBitangent, normal);
+    }
+    return sampleBlinnPhong(texCoord, texTangent, texBitangent, normal);
+}
+
+// Returns a sample that shows a color instead of the lit fragment.
+fn debugSample(color: vec3f) -> MaterialSample {
+    var out: MaterialSample;
+    out.showDebugColor = true;
+    out.debugColor = color;
+    return out;
+}
+
+// Samples a material with the Blinn-Phong model. The textures can be disabled or shown
+// with the texture modes of the render options.
+fn sampleBlinnPhong(texCoord: vec2f, texTangent: vec3f, texBitangent: vec3f, normal: vec3f) -> MaterialSample {
+    var out: MaterialSample;
+
+    // we expect the specular strength to be in the red channel
+    if renderOptions.specularTextureMode != TEXTURE_MODE_DISABLED {
+        out.specularStrength = material.specularStrength * textureSample(specularTexture, texSampler, texCoord).r;
+        if renderOptions.specularTextureMode == TEXTURE_MODE_EXCLUSICE {
+            return debugSample(vec3(out.specularStrength));
+        }
+    } else {
+        out.specularStrength = material.specularStrength;
+    }
+
+    let btnMatrix = mat3x3f(texTangent, texBitangent, normal);
+    if renderOptions.normalTextureMode != TEXTURE_MODE_DISABLED {
+        // Load normal from normal map texture and transform coordinates from [0.0, 1.0] to [-1.0, 1.0]. 
+        // Normal Maps use the OpenGL coordinate system and to transfer them to the WebGPU/Vulkan 
+        // coordinate system y has to be inverted.
+        let normalMapColor = textureSample(normalTexture, texSampler, texCoord).rgb;
+        let normalMapNormal = (normalMapColor * 2.0 - 1.0) * vec3(material.normalScale, -material.normalScale, 1.0);
+        out.normal = normalize(btnMatrix * normalMapNormal);
+
+        if renderOptions.normalTextureMode == TEXTURE_MODE_EXCLUSICE {
+            return debugSample(out.normal * 0.5 + 0.5);
+        }
+    } else {
+        out.normal = btnMatrix * vec3(0.0, 0.0, 1.0);
+    }
+
+    var matColor: vec4f;
+    if renderOptions.colorTextureMode != TEXTURE_MODE_DISABLED {
+        matColor = textureSample(colorTexture, texSampler, texCoord);
+
+        if renderOptions.colorTextureMode == TEXTURE_MODE_EXCLUSICE {
+            return debugSample(matColor.rgb);
+        }
+    } else {
+        matColor = vec4f(1.0, 1.0, 1.0, 1.0);
+    }
+
+    out.color = material.colorFactor * matColor;
+    out.emissive = material.emissiveFactor * textureSample(emissiveTexture, texSampler, texCoord).rgb;
+    out.occlusion = 1.0;
+    return out;
+}
+
+// Samples a material with the metallic-roughness model.
+fn sampleMetallicRoughness(texCoord: vec2f, texTangent: vec3f, texBitangent: vec3f, normal: vec3f) -> MaterialSample {
+    let metallicRoughness = textureSample(metallicRoughnessTexture, texSampler, texCoord);
+    let occlusion = textureSample(occlusionTexture, texSampler, texCoord).r;
+
+    // The normal map is handled like in the Blinn-Phong model.
+    let btnMatrix = mat3x3f(texTangent, texBitangent, normal);
+    let normalMapColor = textureSample(normalTexture, texSampler, texCoord).rgb;
+    let normalMapNormal = (normalMapColor * 2.0 - 1.0) * vec3(material.normalScale, -material.normalScale, 1.0);
+
+    var out: MaterialSample;
+    out.color = material.colorFactor * textureSample(colorTexture, texSampler, texCoord);
+    out.emissive = material.emissiveFactor * textureSample(emissiveTexture, texSampler, texCoord).rgb;
+    out.normal = normalize(btnMatrix * normalMapNormal);
+    out.metallic = saturate(material.metallicFactor * metallicRoughness.b);
+    // A roughness of 0 would result in a division by zero.
+    out.roughness = clamp(material.roughnessFactor * metallicRoughness.g, 0.045, 1.0);
+    out.occlusion = mix(1.0, occlusion, material.occlusionStrength);
+    return out;
+}
\ No newline at end of file
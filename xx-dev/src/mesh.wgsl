@@ -0,0 +1,71 @@
+// The camera, render options, model matrices and the vertex shader that are shared by the shaders
+// that render the meshes of the scene. The file is prepended to the shader code of the passes that use it.
+
+struct Camera {
+    // The View-Projection matrix
+    vpMatrix: mat4x4f,
+    // The position of the camera in world space
+    cameraPosition: vec3f,
+}
+@group(0) @binding(0) var<uniform> camera : Camera;
+
+struct RenderOptions {
+    // Boolean values used to debug rendering
+    colorTextureMode: i32,
+    specularTextureMode: i32,
+    normalTextureMode: i32,
+    // 1 if fragments are tinted by the shadow cascade of the first directional light
+    showShadowCascades: i32,
+    // If the screen-space ambient occlusion is used or shown (like the texture modes)
+    ambientOcclusionMode: i32,
+    // If the image-based lighting is used or shown without the lights (like the texture modes)
+    environmentLightingMode: i32,
+}
+@group(0) @binding(1) var<uniform> renderOptions : RenderOptions;
+
+struct ModelMatrices {
+    modelMatrix: mat4x4f,
+    normalMatrix: mat3x3f,
+    // 1 if shadows are drawn on the mesh
+    receiveShadow: u32,
+}
+@group(1) @binding(0) var<uniform> matrices : ModelMatrices;
+
+// Vertex Shader: ------------------------------------------------------------
+struct VertexIn {
+    @location(0) position: vec3f,
+    @location(1) normal: vec3f,
+    // The w component contains the handedness of the tangent space.
+    @location(2) texTangent: vec4f,
+    @location(3) texCoord: vec2f,
+}
+
+struct VertexOut {
+    @builtin(position) clipPosition: vec4f,
+    @location(0) worldPosition: vec3f,
+    @location(1) normal: vec3f,
+    @location(2) texTangent: vec3f,
+    @location(3) texBitangent: vec3f,
+    @location(4) texCoord: vec2f,
+}
+
+@vertex
+fn vertex_main(in: VertexIn) -> VertexOut {
+    var output: VertexOut;
+
+    let vec4WorldPosition = matrices.modelMatrix * vec4(in.position, 1.0);
+    output.clipPosition = camera.vpMatrix * vec4WorldPosition;
+    output.worldPosition = vec3(vec4WorldPosition.xyz);
+
+    // The normal vectors cannot be multiplied with the model matrix. If the model matrix 
+    // performs non-uniform scaling, the normals would not be perpendicular to the surface anymore.
+    // Thus we use a specual normal matrix.
+    // See http://www.lighthouse3d.com/tutorials/glsl-12-tutorial/the-normal-matrix/.
+    output.texTangent = normalize(matrices.normalMatrix * in.texTangent.xyz);
+    output.normal = normalize(matrices.normalMatrix * in.normal);
+    output.texBitangent = cross(output.normal, output.texTangent) * in.texTangent.w;
+
+    output.texCoord = in.texCoord;
+
+    return output;
+}
\ No newline at end of file
@@ -0,0 +1,11 @@
+// The fullscreen vertex shader is defined in fullscreen.wgsl, which is prepended to this file.
+
+@group(0) @binding(0) var sourceSampler: sampler;
+@group(0) @binding(1) var sourceTexture: texture_2d<f32>;
+
+// Each pixel is in the middle of four pixels of the larger mip level, so linear
+// filtering returns their average.
+@fragment
+fn fragment_main(in: VertexOut) -> @location(0) vec4f {
+    return textureSample(sourceTexture, sourceSampler, in.texCoord);
+}
\ No newline at end of file
@@ -23,8 +23,8 @@ struct ModelMatrices {
 struct VertexIn {
     @location(0) position: vec3f,
     @location(1) normal: vec3f,
-    @location(2) texTangent: vec3f,
-    @location(3) texBitangent: vec3f,
+    // The w component contains the handedness of the tangent space.
+    @location(2) texTangent: vec4f,
 
     @location(15) vertexAndLineType: i32,
 }
@@ -48,9 +48,9 @@ fn vertex_main(in: VertexIn) -> VertexOut {
     if vertexType == NORMAL_VERTEXT_TYPE {
         vert += (in.normal * LINE_LENGTH);
     } else if vertexType == TANGENT_VERTEXT_TYPE {
-        vert += (in.texTangent * LINE_LENGTH);
+        vert += (in.texTangent.xyz * LINE_LENGTH);
     } else if vertexType == BITANGENT_VERTEXT_TYPE {
-        vert += (in.texBitangent * LINE_LENGTH);
+        vert += (cross(in.normal, in.texTangent.xyz) * in.texTangent.w * LINE_LENGTH);
     }
 
     let worldPosition = matrices.modelMatrix * vec4(vert, 1.0);
@@ -0,0 +1,28 @@
+// The functions for importance sampling that are shared by the shaders that integrate light.
+// The file is prepended to the shader code of the passes that use it.
+
+const PI = 3.14159265359;
+
+// Returns a coordinate system whose z axis is the normal.
+fn tangentSpace(normal: vec3f) -> mat3x3f {
+    var up = vec3(0.0, 1.0, 0.0);
+    if abs(normal.y) > 0.999 {
+        up = vec3(1.0, 0.0, 0.0);
+    }
+    let tangent = normalize(cross(up, normal));
+    return mat3x3f(tangent, cross(normal, tangent), normal);
+}
+
+// Returns the i-th point of the Hammersley sequence, which distributes the samples evenly.
+fn hammersley(i: u32, count: u32) -> vec2f {
+    return vec2(f32(i) / f32(count), f32(reverseBits(i)) * 2.3283064365386963e-10);
+}
+
+// Returns a halfway vector around the z axis that is distributed like the GGX normal distribution.
+fn importanceSampleGgx(xi: vec2f, roughness: f32) -> vec3f {
+    let alpha = roughness * roughness;
+    let phi = 2.0 * PI * xi.x;
+    let cosTheta = sqrt((1.0 - xi.y) / (1.0 + (alpha * alpha - 1.0) * xi.y));
+    let sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+    return vec3(sinTheta * cos(phi), sinTheta * sin(phi), cosTheta);
+}
\ No newline at end of file
@@ -12,21 +12,41 @@ struct ModelMatrices {
 }
 @group(1) @binding(0) var<uniform> matrices : ModelMatrices;
 
+// The number of floats of a vertex in the vertex buffer. The position is stored in the first three floats.
+override VERTEX_STRIDE: u32;
+// True if the index buffer contains 16-bit indices and false if it contains 32-bit indices.
+override INDEX_FORMAT_UINT16: bool;
+
+@group(2) @binding(0) var<storage, read> vertices: array<f32>;
+@group(2) @binding(1) var<storage, read> indices: array<u32>;
+
 struct VertexOut {
     @builtin(position) clipPosition: vec4f,
     @location(0) @interpolate(flat) triangleId: u32,
 }
 
+fn loadIndex(i: u32) -> u32 {
+    if INDEX_FORMAT_UINT16 {
+        // Two 16-bit indices are stored in one u32 (little endian).
+        let indexPair = indices[i / 2];
+        return select(indexPair & 0xffff, indexPair >> 16, i % 2 == 1);
+    }
+    return indices[i];
+}
+
 @vertex
 fn vertex_main(
-    @location(0) modelPosition: vec3f,
-    @builtin(vertex_index) vertexIndex: u32
+    @builtin(vertex_index) indexPosition: u32,
+    @builtin(instance_index) firstVertex: u32
 ) -> VertexOut {
     var out: VertexOut;
 
+    let vertexOffset = (firstVertex + loadIndex(indexPosition)) * VERTEX_STRIDE;
+    let modelPosition = vec3f(vertices[vertexOffset], vertices[vertexOffset + 1], vertices[vertexOffset + 2]);
+
     let vec4WorldPosition = matrices.modelMatrix * vec4(modelPosition, 1.0);
     out.clipPosition = camera.vpMatrix * vec4WorldPosition;
-    out.triangleId = vertexIndex / 3;
+    out.triangleId = indexPosition / 3;
 
     return out;
 }
@@ -0,0 +1,52 @@
+struct ShadowMap {
+    // The View-Projection matrix of the light
+    vpMatrix: mat4x4f,
+    // The position and range of point lights
+    lightPosition: vec3f,
+    range: f32,
+}
+@group(0) @binding(0) var<storage, read> shadowMaps : array<ShadowMap>;
+
+struct ModelMatrices {
+    modelMatrix: mat4x4f,
+    normalMatrix: mat3x3f,
+}
+@group(1) @binding(0) var<uniform> matrices : ModelMatrices;
+
+// The index of the shadow map that is rendered is passed as instance index.
+@vertex
+fn vertex_main(
+    @location(0) modelPosition: vec3f,
+    @builtin(instance_index) shadowMapIndex: u32
+) -> @builtin(position) vec4f {
+    let worldPosition = matrices.modelMatrix * vec4(modelPosition, 1.0);
+    return shadowMaps[shadowMapIndex].vpMatrix * worldPosition;
+}
+
+// Shadow maps of point lights: ----------------------------------------------
+struct PointVertexOut {
+    @builtin(position) clipPosition: vec4f,
+    @location(0) worldPosition: vec3f,
+    @location(1) @interpolate(flat) shadowMapIndex: u32,
+}
+
+@vertex
+fn vertex_point_main(
+    @location(0) modelPosition: vec3f,
+    @builtin(instance_index) shadowMapIndex: u32
+) -> PointVertexOut {
+    var out: PointVertexOut;
+    let worldPosition = matrices.modelMatrix * vec4(modelPosition, 1.0);
+    out.clipPosition = shadowMaps[shadowMapIndex].vpMatrix * worldPosition;
+    out.worldPosition = worldPosition.xyz;
+    out.shadowMapIndex = shadowMapIndex;
+    return out;
+}
+
+// The shadow maps of point lights store the linear distance to the light relative to the range
+// of the light. This way the distance can be compared without knowing the face of the cube map.
+@fragment
+fn fragment_point_main(in: PointVertexOut) -> @builtin(frag_depth) f32 {
+    let shadowMap = shadowMaps[in.shadowMapIndex];
+    return length(in.worldPosition - shadowMap.lightPosition) / shadowMap.range;
+}
@@ -0,0 +1,112 @@
+// The cube map helpers are defined in cubemap.wgsl, which is prepended to this file.
+
+// Drawing the skybox: ---------------------------------------------------------
+struct SkyboxParams {
+    // The inverse of the View-Projection matrix without the translation of the camera
+    inverseVpMatrix: mat4x4f,
+    intensity: f32,
+}
+@group(0) @binding(0) var<uniform> params: SkyboxParams;
+@group(0) @binding(1) var skySampler: sampler;
+@group(0) @binding(2) var skyTexture: texture_cube<f32>;
+
+struct VertexOut {
+    @builtin(position) position: vec4f,
+    @location(0) ndc: vec2f,
+}
+
+// Creates a triangle that covers the entire render target at the far plane, so that only
+// pixels without geometry pass the depth test.
+@vertex
+fn vertex_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOut {
+    var out: VertexOut;
+    let texCoord = vec2f(f32((vertexIndex << 1) & 2), f32(vertexIndex & 2));
+    out.ndc = texCoord * vec2(2.0, -2.0) + vec2(-1.0, 1.0);
+    out.position = vec4f(out.ndc, 1.0, 1.0);
+    return out;
+}
+
+@fragment
+fn fragment_main(in: VertexOut) -> @location(0) vec4f {
+    // Unproject the pixel on the near plane; without translation its position is the view direction.
+    let position = params.inverseVpMatrix * vec4(in.ndc, 0.0, 1.0);
+    let direction = position.xyz / position.w;
+    // The world is y-down, but cube maps are y-up.
+    let color = textureSample(skyTexture, skySampler, direction * vec3(1.0, -1.0, 1.0)).rgb;
+    return vec4(color * params.intensity, 1.0);
+}
+
+// Creating the cube map: ------------------------------------------------------
+struct CubeFaceVertexOut {
+    @builtin(position) position: vec4f,
+    @location(0) ndc: vec2f,
+    @location(1) @interpolate(flat) face: u32,
+}
+
+// Covers one face of the cube map; the index of the face is passed as instance index.
+@vertex
+fn vertex_cube_face(
+    @builtin(vertex_index) vertexIndex: u32,
+    @builtin(instance_index) face: u32
+) -> CubeFaceVertexOut {
+    var out: CubeFaceVertexOut;
+    let texCoord = vec2f(f32((vertexIndex << 1) & 2), f32(vertexIndex & 2));
+    out.ndc = texCoord * vec2(2.0, -2.0) + vec2(-1.0, 1.0);
+    out.position = vec4f(out.ndc, 0.0, 1.0);
+    out.face = face;
+    return out;
+}
+
+fn cubeDirection(in: CubeFaceVertexOut) -> vec3f {
+    return cubeFaceDirection(in.face, in.ndc.x, -in.ndc.y);
+}
+
+struct Gradient {
+    zenithColor: vec3f,
+    horizonColor: vec3f,
+    groundColor: vec3f,
+}
+@group(1) @binding(0) var<uniform> gradient: Gradient;
+
+// The procedural sky blends from the horizon to the zenith and fades quickly to the ground.
+@fragment
+fn fragment_gradient(in: CubeFaceVertexOut) -> @location(0) vec4f {
+    let height = cubeDirection(in).y;
+    if height >= 0.0 {
+        return vec4(mix(gradient.horizonColor, gradient.zenithColor, pow(height, 0.5)), 1.0);
+    }
+    return vec4(mix(gradient.horizonColor, gradient.groundColor, saturate(-height * 8.0)), 1.0);
+}
+
+// The RGBE pixels of an equirectangular HDR image
+@group(2) @binding(0) var equirectangularTexture: texture_2d<u32>;
+
+fn loadRgbe(texel: vec2i) -> vec3f {
+    let rgbe = textureLoad(equirectangularTexture, texel, 0);
+    if rgbe.a == 0u {
+        return vec3(0.0);
+    }
+    return ldexp(vec3f(rgbe.rgb) + 0.5, vec3(i32(rgbe.a) - 136));
+}
+
+// Projects the equirectangular image onto the cube map. Integer textures cannot be filtered,
+// so the decoded texels are interpolated bilinearly.
+@fragment
+fn fragment_equirectangular(in: CubeFaceVertexOut) -> @location(0) vec4f {
+    const PI = 3.14159265359;
+    let direction = cubeDirection(in);
+    let texCoord = vec2(atan2(direction.z, direction.x) / (2.0 * PI) + 0.5, acos(direction.y) / PI);
+
+    let size = vec2i(textureDimensions(equirectangularTexture));
+    let position = texCoord * vec2f(size) - 0.5;
+    let texel = vec2i(floor(position));
+    let weight = position - floor(position);
+    // The image wraps around horizontally and is clamped at the poles.
+    let x0 = (texel.x + size.x) % size.x;
+    let x1 = (texel.x + 1) % size.x;
+    let y0 = clamp(texel.y, 0, size.y - 1);
+    let y1 = clamp(texel.y + 1, 0, size.y - 1);
+    let top = mix(loadRgbe(vec2(x0, y0)), loadRgbe(vec2(x1, y0)), weight.x);
+    let bottom = mix(loadRgbe(vec2(x0, y1)), loadRgbe(vec2(x1, y1)), weight.x);
+    return vec4(mix(top, bottom, weight.y), 1.0);
+}
\ No newline at end of file
@@ -0,0 +1,137 @@
+// The fullscreen vertex shader is defined in fullscreen.wgsl, which is prepended to this file.
+
+struct Camera {
+    // The View-Projection matrix
+    vpMatrix: mat4x4f,
+    // The position of the camera in world space
+    cameraPosition: vec3f,
+    // The inverse of the View-Projection matrix
+    inverseVpMatrix: mat4x4f,
+}
+@group(0) @binding(0) var<uniform> camera : Camera;
+
+struct ModelMatrices {
+    modelMatrix: mat4x4f,
+    normalMatrix: mat3x3f,
+}
+@group(1) @binding(0) var<uniform> matrices : ModelMatrices;
+
+const KERNEL_SIZE: u32 = 16;
+
+struct AmbientOcclusionParams {
+    // Sample positions in a hemisphere around the z-axis with a length up to 1
+    kernel: array<vec4f, KERNEL_SIZE>,
+    // The distance in world space in which surfaces occlude each other
+    radius: f32,
+    // The depth difference that is ignored to avoid self-occlusion
+    bias: f32,
+    // The ambient occlusion is raised to this power to make it stronger
+    power: f32,
+}
+@group(2) @binding(0) var<uniform> params : AmbientOcclusionParams;
+@group(2) @binding(1) var depthTexture: texture_depth_2d;
+// The normal in world space and the linear depth (distance from the camera plane) in the alpha channel
+@group(2) @binding(2) var normalDepthTexture: texture_2d<f32>;
+// Random vectors that rotate the kernel; the texture is repeated across the screen.
+@group(2) @binding(3) var noiseTexture: texture_2d<f32>;
+
+@group(3) @binding(0) var blurNormalDepthTexture: texture_2d<f32>;
+@group(3) @binding(1) var blurSourceTexture: texture_2d<f32>;
+
+// Depth and normal prepass: --------------------------------------------------
+struct PrepassVertexOut {
+    @builtin(position) clipPosition: vec4f,
+    @location(0) normal: vec3f,
+    @location(1) depth: f32,
+}
+
+@vertex
+fn vertex_prepass(@location(0) position: vec3f, @location(1) normal: vec3f) -> PrepassVertexOut {
+    var out: PrepassVertexOut;
+    out.clipPosition = camera.vpMatrix * matrices.modelMatrix * vec4(position, 1.0);
+    out.normal = matrices.normalMatrix * normal;
+    // For a perspective projection w is the distance from the camera plane.
+    out.depth = out.clipPosition.w;
+    return out;
+}
+
+@fragment
+fn fragment_prepass(in: PrepassVertexOut) -> @location(0) vec4f {
+    return vec4(normalize(in.normal), in.depth);
+}
+
+// Ambient occlusion: ---------------------------------------------------------
+// Calculates how much of the ambient light reaches a pixel (1.0) or is occluded by nearby surfaces (0.0).
+// Positions in a hemisphere around the normal are projected to the screen; a position is occluded if
+// the surface at the projected pixel is in front of it (see https://learnopengl.com/Advanced-Lighting/SSAO).
+@fragment
+fn fragment_ssao(in: VertexOut) -> @location(0) vec4f {
+    let pixel = vec2u(in.position.xy);
+    let size = textureDimensions(depthTexture);
+    let depth = textureLoad(depthTexture, pixel, 0);
+    // Nothing was rendered at the pixel.
+    if depth >= 1.0 {
+        return vec4(1.0);
+    }
+
+    // Reconstruct the world position of the pixel from its depth.
+    let texCoord = in.position.xy / vec2f(size);
+    let ndcPosition = vec4(texCoord.x * 2.0 - 1.0, 1.0 - texCoord.y * 2.0, depth, 1.0);
+    let worldPosition = camera.inverseVpMatrix * ndcPosition;
+    let position = worldPosition.xyz / worldPosition.w;
+
+    let normalDepth = textureLoad(normalDepthTexture, pixel, 0);
+    let normal = normalize(normalDepth.xyz);
+    // Rotate the kernel around the normal with a random vector (Gram-Schmidt process).
+    let noise = textureLoad(noiseTexture, pixel % textureDimensions(noiseTexture), 0).xyz;
+    let tangent = normalize(noise - normal * dot(noise, normal));
+    let kernelMatrix = mat3x3f(tangent, cross(normal, tangent), normal);
+
+    var occlusion = 0.0;
+    for (var i: u32 = 0; i < KERNEL_SIZE; i += 1) {
+        let samplePosition = position + kernelMatrix * params.kernel[i].xyz * params.radius;
+        let sampleClipPosition = camera.vpMatrix * vec4(samplePosition, 1.0);
+        let sampleTexCoord = sampleClipPosition.xy / sampleClipPosition.w * vec2(0.5, -0.5) + 0.5;
+        if any(sampleTexCoord < vec2(0.0)) || any(sampleTexCoord >= vec2(1.0)) {
+            continue;
+        }
+        let surfaceDepth = textureLoad(normalDepthTexture, vec2u(sampleTexCoord * vec2f(size)), 0).w;
+        // Surfaces that are much closer to the camera than the pixel do not occlude it.
+        let rangeCheck = smoothstep(0.0, 1.0, params.radius / abs(normalDepth.w - surfaceDepth));
+        if surfaceDepth <= sampleClipPosition.w - params.bias {
+            occlusion += rangeCheck;
+        }
+    }
+    let ambientOcclusion = pow(1.0 - occlusion / f32(KERNEL_SIZE), params.power);
+    return vec4(ambientOcclusion, 0.0, 0.0, 1.0);
+}
+
+// Bilateral blur: -------------------------------------------------------------
+const blurWeights = array(0.2270270270, 0.1945945946, 0.1216216216, 0.0540540541, 0.0162162162);
+
+// Blurs the ambient occlusion with a Gaussian filter in one direction. Pixels whose depth differs
+// from the depth of the center pixel get a lower weight, so that edges stay sharp.
+fn blur(pixel: vec2i, direction: vec2i) -> vec4f {
+    let maxPixel = vec2i(textureDimensions(blurSourceTexture)) - 1;
+    let centerDepth = textureLoad(blurNormalDepthTexture, pixel, 0).w;
+    var ambientOcclusion = 0.0;
+    var weightSum = 0.0;
+    for (var i = -4; i <= 4; i += 1) {
+        let samplePixel = clamp(pixel + direction * i, vec2i(0), maxPixel);
+        let depthDifference = (textureLoad(blurNormalDepthTexture, samplePixel, 0).w - centerDepth) / (0.05 * centerDepth);
+        let weight = blurWeights[abs(i)] * exp(-depthDifference * depthDifference);
+        ambientOcclusion += textureLoad(blurSourceTexture, samplePixel, 0).r * weight;
+        weightSum += weight;
+    }
+    return vec4(ambientOcclusion / weightSum, 0.0, 0.0, 1.0);
+}
+
+@fragment
+fn fragment_blur_horizontal(in: VertexOut) -> @location(0) vec4f {
+    return blur(vec2i(in.position.xy), vec2(1, 0));
+}
+
+@fragment
+fn fragment_blur_vertical(in: VertexOut) -> @location(0) vec4f {
+    return blur(vec2i(in.position.xy), vec2(0, 1));
+}
\ No newline at end of file
@@ -0,0 +1,144 @@
+import {
+    vec3,
+    vec4,
+} from '../imports/wgpu-matrix.module.js';
+
+/*
+ * Calculation of the tangent space that is used for normal mapping.
+ *
+ * The tangent is stored as vec4. The xyz components contain the tangent that points in the
+ * direction of increasing u texture coordinates. The w component contains the handedness (1 or -1):
+ * the bitangent is w * cross(normal, tangent.xyz) and points in the direction of increasing v
+ * texture coordinates. Our texture coordinates start at the top of the image, so the bitangent
+ * points to the bottom of the normal map and the shader inverts the green channel of the normal map.
+ * This results in the same normals as MikkTSpace (https://github.com/mmikk/MikkTSpace) with
+ * texture coordinates that start at the bottom of the image.
+ */
+
+/**
+ * Calculates the tangents of the vertices of a mesh like MikkTSpace.
+ *
+ * The tangents of all faces that share a vertex are projected onto the plane of the vertex normal,
+ * weighted by the angle of the face at the vertex and accumulated. Faces with a different handedness
+ * (e.g. on a mirrored texture) are not merged, so the same vertex can get different tangents.
+ *
+ * @param {Array} vertices an array of objects with the properties position, normal and texCoord;
+ *                         every three vertices form a triangle. The property tangent (vec4) is set
+ *                         on each vertex object.
+ */
+export function calcTangents(vertices) {
+    // The accumulated tangents of a vertex for a handedness of 1 and -1.
+    const accumulatedTangents = new Map();
+    const corners = [];
+
+    for (let i = 0; i < vertices.length; i += 3) {
+        const triangle = [vertices[i], vertices[i + 1], vertices[i + 2]];
+        const faceTangents = calcFaceTangentAndBitangent(triangle);
+
+        for (let j = 0; j < 3; ++j) {
+            const v = triangle[j];
+            const key = [...v.position, ...v.normal, ...v.texCoord].join(',');
+            if (!accumulatedTangents.has(key)) {
+                accumulatedTangents.set(key, [vec3.create(0.0, 0.0, 0.0), vec3.create(0.0, 0.0, 0.0)]);
+            }
+            const t = faceTangents !== null ? projectOnPlane(v.normal, faceTangents.t) : null;
+            if (t === null || vec3.length(t) < 1e-12) {
+                // Faces without usable texture coordinates do not contribute to the tangent
+                // of the vertex but use the tangents of the adjacent faces.
+                corners.push({ vertex: v, key: key, handedness: 0.0 });
+                continue;
+            }
+
+            const b = projectOnPlane(v.normal, faceTangents.b);
+            const handedness = vec3.dot(vec3.cross(v.normal, t), b) < 0.0 ? -1.0 : 1.0;
+            const edge1 = vec3.normalize(vec3.sub(triangle[(j + 1) % 3].position, v.position));
+            const edge2 = vec3.normalize(vec3.sub(triangle[(j + 2) % 3].position, v.position));
+            const angle = Math.acos(Math.min(Math.max(vec3.dot(edge1, edge2), -1.0), 1.0));
+
+            const tangent = accumulatedTangents.get(key)[handedness > 0.0 ? 0 : 1];
+            vec3.add(tangent, vec3.scale(vec3.normalize(t), angle), tangent);
+            corners.push({ vertex: v, key: key, handedness: handedness });
+        }
+    }
+
+    for (let corner of corners) {
+        const v = corner.vertex;
+        const [positiveTangent, negativeTangent] = accumulatedTangents.get(corner.key);
+        let handedness = corner.handedness;
+        if (handedness == 0.0) {
+            handedness = vec3.length(positiveTangent) > 0.0 || vec3.length(negativeTangent) == 0.0 ? 1.0 : -1.0;
+        }
+        const tangent = handedness > 0.0 ? positiveTangent : negativeTangent;
+        if (vec3.length(tangent) > 1e-12) {
+            v.tangent = calcVertexTangent(v.normal, tangent, vec3.scale(vec3.cross(v.normal, tangent), handedness));
+        } else {
+            v.tangent = calcArbitraryTangent(v.normal);
+        }
+    }
+}
+
+/**
+ * Calculates the tangent of a vertex from a tangent and bitangent that are not necessarily
+ * perpendicular to the normal (e.g. because the normals are smoothed). The tangent is
+ * orthogonalized with the normal (Gram-Schmidt) and the handedness is taken from the bitangent.
+ *
+ * @param {vec3} normal the normal of the vertex
+ * @param {vec3} tangent a vector in the direction of increasing u texture coordinates
+ * @param {vec3} bitangent a vector in the direction of increasing v texture coordinates
+ * @returns {vec4} the tangent with the handedness in the w component
+ */
+export function calcVertexTangent(normal, tangent, bitangent) {
+    let t = projectOnPlane(normal, tangent);
+    if (vec3.length(t) < 1e-6) {
+        return calcArbitraryTangent(normal);
+    }
+    t = vec3.normalize(t);
+    const handedness = vec3.dot(vec3.cross(normal, t), bitangent) < 0.0 ? -1.0 : 1.0;
+    return vec4.create(t[0], t[1], t[2], handedness);
+}
+
+/**
+ * Calculates a tangent for a vertex without usable texture coordinates.
+ * It is only needed to get a valid tangent space.
+ *
+ * @param {vec3} normal the normal of the vertex
+ * @returns {vec4} the tangent with the handedness in the w component
+ */
+export function calcArbitraryTangent(normal) {
+    const helper = Math.abs(normal[0]) < 0.9 ? vec3.create(1, 0, 0) : vec3.create(0, 1, 0);
+    const t = vec3.normalize(vec3.cross(helper, normal));
+    return vec4.create(t[0], t[1], t[2], 1.0);
+}
+
+/**
+ * Calculates the tangent and bitangent of a triangle from the positions and texture coordinates.
+ *
+ * @param {Array} triangle the three vertices of the triangle
+ * @returns an object with the tangent (t) and bitangent (b) or null if the texture coordinates
+ *          of the triangle have no area
+ */
+function calcFaceTangentAndBitangent(triangle) {
+    const [v1, v2, v3] = triangle;
+    const edge1 = vec3.sub(v2.position, v1.position);
+    const edge2 = vec3.sub(v3.position, v1.position);
+    const texEdge1 = [v2.texCoord[0] - v1.texCoord[0], v2.texCoord[1] - v1.texCoord[1]];
+    const texEdge2 = [v3.texCoord[0] - v1.texCoord[0], v3.texCoord[1] - v1.texCoord[1]];
+
+    const det = texEdge1[0] * texEdge2[1] - texEdge2[0] * texEdge1[1];
+    if (Math.abs(det) < 1e-12) {
+        return null;
+    }
+    const t = vec3.scale(vec3.sub(vec3.scale(edge1, texEdge2[1]), vec3.scale(edge2, texEdge1[1])), 1.0 / det);
+    const b = vec3.scale(vec3.sub(vec3.scale(edge2, texEdge1[0]), vec3.scale(edge1, texEdge2[0])), 1.0 / det);
+    if (vec3.length(t) < 1e-12 || vec3.length(b) < 1e-12) {
+        return null;
+    }
+    return { t: vec3.normalize(t), b: vec3.normalize(b) };
+}
+
+/**
+ * Projects a vector onto the plane defined by a normal.
+ */
+function projectOnPlane(normal, v) {
+    return vec3.sub(v, vec3.scale(normal, vec3.dot(normal, v)));
+}
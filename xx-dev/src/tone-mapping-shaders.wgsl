@@ -0,0 +1,103 @@
+// The fullscreen vertex shader is defined in fullscreen.wgsl, which is prepended to this file.
+
+struct ToneMappingOptions {
+    toneMappingOperator: u32,
+    autoExposure: u32,
+    // The exposure in EV for manual exposure or the exposure compensation in EV for automatic exposure
+    exposureValue: f32,
+}
+@group(0) @binding(0) var<uniform> options: ToneMappingOptions;
+@group(0) @binding(1) var<storage, read> averageLuminance: f32;
+@group(0) @binding(2) var hdrTexture: texture_2d<f32>;
+
+override TONE_MAPPING_REINHARD: u32;
+override TONE_MAPPING_ACES: u32;
+override TONE_MAPPING_AGX: u32;
+
+@fragment
+fn fragment_main(in: VertexOut) -> @location(0) vec4f {
+    let hdrColor = textureLoad(hdrTexture, vec2u(in.position.xy), 0);
+
+    // With automatic exposure the average luminance is mapped to middle gray.
+    var exposure = exp2(options.exposureValue);
+    if options.autoExposure != 0 {
+        exposure *= 0.18 / max(averageLuminance, 0.0001);
+    }
+    let color = hdrColor.rgb * exposure;
+
+    var ldrColor: vec3f;
+    if options.toneMappingOperator == TONE_MAPPING_ACES {
+        ldrColor = toneMapAces(color);
+    } else if options.toneMappingOperator == TONE_MAPPING_AGX {
+        ldrColor = toneMapAgx(color);
+    } else {
+        ldrColor = toneMapReinhard(color);
+    }
+    return vec4(linearToSrgb(ldrColor), hdrColor.a);
+}
+
+fn luminance(color: vec3f) -> f32 {
+    return dot(color, vec3(0.2126, 0.7152, 0.0722));
+}
+
+// Reinhard tone mapping of the luminance, so that the hue does not change.
+fn toneMapReinhard(color: vec3f) -> vec3f {
+    return color / (1.0 + luminance(color));
+}
+
+// ACES filmic tone mapping curve fitted by Stephen Hill
+// (see https://github.com/TheRealMJP/BakingLab/blob/master/BakingLab/ACES.hlsl).
+const ACES_INPUT_MATRIX = mat3x3f(
+    0.59719, 0.07600, 0.02840,
+    0.35458, 0.90834, 0.13383,
+    0.04823, 0.01566, 0.83777,
+);
+const ACES_OUTPUT_MATRIX = mat3x3f(
+    1.60475, -0.10208, -0.00327,
+    -0.53108, 1.10813, -0.07276,
+    -0.07367, -0.00605, 1.07602,
+);
+
+fn toneMapAces(color: vec3f) -> vec3f {
+    let v = ACES_INPUT_MATRIX * color;
+    let a = v * (v + 0.0245786) - 0.000090537;
+    let b = v * (0.983729 * v + 0.4329510) + 0.238081;
+    return saturate(ACES_OUTPUT_MATRIX * (a / b));
+}
+
+// AgX tone mapping with the polynomial approximation of the default contrast by Benjamin Wrensch
+// (see https://iolite-engine.com/blog_posts/minimal_agx_implementation).
+const AGX_INPUT_MATRIX = mat3x3f(
+    0.842479062253094, 0.0423282422610123, 0.0423756549057051,
+    0.0784335999999992, 0.878468636469772, 0.0784336,
+    0.0792237451477643, 0.0791661274605434, 0.879142973793104,
+);
+const AGX_OUTPUT_MATRIX = mat3x3f(
+    1.19687900512017, -0.0528968517574562, -0.0529716355144438,
+    -0.0980208811401368, 1.15190312990417, -0.0980434501171241,
+    -0.0990297440797205, -0.0989611768448433, 1.15107367264116,
+);
+const AGX_MIN_EV = -12.47393;
+const AGX_MAX_EV = 4.026069;
+
+fn toneMapAgx(color: vec3f) -> vec3f {
+    // Map the color to the log2 range of AgX.
+    var v = AGX_INPUT_MATRIX * color;
+    v = clamp(log2(max(v, vec3(1e-10))), vec3(AGX_MIN_EV), vec3(AGX_MAX_EV));
+    v = (v - AGX_MIN_EV) / (AGX_MAX_EV - AGX_MIN_EV);
+
+    // Apply the contrast curve.
+    let v2 = v * v;
+    let v4 = v2 * v2;
+    v = 15.5 * v4 * v2 - 40.14 * v4 * v + 31.96 * v4 - 6.868 * v2 * v + 0.4298 * v2 + 0.1191 * v - 0.00232;
+
+    // The curve returns display values with a gamma of 2.2 that are converted back to linear values.
+    v = AGX_OUTPUT_MATRIX * v;
+    return pow(saturate(v), vec3(2.2));
+}
+
+// Converts a linear color to sRGB (see https://en.wikipedia.org/wiki/SRGB#Transfer_function_(%22gamma%22)).
+fn linearToSrgb(color: vec3f) -> vec3f {
+    let c = saturate(color);
+    return select(1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, c * 12.92, c <= vec3(0.0031308));
+}
\ No newline at end of file
@@ -4,6 +4,7 @@ export const vec3ByteLength = vec3.create().byteLength;
 export const mat3ByteLength = mat3.create().byteLength;
 export const mat4ByteLength = mat4.create().byteLength;
 export const i32ByteLength = 4;
+export const f32ByteLength = 4;
 export const u32ByteLength = 4;
 export const u16ByteLength = 2;
 
@@ -79,12 +80,17 @@ export function copyToBuffer(gpuDevice, buffer, data, offset = 0) {
  * Creates a texture from the given bitmap.
  * @param {GPUDevice} gpuDevice the GPU device
  * @param {ImageBitmap} bitmap the bitmap
+ * @param {string} format the format of the texture; use an sRGB format for colors and
+ *                        a linear format for other data (e.g. normals)
+ * @param {number} mipLevelCount the number of mip levels; only the first level is filled
+ *                               with the bitmap (see MipmapGenerator)
  * @returns {GPUTexture} the texture
  */
-export function createTextureFromBitmap(gpuDevice, bitmap, bitmapFormat = 'rgba') {
+export function createTextureFromBitmap(gpuDevice, bitmap, format = 'rgba8unorm', mipLevelCount = 1) {
     const texture = gpuDevice.createTexture({
         size: [bitmap.width, bitmap.height, 1],
-        format: bitmapFormat + '8unorm',
+        format: format,
+        mipLevelCount: mipLevelCount,
         usage: GPUTextureUsage.TEXTURE_BINDING |
             GPUTextureUsage.RENDER_ATTACHMENT |
             GPUTextureUsage.COPY_DST,
@@ -97,6 +103,32 @@ export function createTextureFromBitmap(gpuDevice, bitmap, bitmapFormat = 'rgba'
     return texture;
 }
 
+/**
+ * Calculates the number of mip levels of a texture down to a size of 1x1 pixels.
+ * @param {number} width the width of the texture
+ * @param {number} height the height of the texture
+ * @returns {number} the number of mip levels
+ */
+export function calcMipLevelCount(width, height) {
+    return Math.floor(Math.log2(Math.max(width, height))) + 1;
+}
+
+/**
+ * Creates a texture with a single pixel of the given color.
+ * @param {GPUDevice} gpuDevice the GPU device
+ * @param {Array} color the red, green, blue and alpha value between 0 and 255
+ * @returns {GPUTexture} the texture
+ */
+export function createTextureFromColor(gpuDevice, color) {
+    const texture = gpuDevice.createTexture({
+        size: [1, 1, 1],
+        format: 'rgba8unorm',
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+    });
+    gpuDevice.queue.writeTexture({ texture: texture }, new Uint8Array(color), {}, [1, 1]);
+    return texture;
+}
+
 /**
  * Loads a file that contains vertex and fragment shader code.
  * @param {string} fileName the filename
@@ -122,4 +154,102 @@ export async function loadImage(fileName) {
         await response.blob(), { colorSpaceConversion: 'none' }
     );
     return bitmap;
+}
+
+/**
+ * Loads a text file from the assets.
+ * 
+ * @param {string} fileName the filename of the text file
+ * @returns {string} the content of the file
+ */
+export async function loadTextFile(fileName) {
+    var host = window.location.protocol + "//" + window.location.host;
+    const response = await fetch(host + '/assets/' + fileName, { cache: "no-store" });
+    if (!response.ok) {
+        throw Error("Could not load '" + fileName + "': " + response.status + " " + response.statusText);
+    }
+    return await response.text();
+}
+
+/**
+ * Loads a binary file from the assets.
+ * 
+ * @param {string} fileName the filename of the binary file
+ * @returns {ArrayBuffer} the content of the file
+ */
+export async function loadBinaryFile(fileName) {
+    var host = window.location.protocol + "//" + window.location.host;
+    const response = await fetch(host + '/assets/' + fileName, { cache: "no-store" });
+    if (!response.ok) {
+        throw Error("Could not load '" + fileName + "': " + response.status + " " + response.statusText);
+    }
+    return await response.arrayBuffer();
+}
+
+
+/**
+ * Loads an HDR image in the Radiance RGBE format (.hdr) from the assets. Each pixel is stored as
+ * red, green and blue mantissas with a shared exponent, i.e. the color is (r, g, b) * 2^(e - 136).
+ * 
+ * @param {string} fileName the filename of the image
+ * @returns {object} the width and height of the image and its RGBE pixels as Uint8Array (top row first)
+ */
+export async function loadHdrImage(fileName) {
+    const bytes = new Uint8Array(await loadBinaryFile(fileName));
+    let pos = 0;
+    const readLine = () => {
+        let line = '';
+        while (pos < bytes.length && bytes[pos] != 0x0a) {
+            line += String.fromCharCode(bytes[pos++]);
+        }
+        ++pos;
+        return line;
+    };
+
+    if (!readLine().startsWith('#?')) {
+        throw Error("'" + fileName + "' is not a Radiance HDR image.");
+    }
+    for (let line = readLine(); line != ''; line = readLine()) {
+        if (line.startsWith('FORMAT=') && line != 'FORMAT=32-bit_rle_rgbe') {
+            throw Error("Unsupported HDR format in '" + fileName + "': " + line.substring(7));
+        }
+    }
+    const resolution = readLine().match(/^-Y (\d+) \+X (\d+)$/);
+    if (!resolution) {
+        throw Error("Unsupported HDR orientation in '" + fileName + "'.");
+    }
+    const height = parseInt(resolution[1]);
+    const width = parseInt(resolution[2]);
+
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; ++y) {
+        const rowOffset = y * width * 4;
+        // Scanlines are either flat or run-length encoded per channel (marked by the bytes 2, 2).
+        const isRunLengthEncoded = width >= 8 && width < 0x8000 &&
+            bytes[pos] == 2 && bytes[pos + 1] == 2 && (bytes[pos + 2] & 0x80) == 0;
+        if (!isRunLengthEncoded) {
+            data.set(bytes.subarray(pos, pos + width * 4), rowOffset);
+            pos += width * 4;
+            continue;
+        }
+        pos += 4;
+        for (let channel = 0; channel < 4; ++channel) {
+            for (let x = 0; x < width;) {
+                let count = bytes[pos++];
+                if (count > 128) {
+                    // A run of the same value
+                    count -= 128;
+                    const value = bytes[pos++];
+                    for (let i = 0; i < count; ++i, ++x) {
+                        data[rowOffset + x * 4 + channel] = value;
+                    }
+                } else {
+                    for (let i = 0; i < count; ++i, ++x) {
+                        data[rowOffset + x * 4 + channel] = bytes[pos++];
+                    }
+                }
+            }
+        }
+    }
+    return { width: width, height: height, data: data };
 }
\ No newline at end of file